@@ -0,0 +1,90 @@
+// js/components/about-stats.js
+
+import { loadJSON } from '../lib/data.js'
+import { formatStat, resolveStats } from '../lib/stats.js'
+import { prefersReducedMotion } from '../lib/motion.js'
+
+/**
+ * About Statistics
+ *
+ * Counts up the `.about__stats` figures, which the build renders from the
+ * stats data file (scripts/site/stats.mjs), when they scroll into view.
+ *
+ * - Figures are brought up to date first, so "years" moves on with the
+ *   calendar even when the page was built last year
+ * - Only the `aria-hidden` digits move; assistive technology reads the
+ *   final figure. There is no animation under reduced motion
+ */
+
+const COUNT_DURATION = 1500
+
+export class AboutStats {
+  /**
+   * @param {HTMLElement} root - The `.about__stats` element
+   * @param {Object[]} stats - Resolved stats
+   */
+  constructor(root, stats) {
+    this.root = root
+    this.stats = stats
+    this.counters = []
+  }
+
+  enhance() {
+    const animate = !prefersReducedMotion() && 'IntersectionObserver' in window
+
+    for (const stat of this.stats) {
+      const item = this.root.querySelector(`.stat[data-stat-id="${CSS.escape(stat.id)}"]`)
+      if (!item) continue
+
+      const counter = item.querySelector('.stat__count')
+      item.querySelector('.stat__number .visually-hidden').textContent = formatStat(stat.value, stat)
+      counter.textContent = formatStat(animate ? 0 : stat.value, stat)
+      this.counters.push({ element: counter, stat })
+    }
+
+    if (animate && this.counters.length) this.observe()
+  }
+
+  observe() {
+    const observer = new IntersectionObserver(entries => {
+      if (!entries.some(entry => entry.isIntersecting)) return
+
+      observer.disconnect()
+      this.countUp()
+    }, { threshold: 0.5 })
+
+    observer.observe(this.root)
+  }
+
+  countUp() {
+    const start = performance.now()
+
+    const step = now => {
+      const progress = Math.min((now - start) / COUNT_DURATION, 1)
+      // Ease out so the figures settle gently on their final value
+      const eased = 1 - Math.pow(1 - progress, 3)
+
+      for (const { element, stat } of this.counters) {
+        element.textContent = formatStat(progress === 1 ? stat.value : Math.round(stat.value * eased), stat)
+      }
+
+      if (progress < 1) requestAnimationFrame(step)
+    }
+
+    requestAnimationFrame(step)
+  }
+}
+
+/**
+ * Count up the about section statistics
+ * @returns {Promise<AboutStats|null>}
+ */
+export async function initAboutStats() {
+  const root = document.querySelector('.about__stats[data-stats-src]')
+  if (!root) return null
+
+  const stats = new AboutStats(root, resolveStats(await loadJSON(root.dataset.statsSrc)))
+  stats.enhance()
+
+  return stats
+}
@@ -0,0 +1,226 @@
+// js/components/branch-finder.js
+
+import { createElement } from '../lib/dom.js'
+import { loadJSON } from '../lib/data.js'
+import { formatNumber } from '../lib/format.js'
+import { describeHours, getOpenStatus, openStatusAttributes } from '../lib/hours.js'
+import { filterBranches, sortByDistance, resolvePlace, cityFromPath } from '../lib/branches.js'
+
+/**
+ * Branch Finder
+ *
+ * Searches the local branch dataset on the /branches pages.
+ *
+ * - Free-text search, state, service and ATM filters
+ * - Distance sorting from a typed-in place name or "lat, lng"
+ * - `/branches/<city>` deep links select a city; `/branches/all` shows every branch.
+ *   City changes use `history.pushState` so Back returns to the previous city
+ * - Each branch shows whether it is open now, using the public holiday
+ *   calendar from the business hours file
+ * - Works offline: no map tiles or geocoding service
+ */
+
+export class BranchFinder {
+  /**
+   * @param {HTMLElement} root - The `.branch-finder` section
+   * @param {Object} data - Branch dataset with `cities`, `services` and `branches`
+   * @param {Object[]} places - Place names with coordinates
+   * @param {Array<{date: string, id: string, name: string}>} holidays - Days all branches are closed
+   */
+  constructor(root, data, places, holidays) {
+    this.root = root
+    this.data = data
+    this.places = places
+    this.holidays = holidays
+    this.form = root.querySelector('.branch-finder__form')
+    this.cityLinks = Array.from(root.querySelectorAll('.branch-finder__city-link'))
+    this.heading = root.querySelector('.branch-finder__title')
+    this.summary = root.querySelector('.branch-finder__summary')
+    this.results = root.querySelector('.branch-finder__results')
+    this.locationInput = this.form.elements.namedItem('near')
+    this.origin = null
+    this.city = cityFromPath(window.location.pathname, data.cities)
+      || new URLSearchParams(window.location.search).get('city')
+      || ''
+  }
+
+  mount() {
+    this.populateSelect(this.form.elements.namedItem('state'),
+      [...new Set(this.data.branches.map(branch => branch.state))].sort().map(state => [state, state]))
+    this.populateSelect(this.form.elements.namedItem('service'), Object.entries(this.data.services))
+
+    const placeList = this.root.querySelector('#branch-places')
+    placeList.replaceChildren(...this.places.map(place => createElement('option', { value: place.name })))
+
+    this.form.addEventListener('input', event => {
+      if (event.target !== this.locationInput) this.render()
+    })
+    this.form.addEventListener('submit', event => {
+      event.preventDefault()
+      this.applyLocation()
+    })
+    this.form.addEventListener('reset', () => {
+      this.origin = null
+      window.setTimeout(() => this.render())
+    })
+
+    for (const link of this.cityLinks) {
+      link.addEventListener('click', event => {
+        event.preventDefault()
+        this.setCity(link.dataset.city, { push: true })
+      })
+    }
+
+    window.addEventListener('popstate', () => {
+      this.setCity(cityFromPath(window.location.pathname, this.data.cities))
+    })
+
+    this.setCity(this.city)
+  }
+
+  /**
+   * @param {HTMLSelectElement} select
+   * @param {Array<[string, string]>} options - Value and label pairs
+   */
+  populateSelect(select, options) {
+    select.append(...options.map(([value, label]) => createElement('option', { value, text: label })))
+  }
+
+  /**
+   * @param {string} city - City slug, '' for all branches
+   * @param {Object} [options]
+   * @param {boolean} [options.push] - Add a history entry for the city page
+   */
+  setCity(city, { push = false } = {}) {
+    this.city = city in this.data.cities ? city : ''
+
+    const path = `/branches/${this.city || 'all'}`
+    if (push && window.location.pathname !== path) {
+      history.pushState({ city: this.city }, '', path)
+    }
+
+    const cityName = this.data.cities[this.city]
+    this.heading.textContent = cityName ? `${cityName} Branches` : 'All Branches'
+    document.title = `${this.heading.textContent} - Wema Bank`
+
+    for (const link of this.cityLinks) {
+      if (link.dataset.city === (this.city || 'all')) {
+        link.setAttribute('aria-current', 'page')
+      } else {
+        link.removeAttribute('aria-current')
+      }
+    }
+
+    this.render()
+  }
+
+  applyLocation() {
+    const input = this.locationInput.value.trim()
+    const error = this.root.querySelector('#branch-near-error')
+
+    const origin = input ? resolvePlace(input, this.places) : null
+
+    if (input && !origin) {
+      this.locationInput.setAttribute('aria-invalid', 'true')
+      error.textContent = 'We could not find that place. Try a town or area such as Ikeja, or coordinates like 6.45, 3.39.'
+      error.hidden = false
+      this.locationInput.focus()
+      return
+    }
+
+    this.origin = origin
+    this.locationInput.removeAttribute('aria-invalid')
+    error.hidden = true
+    this.render()
+  }
+
+  /**
+   * @returns {Object} Current filter values
+   */
+  getFilters() {
+    const elements = this.form.elements
+
+    return {
+      query: elements.namedItem('q').value,
+      state: elements.namedItem('state').value,
+      service: elements.namedItem('service').value,
+      atm: elements.namedItem('atm').checked,
+      city: this.city
+    }
+  }
+
+  render() {
+    let branches = filterBranches(this.data.branches, this.getFilters())
+    if (this.origin) branches = sortByDistance(branches, this.origin)
+
+    const count = branches.length
+    const place = this.origin ? `, nearest to ${this.origin.name} first` : ''
+    this.summary.textContent = count === 0
+      ? 'No branches match your search. Try removing a filter.'
+      : `Showing ${count} ${count === 1 ? 'branch' : 'branches'}${place}`
+
+    this.results.replaceChildren(...branches.map(branch => this.renderBranch(branch)))
+  }
+
+  /**
+   * @param {Object} branch
+   * @returns {HTMLLIElement}
+   */
+  renderBranch(branch) {
+    const titleId = `branch-${branch.id}-name`
+    const hours = describeHours(branch.hours).flatMap(line => [
+      createElement('dt', { text: line.days }),
+      createElement('dd', { text: line.time })
+    ])
+    const status = getOpenStatus({ hours: branch.hours, holidays: this.holidays })
+    const distance = typeof branch.distance === 'number'
+      ? createElement('p', {
+        className: 'branch-card__distance',
+        text: `${formatNumber(branch.distance, { maximumFractionDigits: 1 })} km away`
+      })
+      : null
+
+    return createElement('li', { className: 'branch-card', 'data-branch-id': branch.id },
+      createElement('article', { 'aria-labelledby': titleId },
+        createElement('h2', { className: 'branch-card__name', id: titleId, text: branch.name }),
+        distance,
+        createElement('p', { className: 'branch-card__address', text: `${branch.address}, ${branch.state}` }),
+        createElement('p', { className: 'branch-card__phone' },
+          createElement('a', { href: `tel:${branch.phone}`, className: 'branch-card__link', text: branch.phoneDisplay })
+        ),
+        createElement('p', {
+          className: `branch-card__atm ${branch.atm ? 'branch-card__atm--available' : ''}`.trim(),
+          text: branch.atm ? 'ATM available' : 'No ATM at this branch'
+        }),
+        createElement('ul', { className: 'branch-card__services', role: 'list', 'aria-label': 'Services' },
+          ...branch.services.map(service => createElement('li', { text: this.data.services[service] || service }))
+        ),
+        createElement('p', {
+          className: `branch-card__status hours-status hours-status--${status.open ? 'open' : 'closed'}`,
+          ...openStatusAttributes(status)
+        }),
+        createElement('dl', { className: 'branch-card__hours', 'aria-label': 'Opening hours' }, ...hours)
+      )
+    )
+  }
+}
+
+/**
+ * Start the branch finder on the branches page
+ * @returns {Promise<BranchFinder|null>}
+ */
+export async function initBranchFinder() {
+  const root = document.querySelector('.branch-finder')
+  if (!root) return null
+
+  const [data, places, schedule] = await Promise.all([
+    loadJSON(root.dataset.branchesSrc),
+    loadJSON(root.dataset.placesSrc),
+    loadJSON(root.dataset.hoursSrc)
+  ])
+
+  const finder = new BranchFinder(root, data, places, schedule.holidays)
+  finder.mount()
+
+  return finder
+}
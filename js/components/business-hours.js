@@ -0,0 +1,67 @@
+// js/components/business-hours.js
+
+import { createElement } from '../lib/dom.js'
+import { loadJSON } from '../lib/data.js'
+import { describeHours, getOpenStatus, openStatusAttributes } from '../lib/hours.js'
+
+/**
+ * Business Hours
+ *
+ * Renders the Business Hours `.contact-item` from data/business-hours.json
+ * and shows a live "Open now" / "Closed" badge checked against Lagos time
+ * and the public holiday calendar. The badge is refreshed every minute, and
+ * its text comes from the `hours.*` messages of the language catalogues.
+ */
+
+const REFRESH_INTERVAL = 60 * 1000
+
+export class BusinessHours {
+  /**
+   * @param {HTMLElement} root - The contact item holding the hours
+   * @param {{hours: Object[], holidays: Object[]}} schedule
+   */
+  constructor(root, schedule) {
+    this.root = root
+    this.schedule = schedule
+    this.status = root.querySelector('.hours-status')
+  }
+
+  render() {
+    const lines = describeHours(this.schedule.hours).map(line =>
+      createElement('p', { className: 'contact-item__detail', text: `${line.days}: ${line.time}` }))
+
+    this.root.querySelectorAll('.contact-item__detail').forEach(detail => detail.remove())
+    this.status.before(...lines)
+
+    this.update()
+    window.setInterval(() => this.update(), REFRESH_INTERVAL)
+  }
+
+  /**
+   * @param {Date} [now]
+   */
+  update(now = new Date()) {
+    const status = getOpenStatus(this.schedule, now)
+
+    // A new element each time, which the language switcher translates as it is added
+    this.status.replaceChildren(createElement('span', openStatusAttributes(status)))
+    this.status.classList.toggle('hours-status--open', status.open)
+    this.status.classList.toggle('hours-status--closed', !status.open)
+    this.status.hidden = false
+  }
+}
+
+/**
+ * Render every hours block on the page
+ * @returns {Promise<BusinessHours[]>}
+ */
+export async function initBusinessHours() {
+  const roots = Array.from(document.querySelectorAll('[data-hours-src] .hours-status'), status =>
+    status.closest('[data-hours-src]'))
+
+  return Promise.all(roots.map(async root => {
+    const hours = new BusinessHours(root, await loadJSON(root.dataset.hoursSrc))
+    hours.render()
+    return hours
+  }))
+}
@@ -0,0 +1,223 @@
+// js/components/enquiry-form.js
+
+import { adapterForForm } from '../lib/form-adapters.js'
+import { showFieldError, clearFieldError, showErrorSummary } from '../lib/form-errors.js'
+import { maskSensitiveNumbers } from '../lib/masking.js'
+import { isValidEmail, isValidPhone, normalizeEmail, normalizePhone } from '../lib/validation.js'
+
+/**
+ * Enquiry Form
+ *
+ * Validates and submits the `.enquiry-form` in the contact section, then
+ * shows the ticket reference the helpdesk returns.
+ *
+ * - Name, a category, a message, the account-holder answer and an email
+ *   address or phone number are required
+ * - Errors are listed in a summary that takes focus, with a link to each field
+ * - Card numbers and BVNs typed into the message are masked before sending
+ * - A hidden honeypot field and a minimum fill time keep out spam bots
+ */
+
+// Faster than any person can fill in the form
+const MIN_FILL_TIME = 3000
+const MAX_MESSAGE_LENGTH = 1000
+
+const MESSAGES = {
+  nameMissing: 'Enter your name',
+  contactMissing: 'Enter an email address or a phone number',
+  emailInvalid: 'Enter an email address in the format name@example.com',
+  phoneInvalid: 'Enter a Nigerian phone number, like 0803 900 3700',
+  accountHolderMissing: 'Tell us whether you bank with Wema Bank',
+  categoryMissing: 'Choose what your enquiry is about',
+  messageMissing: 'Enter your message',
+  messageTooLong: `Your message must be ${MAX_MESSAGE_LENGTH} characters or fewer`,
+  tooFast: 'Please check your details, then send your enquiry again.',
+  validation: 'We could not accept your enquiry. Check your details and try again.',
+  network: 'We could not reach our servers. Check your connection and try again.',
+  server: 'Something went wrong on our side. Please try again later.'
+}
+
+export class EnquiryForm {
+  /**
+   * @param {HTMLFormElement} form
+   */
+  constructor(form) {
+    this.form = form
+    this.root = form.closest('.enquiry')
+    this.summary = form.querySelector('.error-summary')
+    this.name = form.elements.namedItem('name')
+    this.email = form.elements.namedItem('email')
+    this.phone = form.elements.namedItem('phone')
+    this.accountHolder = form.querySelector('.enquiry-form__account-holder')
+    this.category = form.elements.namedItem('category')
+    this.message = form.elements.namedItem('message')
+    this.trap = form.elements.namedItem('website')
+    this.maskNotice = form.querySelector('.enquiry-form__mask-notice')
+    this.submitButton = form.querySelector('[type="submit"]')
+    this.status = form.querySelector('.enquiry-form__status')
+    this.success = this.root.querySelector('.enquiry__success')
+    this.reference = this.root.querySelector('.enquiry__reference')
+    this.adapter = adapterForForm(form)
+    this.pending = false
+    this.startedAt = Date.now()
+
+    form.noValidate = true
+    form.addEventListener('submit', event => this.handleSubmit(event))
+    this.message.addEventListener('blur', () => this.maskMessage())
+    this.root.querySelector('.enquiry__again').addEventListener('click', () => this.restart())
+  }
+
+  /**
+   * Mask card numbers and BVNs in the message, telling the visitor if any were found
+   */
+  maskMessage() {
+    const { text, count } = maskSensitiveNumbers(this.message.value)
+    if (count === 0) return
+
+    this.message.value = text
+    this.maskNotice.hidden = false
+  }
+
+  /**
+   * @returns {Object}
+   */
+  getPayload() {
+    const answer = this.accountHolder.querySelector('input:checked')
+
+    return {
+      name: this.name.value.trim(),
+      email: this.email.value.trim() ? normalizeEmail(this.email.value) : '',
+      phone: normalizePhone(this.phone.value),
+      accountHolder: answer ? answer.value === 'yes' : null,
+      category: this.category.value,
+      message: this.message.value.trim(),
+      website: this.trap.value,
+      elapsed: Date.now() - this.startedAt
+    }
+  }
+
+  /**
+   * Validate every field, updating the inline errors
+   * @param {Object} payload
+   * @returns {{control: HTMLElement, message: string}[]} The errors, in form order
+   */
+  validate(payload) {
+    const emailError = payload.email
+      ? isValidEmail(payload.email) ? '' : MESSAGES.emailInvalid
+      : payload.phone ? '' : MESSAGES.contactMissing
+
+    const messageError = !payload.message
+      ? MESSAGES.messageMissing
+      : payload.message.length > MAX_MESSAGE_LENGTH ? MESSAGES.messageTooLong : ''
+
+    const checks = [
+      [this.name, payload.name ? '' : MESSAGES.nameMissing],
+      [this.email, emailError],
+      [this.phone, !payload.phone || isValidPhone(payload.phone) ? '' : MESSAGES.phoneInvalid],
+      [this.accountHolder, payload.accountHolder === null ? MESSAGES.accountHolderMissing : ''],
+      [this.category, payload.category ? '' : MESSAGES.categoryMissing],
+      [this.message, messageError]
+    ]
+
+    for (const [control, message] of checks) {
+      if (message) {
+        showFieldError(control, message)
+      } else {
+        clearFieldError(control)
+      }
+    }
+
+    return checks
+      .filter(([, message]) => message)
+      .map(([control, message]) => ({ control, message }))
+  }
+
+  /**
+   * @param {'error'|''} state
+   * @param {string} message
+   */
+  setStatus(state, message) {
+    this.status.textContent = message
+    this.status.dataset.state = state
+  }
+
+  /**
+   * Swap the form for the confirmation
+   * @param {string} reference - Ticket reference from the helpdesk
+   */
+  showSuccess(reference) {
+    this.reference.textContent = reference
+    this.form.hidden = true
+    this.success.hidden = false
+    this.success.focus()
+  }
+
+  /**
+   * Bring back an empty form for another enquiry
+   */
+  restart() {
+    this.form.reset()
+    for (const control of [this.name, this.email, this.phone, this.accountHolder, this.category, this.message]) {
+      clearFieldError(control)
+    }
+    showErrorSummary(this.summary, [])
+    this.maskNotice.hidden = true
+    this.setStatus('', '')
+    this.startedAt = Date.now()
+
+    this.success.hidden = true
+    this.form.hidden = false
+    this.name.focus()
+  }
+
+  /**
+   * @param {SubmitEvent} event
+   */
+  async handleSubmit(event) {
+    event.preventDefault()
+
+    if (this.pending) return
+
+    this.maskMessage()
+    const payload = this.getPayload()
+    const errors = this.validate(payload)
+
+    showErrorSummary(this.summary, errors)
+    if (errors.length) return
+
+    // Only bots fill in the hidden field; give them nothing to learn from
+    if (payload.website) {
+      this.form.reset()
+      return
+    }
+
+    if (payload.elapsed < MIN_FILL_TIME) {
+      this.setStatus('error', MESSAGES.tooFast)
+      return
+    }
+
+    this.pending = true
+    this.submitButton.disabled = true
+    this.form.setAttribute('aria-busy', 'true')
+    this.setStatus('', '')
+
+    try {
+      const { reference } = await this.adapter.submit(payload)
+      this.showSuccess(reference)
+    } catch (error) {
+      this.setStatus('error', MESSAGES[error.code] || MESSAGES.server)
+    } finally {
+      this.pending = false
+      this.submitButton.disabled = false
+      this.form.removeAttribute('aria-busy')
+    }
+  }
+}
+
+/**
+ * Enhance every enquiry form on the page
+ * @returns {EnquiryForm[]}
+ */
+export function initEnquiryForms() {
+  return Array.from(document.querySelectorAll('.enquiry form.enquiry-form'), form => new EnquiryForm(form))
+}
@@ -0,0 +1,87 @@
+// js/components/faq.js
+
+import { prefersReducedMotion } from '../lib/motion.js'
+
+/**
+ * FAQ
+ *
+ * Enhances the `#faq` section the build renders from data/faqs.json. Each
+ * question is a native <details> disclosure, so the answers open and close
+ * without JavaScript; this adds:
+ *
+ * - Deep links: a `#faq-<id>` hash opens that question, scrolls to it and
+ *   focuses it, on load and whenever the hash changes
+ * - "Expand all" and "Collapse all" controls, each disabled while there is
+ *   nothing left for it to do
+ */
+
+export class FaqAccordion {
+  /**
+   * @param {HTMLElement} root - The `#faq` section
+   */
+  constructor(root) {
+    this.root = root
+    this.items = Array.from(root.querySelectorAll('details.faq__item'))
+    this.controls = root.querySelector('.faq__controls')
+    this.expandButton = root.querySelector('.faq__expand-all')
+    this.collapseButton = root.querySelector('.faq__collapse-all')
+  }
+
+  mount() {
+    this.expandButton.addEventListener('click', () => this.setAll(true))
+    this.collapseButton.addEventListener('click', () => this.setAll(false))
+    // `toggle` does not bubble, so listen for it on the way down
+    this.root.addEventListener('toggle', () => this.updateControls(), true)
+    window.addEventListener('hashchange', () => this.openFromHash())
+
+    this.controls.hidden = false
+    this.updateControls()
+    this.openFromHash()
+  }
+
+  /**
+   * @param {boolean} open
+   */
+  setAll(open) {
+    this.items.forEach(item => { item.open = open })
+    this.updateControls()
+  }
+
+  updateControls() {
+    const openCount = this.items.filter(item => item.open).length
+    this.expandButton.disabled = openCount === this.items.length
+    this.collapseButton.disabled = openCount === 0
+  }
+
+  /**
+   * Open the question the URL hash points at, if it is one of ours
+   * @returns {HTMLDetailsElement|null}
+   */
+  openFromHash() {
+    const id = decodeURIComponent(window.location.hash.slice(1))
+    const target = id ? document.getElementById(id) : null
+    const item = target && target.closest('details.faq__item')
+    if (!item || !this.root.contains(item)) return null
+
+    item.open = true
+    this.updateControls()
+
+    const summary = item.querySelector('summary')
+    summary.focus({ preventScroll: true })
+    item.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'start' })
+    return item
+  }
+}
+
+/**
+ * Enhance the FAQ section
+ * @returns {FaqAccordion|null}
+ */
+export function initFaq() {
+  const root = document.querySelector('#faq')
+  if (!root || !root.querySelector('details.faq__item')) return null
+
+  const faq = new FaqAccordion(root)
+  faq.mount()
+  return faq
+}
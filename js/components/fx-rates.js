@@ -0,0 +1,198 @@
+// js/components/fx-rates.js
+
+import { createElement } from '../lib/dom.js'
+import { formatCurrency, formatDate, formatNumber } from '../lib/format.js'
+import { showFieldError, clearFieldError } from '../lib/form-errors.js'
+import { DEFAULT_STALE_AFTER_MINUTES, convert, isStale, loadRates, providerFor } from '../lib/fx.js'
+
+/**
+ * Exchange Rate Board
+ *
+ * Shows the bank's naira buying and selling rates from the provider named
+ * in `data-provider`, with a converter to and from naira.
+ *
+ * - "Last updated" is shown in Lagos time, whatever the visitor's timezone
+ * - Rates older than `data-stale-after` minutes are flagged as out of date
+ * - When the feed fails, the last rates saved in this browser are shown
+ *   with a notice; with none saved, the board stays hidden and the page
+ *   keeps its "ask at a branch" text
+ * - The rates are fetched again every few minutes, and the converter
+ *   follows its inputs as they change
+ */
+
+const REFRESH_INTERVAL = 5 * 60 * 1000
+
+const MESSAGES = {
+  cached: 'We could not reach the rate feed, so these are the last rates we saved.',
+  stale: 'These rates may be out of date. Please confirm them at a branch before you exchange money.',
+  amount: 'Enter an amount, such as 250 or 1,500.50'
+}
+
+/**
+ * Format an amount of any currency, e.g. "US$100.00" or "₦152,000.00"
+ * @param {number} value
+ * @param {string} code
+ * @returns {string}
+ */
+function formatMoney(value, code) {
+  return code === 'NGN' ? formatCurrency(value) : formatNumber(value, { style: 'currency', currency: code })
+}
+
+export class FxRateBoard {
+  /**
+   * @param {HTMLElement} root - The `.fx-rates` section
+   * @param {{fetchRates: () => Promise<import('../lib/fx.js').RateSheet>}} provider
+   * @param {Object} [options]
+   * @param {number} [options.staleAfter] - Minutes before rates count as out of date
+   */
+  constructor(root, provider, { staleAfter = DEFAULT_STALE_AFTER_MINUTES } = {}) {
+    this.root = root
+    this.provider = provider
+    this.staleAfter = staleAfter
+    this.board = root.querySelector('.fx-rates__board')
+    this.fallback = root.querySelector('.fx-rates__fallback')
+    this.notice = root.querySelector('.fx-rates__notice')
+    this.tableBody = root.querySelector('.fx-rates__table tbody')
+    this.updated = root.querySelector('.fx-rates__updated time')
+    this.form = root.querySelector('.fx-converter')
+    this.fields = {
+      amount: this.form.elements.namedItem('amount'),
+      currency: this.form.elements.namedItem('currency'),
+      direction: this.form.elements.namedItem('direction')
+    }
+    this.amountHint = document.getElementById(`${this.fields.amount.id}-hint`)
+    this.result = root.querySelector('.fx-converter__result')
+    this.sheet = null
+  }
+
+  async mount() {
+    this.form.addEventListener('submit', event => {
+      event.preventDefault()
+      this.updateConverter()
+    })
+    this.form.addEventListener('input', () => this.updateConverter())
+    this.form.addEventListener('change', () => this.updateConverter())
+
+    await this.refresh()
+    window.setInterval(() => this.refresh(), REFRESH_INTERVAL)
+  }
+
+  /**
+   * Fetch the rates and show them, or keep the board hidden when there are none
+   */
+  async refresh() {
+    try {
+      const { sheet, cached } = await loadRates(this.provider)
+      this.render(sheet, { cached })
+    } catch (error) {
+      console.warn('Exchange rates failed to load:', error)
+      // Rates already on screen stay there, flagged once they age
+      if (this.sheet) this.render(this.sheet, { cached: true })
+    }
+  }
+
+  /**
+   * @param {import('../lib/fx.js').RateSheet} sheet
+   * @param {Object} [options]
+   * @param {boolean} [options.cached] - The feed failed and these are saved rates
+   * @param {Date} [options.now]
+   */
+  render(sheet, { cached = false, now = new Date() } = {}) {
+    this.sheet = sheet
+    const stale = isStale(sheet, now, this.staleAfter)
+
+    this.tableBody.replaceChildren(...sheet.currencies.map(currency => createElement('tr', {},
+      createElement('th', { scope: 'row' },
+        createElement('span', { className: 'fx-rates__code', text: currency.code }),
+        ' ',
+        createElement('span', { className: 'fx-rates__name', text: currency.name })),
+      createElement('td', { text: formatCurrency(currency.buy) }),
+      createElement('td', { text: formatCurrency(currency.sell) })
+    )))
+
+    this.updated.dateTime = new Date(sheet.updated).toISOString()
+    this.updated.textContent = formatDate(sheet.updated, {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+      timeZoneName: 'short'
+    })
+
+    const notice = [cached && MESSAGES.cached, stale && MESSAGES.stale].filter(Boolean).join(' ')
+    if (this.notice.textContent !== notice) this.notice.textContent = notice
+    this.notice.hidden = !notice
+    this.root.classList.toggle('fx-rates--stale', stale)
+
+    this.renderCurrencies(sheet.currencies)
+    this.fallback.hidden = true
+    this.board.hidden = false
+    this.updateConverter()
+  }
+
+  /**
+   * Fill the currency choice, keeping the visitor's selection where it still exists
+   * @param {{code: string, name: string}[]} currencies
+   */
+  renderCurrencies(currencies) {
+    const select = this.fields.currency
+    const selected = select.value
+
+    select.replaceChildren(...currencies.map(currency =>
+      createElement('option', { value: currency.code, text: `${currency.code} – ${currency.name}` })))
+    if (currencies.some(currency => currency.code === selected)) select.value = selected
+  }
+
+  /**
+   * Show the converted amount for the current inputs
+   */
+  updateConverter() {
+    if (!this.sheet) return
+
+    const currency = this.sheet.currencies.find(({ code }) => code === this.fields.currency.value) || this.sheet.currencies[0]
+    const direction = this.fields.direction.value
+    const [from, to] = direction === 'to-ngn' ? [currency.code, 'NGN'] : ['NGN', currency.code]
+    const rate = direction === 'to-ngn'
+      ? `At our buying rate of ${formatCurrency(currency.buy)} per ${currency.code}`
+      : `At our selling rate of ${formatCurrency(currency.sell)} per ${currency.code}`
+
+    this.amountHint.textContent = `Enter the amount in ${from === 'NGN' ? 'naira' : currency.code}`
+
+    const raw = this.fields.amount.value.replace(/[,\s₦$£€]/g, '')
+    const amount = Number(raw)
+
+    if (raw === '') {
+      clearFieldError(this.fields.amount)
+      this.result.textContent = ''
+      return
+    }
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      showFieldError(this.fields.amount, MESSAGES.amount)
+      this.result.textContent = ''
+      return
+    }
+
+    clearFieldError(this.fields.amount)
+    this.result.textContent = `${formatMoney(amount, from)} = ${formatMoney(convert(amount, currency, direction), to)}. ${rate}.`
+  }
+}
+
+/**
+ * Start the exchange rate board
+ * @returns {Promise<FxRateBoard|null>}
+ */
+export async function initFxRates() {
+  const root = document.querySelector('.fx-rates[data-rates-src]')
+  if (!root) return null
+
+  const staleAfter = Number(root.dataset.staleAfter)
+  const board = new FxRateBoard(root, providerFor(root.dataset.provider || 'json', root.dataset.ratesSrc), {
+    staleAfter: staleAfter > 0 ? staleAfter : DEFAULT_STALE_AFTER_MINUTES
+  })
+  await board.mount()
+
+  return board
+}
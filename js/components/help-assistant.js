@@ -0,0 +1,238 @@
+// js/components/help-assistant.js
+
+import { createElement, isSafeHref } from '../lib/dom.js'
+import { loadJSON } from '../lib/data.js'
+import { showFieldError, clearFieldError } from '../lib/form-errors.js'
+import { describeHours, describeOpenStatus, getOpenStatus } from '../lib/hours.js'
+import { replyTo } from '../lib/help-assistant.js'
+
+/**
+ * Help Assistant
+ *
+ * A chat-style helper in the Customer Service contact item that answers
+ * from data/help-assistant.json, entirely in the browser.
+ *
+ * - Replies are written to a `role="log"` region, so screen readers read
+ *   each one out without moving focus away from the question box
+ * - Questions it cannot answer are passed on to the phone number, email
+ *   address and enquiry form, from the `<template>` in the page
+ * - Messages that look like a PIN, OTP or card number are refused and
+ *   never shown or kept
+ * - Branch hours answers use data/business-hours.json, so they always match
+ *   the Business Hours shown beside it, and answers quote the phone number
+ *   from data/organization.json like the contact details above it
+ * - Escape closes the assistant and returns focus to its button
+ */
+
+const MESSAGES = {
+  refused: 'For your safety, I can\'t accept PINs, OTPs or card numbers, so your message was not sent. ' +
+    'Wema Bank will never ask for them.',
+  empty: 'Type a question, or choose one of the common questions'
+}
+
+export class HelpAssistant {
+  /**
+   * @param {HTMLElement} root - The `.help-assistant` panel
+   * @param {HTMLButtonElement} toggle - The button that opens it
+   * @param {{greeting: string, fallback: string, clarify: string, suggestions: string[], intents: Object[]}} knowledge
+   * @param {{hours: Object[], holidays: Object[]}} schedule
+   * @param {{phone: {display: string}}} organization
+   */
+  constructor(root, toggle, knowledge, schedule, organization) {
+    this.root = root
+    this.toggle = toggle
+    this.knowledge = knowledge
+    this.schedule = schedule
+    this.organization = organization
+    this.log = root.querySelector('.help-assistant__log')
+    this.suggestions = root.querySelector('.help-assistant__suggestions')
+    this.form = root.querySelector('.help-assistant__form')
+    this.input = this.form.elements.namedItem('question')
+    this.escalation = root.querySelector('template.help-assistant__escalation')
+  }
+
+  mount() {
+    this.suggestions.replaceChildren(...this.knowledge.suggestions
+      .map(id => this.intent(id))
+      .filter(Boolean)
+      .map(intent => this.intentButton(intent)))
+
+    this.toggle.addEventListener('click', () => (this.root.hidden ? this.open() : this.close()))
+    this.form.addEventListener('submit', event => {
+      event.preventDefault()
+      this.send(this.input.value)
+    })
+    this.input.addEventListener('input', () => clearFieldError(this.input))
+    this.root.addEventListener('click', event => {
+      const button = event.target.closest('button[data-intent]')
+      if (button) this.ask(button.dataset.intent)
+    })
+    this.root.addEventListener('keydown', event => {
+      if (event.key !== 'Escape') return
+      this.close()
+      this.toggle.focus()
+    })
+
+    this.toggle.hidden = false
+  }
+
+  open() {
+    this.root.hidden = false
+    this.toggle.setAttribute('aria-expanded', 'true')
+    if (!this.log.hasChildNodes()) this.reply(this.knowledge.greeting)
+    this.input.focus()
+  }
+
+  close() {
+    this.root.hidden = true
+    this.toggle.setAttribute('aria-expanded', 'false')
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|undefined}
+   */
+  intent(id) {
+    return this.knowledge.intents.find(intent => intent.id === id)
+  }
+
+  /**
+   * @param {{id: string, label: string}} intent
+   * @returns {HTMLButtonElement}
+   */
+  intentButton(intent) {
+    return createElement('button', {
+      type: 'button',
+      className: 'help-assistant__suggestion',
+      'data-intent': intent.id,
+      text: intent.label
+    })
+  }
+
+  /**
+   * Answer a typed question
+   * @param {string} text
+   */
+  send(text) {
+    const question = text.trim()
+    if (!question) {
+      showFieldError(this.input, MESSAGES.empty)
+      this.input.focus()
+      return
+    }
+
+    clearFieldError(this.input)
+    this.input.value = ''
+    const reply = replyTo(this.knowledge, question)
+
+    if (reply.type === 'refuse') {
+      this.reply(MESSAGES.refused, { warning: true })
+      return
+    }
+
+    this.addMessage('user', question)
+    if (reply.type === 'answer') this.answer(reply.intent)
+    else if (reply.type === 'clarify') this.reply(this.knowledge.clarify, { intents: reply.intents })
+    else this.reply(this.knowledge.fallback, { escalate: true })
+  }
+
+  /**
+   * Answer a common question chosen from a button
+   * @param {string} id
+   */
+  ask(id) {
+    const intent = this.intent(id)
+    if (!intent) return
+
+    this.addMessage('user', intent.label)
+    this.answer(intent)
+    this.input.focus()
+  }
+
+  /**
+   * @param {{answer: string, links?: Object[], escalate?: boolean}} intent
+   */
+  answer(intent) {
+    this.reply(this.fill(intent.answer), { links: intent.links, escalate: intent.escalate })
+  }
+
+  /**
+   * Fill the branch hours and phone number placeholders of an answer
+   * @param {string} answer
+   * @param {Date} [now]
+   * @returns {string}
+   */
+  fill(answer, now = new Date()) {
+    const hours = describeHours(this.schedule.hours).map(line => `${line.days}, ${line.time}`).join(' and ')
+
+    return answer
+      .replaceAll('{hours}', hours)
+      .replaceAll('{status}', describeOpenStatus(getOpenStatus(this.schedule, now)))
+      .replaceAll('{phone}', this.organization.phone.display)
+  }
+
+  /**
+   * Add an assistant message
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {{label: string, href: string}[]} [options.links] - Further reading
+   * @param {Object[]} [options.intents] - Intents to offer as buttons
+   * @param {boolean} [options.escalate] - Add the ways to reach customer care
+   * @param {boolean} [options.warning]
+   */
+  reply(text, { links = [], intents = [], escalate = false, warning = false } = {}) {
+    const safeLinks = links.filter(link => isSafeHref(link.href))
+
+    this.addMessage('assistant', text, {
+      warning,
+      extra: [
+        safeLinks.length ? createElement('ul', { className: 'help-assistant__links' },
+          ...safeLinks.map(link => createElement('li', {}, createElement('a', { href: link.href, text: link.label })))) : null,
+        intents.length ? createElement('div', { className: 'help-assistant__choices' },
+          ...intents.map(intent => this.intentButton(intent))) : null,
+        escalate ? this.escalation.content.cloneNode(true) : null
+      ]
+    })
+  }
+
+  /**
+   * @param {'user'|'assistant'} from
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {boolean} [options.warning]
+   * @param {(Node|null)[]} [options.extra] - Shown under the text
+   */
+  addMessage(from, text, { warning = false, extra = [] } = {}) {
+    const message = createElement('div', {
+      className: `help-assistant__message help-assistant__message--${from}${warning ? ' help-assistant__message--warning' : ''}`
+    },
+    createElement('p', { className: 'help-assistant__text' },
+      createElement('span', { className: 'visually-hidden', text: from === 'user' ? 'You: ' : 'Assistant: ' }),
+      text),
+    ...extra)
+
+    this.log.append(message)
+    message.scrollIntoView({ block: 'nearest' })
+  }
+}
+
+/**
+ * Start the help assistant
+ * @returns {Promise<HelpAssistant|null>}
+ */
+export async function initHelpAssistant() {
+  const root = document.querySelector('.help-assistant[data-knowledge-src]')
+  const toggle = root && document.querySelector(`button[aria-controls="${root.id}"]`)
+  if (!root || !toggle) return null
+
+  const [knowledge, schedule, organization] = await Promise.all([
+    loadJSON(root.dataset.knowledgeSrc),
+    loadJSON(root.dataset.scheduleSrc),
+    loadJSON(root.dataset.organizationSrc)
+  ])
+
+  const assistant = new HelpAssistant(root, toggle, knowledge, schedule, organization)
+  assistant.mount()
+
+  return assistant
+}
@@ -0,0 +1,293 @@
+// js/components/hero-carousel.js
+
+import { createElement, isSafeHref } from '../lib/dom.js'
+import { loadJSON } from '../lib/data.js'
+import { prefersReducedMotion, onReducedMotionChange } from '../lib/motion.js'
+
+/**
+ * Hero Carousel
+ *
+ * Turns `.hero__slider` into an accessible carousel following the
+ * WAI-ARIA Authoring Practices carousel pattern.
+ *
+ * - The existing `.slider__content` stays the first slide; the page `h1`
+ *   sits above the slider so it is never hidden with a slide
+ * - Further slides are loaded from the JSON file named in `data-slides-src`
+ * - Autoplay pauses on hover, on focus and under `prefers-reduced-motion`,
+ *   and stops once the visitor changes slide themselves
+ * - Previous/next buttons, dot buttons, arrow keys and touch swipe
+ * - The region is `aria-live="polite"`, and `aria-live="off"` while rotating
+ *   automatically, so only user-driven changes are announced
+ */
+
+const DEFAULT_INTERVAL = 6000
+const SWIPE_THRESHOLD = 50
+
+export class HeroCarousel {
+  /**
+   * @param {HTMLElement} root - The `.hero__slider` element
+   * @param {Object} [options]
+   * @param {number} [options.interval] - Autoplay delay in milliseconds
+   */
+  constructor(root, options = {}) {
+    this.root = root
+    this.interval = options.interval || Number(root.dataset.interval) || DEFAULT_INTERVAL
+    this.slides = Array.from(root.querySelectorAll('.slider__content'))
+    this.current = 0
+    this.timer = null
+    this.userPaused = false
+    this.hovered = false
+    this.focused = false
+    this.reducedMotion = prefersReducedMotion()
+    this.pointerStart = null
+  }
+
+  /**
+   * Append the data-driven slides to the static first slide
+   * @param {Array<{id: string, title: string, description: string, cta?: {label: string, href: string}}>} data
+   */
+  addSlides(data) {
+    for (const slide of data) {
+      if (!slide || !slide.title) continue
+      this.slides.push(this.renderSlide(slide))
+    }
+  }
+
+  /**
+   * Build the markup for one data slide
+   * @param {Object} slide - Slide entry from the slides file
+   * @returns {HTMLElement}
+   */
+  renderSlide(slide) {
+    const cta = slide.cta && isSafeHref(slide.cta.href)
+      ? createElement('a', {
+        className: 'slider__cta',
+        href: slide.cta.href,
+        'data-i18n': `hero.slides.${slide.id}.cta`,
+        text: slide.cta.label
+      })
+      : null
+
+    return createElement('div', { className: 'slider__content', 'data-slide-id': slide.id },
+      createElement('h2', { className: 'slider__title', 'data-i18n': `hero.slides.${slide.id}.title`, text: slide.title }),
+      createElement('p', {
+        className: 'slider__description',
+        'data-i18n': `hero.slides.${slide.id}.description`,
+        text: slide.description
+      }),
+      cta
+    )
+  }
+
+  /**
+   * Build the track and controls and start autoplay.
+   * With a single slide the markup is left untouched.
+   */
+  mount() {
+    if (this.slides.length < 2) return
+
+    this.track = createElement('div', { className: 'slider__track' })
+    this.slides.forEach((slide, index) => {
+      slide.setAttribute('role', 'group')
+      slide.setAttribute('aria-roledescription', 'slide')
+      slide.setAttribute('aria-label', `${index + 1} of ${this.slides.length}`)
+      slide.hidden = index !== this.current
+      this.track.append(slide)
+    })
+
+    this.rotationButton = createElement('button', {
+      type: 'button',
+      className: 'slider__button slider__button--rotation'
+    })
+    this.previousButton = createElement('button', {
+      type: 'button',
+      className: 'slider__button slider__button--previous',
+      'aria-label': 'Previous slide',
+      text: '‹'
+    })
+    this.nextButton = createElement('button', {
+      type: 'button',
+      className: 'slider__button slider__button--next',
+      'aria-label': 'Next slide',
+      text: '›'
+    })
+    this.dots = this.slides.map((slide, index) => createElement('button', {
+      type: 'button',
+      className: 'slider__dot',
+      'aria-label': `Show slide ${index + 1}: ${(slide.querySelector('h2') || slide).textContent.trim()}`
+    }))
+
+    const controls = createElement('div', { className: 'slider__controls' },
+      this.rotationButton,
+      this.previousButton,
+      createElement('div', { className: 'slider__dots', role: 'group', 'aria-label': 'Choose slide' }, ...this.dots),
+      this.nextButton
+    )
+
+    this.root.setAttribute('aria-roledescription', 'carousel')
+    this.root.classList.add('hero__slider--carousel')
+    this.root.replaceChildren(controls, this.track)
+
+    this.bindEvents()
+    this.update()
+    this.syncAutoplay()
+  }
+
+  bindEvents() {
+    this.rotationButton.addEventListener('click', () => {
+      this.userPaused = !this.userPaused
+      this.syncAutoplay()
+    })
+    this.previousButton.addEventListener('click', () => this.goTo(this.current - 1, { announce: true }))
+    this.nextButton.addEventListener('click', () => this.goTo(this.current + 1, { announce: true }))
+    this.dots.forEach((dot, index) => {
+      dot.addEventListener('click', () => this.goTo(index, { announce: true }))
+    })
+
+    this.root.addEventListener('keydown', event => this.handleKeydown(event))
+
+    this.root.addEventListener('mouseenter', () => {
+      this.hovered = true
+      this.syncAutoplay()
+    })
+    this.root.addEventListener('mouseleave', () => {
+      this.hovered = false
+      this.syncAutoplay()
+    })
+    this.root.addEventListener('focusin', () => {
+      this.focused = true
+      this.syncAutoplay()
+    })
+    this.root.addEventListener('focusout', event => {
+      if (this.root.contains(event.relatedTarget)) return
+      this.focused = false
+      this.syncAutoplay()
+    })
+
+    this.track.addEventListener('pointerdown', event => this.handlePointerDown(event))
+    this.track.addEventListener('pointerup', event => this.handlePointerUp(event))
+    this.track.addEventListener('pointercancel', () => { this.pointerStart = null })
+
+    onReducedMotionChange(reduce => {
+      this.reducedMotion = reduce
+      this.syncAutoplay()
+    })
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  handleKeydown(event) {
+    const targets = {
+      ArrowLeft: this.current - 1,
+      ArrowRight: this.current + 1,
+      Home: 0,
+      End: this.slides.length - 1
+    }
+
+    if (!(event.key in targets)) return
+    // Home/End keep their page-scrolling meaning unless focus is on the controls
+    if ((event.key === 'Home' || event.key === 'End') && !event.target.closest('.slider__controls')) return
+
+    event.preventDefault()
+    this.goTo(targets[event.key], { announce: true })
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  handlePointerDown(event) {
+    if (event.pointerType === 'mouse') return
+    this.pointerStart = { x: event.clientX, y: event.clientY }
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  handlePointerUp(event) {
+    if (!this.pointerStart) return
+
+    const deltaX = event.clientX - this.pointerStart.x
+    const deltaY = event.clientY - this.pointerStart.y
+    this.pointerStart = null
+
+    if (Math.abs(deltaX) < SWIPE_THRESHOLD || Math.abs(deltaX) < Math.abs(deltaY)) return
+
+    this.goTo(deltaX < 0 ? this.current + 1 : this.current - 1, { announce: true })
+  }
+
+  /**
+   * Show the slide at `index`, wrapping around at either end
+   * @param {number} index
+   * @param {Object} [options]
+   * @param {boolean} [options.announce] - User-driven change: stop rotating and
+   *   let the live region announce the new slide
+   */
+  goTo(index, { announce = false } = {}) {
+    const count = this.slides.length
+    this.current = ((index % count) + count) % count
+
+    if (announce && !this.userPaused) {
+      this.userPaused = true
+      this.syncAutoplay()
+    }
+
+    this.update()
+  }
+
+  update() {
+    this.slides.forEach((slide, index) => {
+      slide.hidden = index !== this.current
+    })
+    this.dots.forEach((dot, index) => {
+      if (index === this.current) {
+        dot.setAttribute('aria-current', 'true')
+      } else {
+        dot.removeAttribute('aria-current')
+      }
+    })
+  }
+
+  /**
+   * Start or stop the rotation timer from the current pause state
+   */
+  syncAutoplay() {
+    const playing = !this.userPaused && !this.hovered && !this.focused && !this.reducedMotion
+
+    window.clearInterval(this.timer)
+    this.timer = null
+
+    this.root.setAttribute('aria-live', playing ? 'off' : 'polite')
+    if (playing) this.timer = window.setInterval(() => this.goTo(this.current + 1), this.interval)
+
+    const rotating = !this.userPaused && !this.reducedMotion
+    this.rotationButton.setAttribute('aria-label', rotating ? 'Stop automatic slide show' : 'Start automatic slide show')
+    this.rotationButton.textContent = rotating ? '❚❚' : '▶'
+    this.rotationButton.disabled = this.reducedMotion
+  }
+}
+
+/**
+ * Enhance every `.hero__slider` on the page
+ * @returns {Promise<HeroCarousel[]>}
+ */
+export async function initHeroCarousels() {
+  const roots = document.querySelectorAll('.hero__slider[data-slides-src]')
+  const carousels = []
+
+  for (const root of roots) {
+    const carousel = new HeroCarousel(root)
+
+    try {
+      carousel.addSlides(await loadJSON(root.dataset.slidesSrc))
+    } catch (error) {
+      // The static first slide is still a complete hero without the extra slides
+      console.warn('Hero slides unavailable:', error.message)
+    }
+
+    carousel.mount()
+    carousels.push(carousel)
+  }
+
+  return carousels
+}
@@ -0,0 +1,131 @@
+// js/components/language-switcher.js
+
+import { loadJSON } from '../lib/data.js'
+import { DEFAULT_LOCALE, applyTranslations, negotiateLocale } from '../lib/i18n.js'
+
+/**
+ * Language Switcher
+ *
+ * Translates the page into the locale picked in the header `<select>`,
+ * using the message files named by `data-messages-src`.
+ *
+ * - The starting locale comes from `?lang=`, then the remembered choice,
+ *   then `navigator.languages`, then English
+ * - `html[lang]` follows the locale; every locale is left-to-right
+ * - Content that components render later is translated as it is added
+ * - Missing keys fall back to English
+ */
+
+const STORAGE_KEY = 'wema:locale'
+
+export class LanguageSwitcher {
+  /**
+   * @param {HTMLElement} root - The `.language-switcher` wrapper
+   */
+  constructor(root) {
+    this.root = root
+    this.select = root.querySelector('.language-switcher__select')
+    this.supported = Array.from(this.select.options, option => option.value)
+    this.messagesSrc = root.dataset.messagesSrc
+    this.catalogues = new Map()
+    this.locale = DEFAULT_LOCALE
+  }
+
+  async mount() {
+    this.select.addEventListener('change', () => this.setLocale(this.select.value, { remember: true }))
+
+    new MutationObserver(records => {
+      const catalogues = this.chain()
+      if (!catalogues) return
+
+      for (const record of records) {
+        for (const node of record.addedNodes) {
+          if (node.nodeType === Node.ELEMENT_NODE) applyTranslations(node, catalogues)
+        }
+      }
+    }).observe(document.body, { childList: true, subtree: true })
+
+    this.root.hidden = false
+    await this.setLocale(this.initialLocale())
+  }
+
+  /**
+   * @returns {string}
+   */
+  initialLocale() {
+    const fromUrl = new URLSearchParams(window.location.search).get('lang')
+    let stored = null
+    try {
+      stored = localStorage.getItem(STORAGE_KEY)
+    } catch {
+      // Storage can be blocked; fall through to the browser languages
+    }
+
+    return negotiateLocale([fromUrl, stored, ...navigator.languages], this.supported)
+  }
+
+  /**
+   * Messages for the current locale followed by the English fallback,
+   * or null until they have loaded
+   * @returns {Object<string, string>[]|null}
+   */
+  chain() {
+    const messages = this.catalogues.get(this.locale)
+    const fallback = this.catalogues.get(DEFAULT_LOCALE)
+    return messages && fallback ? [messages, fallback] : null
+  }
+
+  /**
+   * @param {string} locale
+   * @returns {Promise<Object<string, string>>}
+   */
+  async load(locale) {
+    if (!this.catalogues.has(locale)) {
+      this.catalogues.set(locale, await loadJSON(this.messagesSrc.replace('{locale}', locale)))
+    }
+    return this.catalogues.get(locale)
+  }
+
+  /**
+   * @param {string} locale
+   * @param {Object} [options]
+   * @param {boolean} [options.remember] - Store the choice for later visits
+   */
+  async setLocale(locale, { remember = false } = {}) {
+    await Promise.all([this.load(DEFAULT_LOCALE), this.load(locale)])
+
+    this.locale = locale
+    this.select.value = locale
+    document.documentElement.lang = locale
+    document.documentElement.dir = 'ltr'
+    applyTranslations(document, this.chain())
+
+    if (remember) {
+      try {
+        localStorage.setItem(STORAGE_KEY, locale)
+      } catch {
+        // The choice still applies to this visit
+      }
+
+      const url = new URL(window.location.href)
+      if (url.searchParams.has('lang')) {
+        url.searchParams.set('lang', locale)
+        history.replaceState(history.state, '', url)
+      }
+    }
+  }
+}
+
+/**
+ * Start the header language switcher
+ * @returns {Promise<LanguageSwitcher|null>}
+ */
+export async function initLanguageSwitcher() {
+  const root = document.querySelector('.language-switcher[data-messages-src]')
+  if (!root) return null
+
+  const switcher = new LanguageSwitcher(root)
+  await switcher.mount()
+
+  return switcher
+}
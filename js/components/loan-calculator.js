@@ -0,0 +1,206 @@
+// js/components/loan-calculator.js
+
+import { createElement } from '../lib/dom.js'
+import { loadJSON } from '../lib/data.js'
+import { formatCurrency, formatNumber } from '../lib/format.js'
+import { showFieldError, clearFieldError, focusFirstInvalid } from '../lib/form-errors.js'
+import { LOAN_METHODS, scheduleToCSV } from '../lib/loan.js'
+import { connectToolTriggers } from '../lib/tool-panel.js'
+
+/**
+ * Loan Repayment Calculator
+ *
+ * Estimates repayments for the loan products in data/loan-products.json.
+ * Opened from the Personal and Business Banking service cards.
+ *
+ * - Amount, tenor and rate are validated against the product's limits
+ * - Reducing balance and flat rate methods
+ * - Monthly instalment, total interest and a full amortisation schedule,
+ *   which can be downloaded as CSV
+ * - After the first calculation, results follow the inputs as they change
+ */
+
+export class LoanCalculator {
+  /**
+   * @param {HTMLElement} root - The `.loan-calculator` panel
+   * @param {Object[]} products - Loan products with their limits
+   */
+  constructor(root, products) {
+    this.root = root
+    this.products = products
+    this.form = root.querySelector('.loan-calculator__form')
+    this.fields = {
+      product: this.form.elements.namedItem('product'),
+      amount: this.form.elements.namedItem('amount'),
+      tenor: this.form.elements.namedItem('tenor'),
+      rate: this.form.elements.namedItem('rate')
+    }
+    this.results = root.querySelector('.loan-calculator__results')
+    this.tableBody = root.querySelector('.loan-calculator__schedule tbody')
+    this.summary = root.querySelector('.loan-calculator__announcement')
+    this.result = null
+  }
+
+  mount() {
+    this.fields.product.replaceChildren(...this.products.map(product =>
+      createElement('option', { value: product.id, text: product.name })))
+
+    this.fields.product.addEventListener('change', () => this.selectProduct(this.fields.product.value))
+    this.form.addEventListener('submit', event => {
+      event.preventDefault()
+      this.calculate({ focusErrors: true })
+    })
+    this.form.addEventListener('input', event => {
+      if (this.result && event.target !== this.fields.product) this.calculate()
+    })
+    this.root.querySelector('.loan-calculator__download').addEventListener('click', () => this.download())
+
+    connectToolTriggers(this.root, product => this.selectProduct(product))
+    this.selectProduct(this.products[0].id)
+  }
+
+  /**
+   * @returns {Object} The selected product
+   */
+  get product() {
+    return this.products.find(product => product.id === this.fields.product.value) || this.products[0]
+  }
+
+  /**
+   * Switch product, resetting the inputs to its defaults and limits
+   * @param {string} id
+   */
+  selectProduct(id) {
+    if (!this.products.some(product => product.id === id)) return
+
+    this.fields.product.value = id
+    const product = this.product
+
+    const defaults = {
+      amount: [product.defaultAmount,
+        `Between ${formatCurrency(product.minAmount, { maximumFractionDigits: 0 })} and ${formatCurrency(product.maxAmount, { maximumFractionDigits: 0 })}`],
+      tenor: [product.defaultTenor,
+        `Between ${product.minTenor} and ${product.maxTenor} months`],
+      rate: [product.defaultRate,
+        `Between ${formatNumber(product.minRate)}% and ${formatNumber(product.maxRate)}% per year`]
+    }
+
+    for (const [name, [value, hint]] of Object.entries(defaults)) {
+      const input = this.fields[name]
+      input.value = value
+      document.getElementById(`${input.id}-hint`).textContent = hint
+      clearFieldError(input)
+    }
+
+    const method = this.form.querySelector(`input[name="method"][value="${product.defaultMethod}"]`)
+    if (method) method.checked = true
+
+    if (this.result) this.calculate()
+  }
+
+  /**
+   * @returns {{amount: number, tenor: number, rate: number}|null} Valid inputs, or null after showing errors
+   */
+  readInputs() {
+    const product = this.product
+    const rules = {
+      amount: [product.minAmount, product.maxAmount, 'Enter a loan amount',
+        `Enter an amount between ${formatCurrency(product.minAmount, { maximumFractionDigits: 0 })} and ${formatCurrency(product.maxAmount, { maximumFractionDigits: 0 })}`],
+      tenor: [product.minTenor, product.maxTenor, 'Enter a tenor in months',
+        `Enter a whole number of months between ${product.minTenor} and ${product.maxTenor}`],
+      rate: [product.minRate, product.maxRate, 'Enter an interest rate',
+        `Enter a rate between ${formatNumber(product.minRate)}% and ${formatNumber(product.maxRate)}%`]
+    }
+
+    const values = {}
+    let valid = true
+
+    for (const [name, [min, max, missing, outOfRange]] of Object.entries(rules)) {
+      const input = this.fields[name]
+      const raw = input.value.replace(/[,\s₦]/g, '')
+      const value = Number(raw)
+      const wholeMonths = name !== 'tenor' || Number.isInteger(value)
+
+      if (raw === '') {
+        showFieldError(input, missing)
+        valid = false
+      } else if (!Number.isFinite(value) || value < min || value > max || !wholeMonths) {
+        showFieldError(input, outOfRange)
+        valid = false
+      } else {
+        clearFieldError(input)
+        values[name] = value
+      }
+    }
+
+    return valid ? values : null
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.focusErrors] - Move focus to the first invalid field
+   */
+  calculate({ focusErrors = false } = {}) {
+    const inputs = this.readInputs()
+
+    if (!inputs) {
+      if (focusErrors) focusFirstInvalid(this.form)
+      return
+    }
+
+    const method = this.form.querySelector('input[name="method"]:checked').value
+    this.result = LOAN_METHODS[method](inputs.amount, inputs.rate, inputs.tenor)
+    this.render(inputs)
+  }
+
+  /**
+   * @param {{amount: number, tenor: number, rate: number}} inputs
+   */
+  render(inputs) {
+    const { instalment, totalInterest, totalRepayment, schedule } = this.result
+
+    this.root.querySelector('[data-result="instalment"]').textContent = formatCurrency(instalment)
+    this.root.querySelector('[data-result="interest"]').textContent = formatCurrency(totalInterest)
+    this.root.querySelector('[data-result="total"]').textContent = formatCurrency(totalRepayment)
+
+    this.tableBody.replaceChildren(...schedule.map(row => createElement('tr', {},
+      createElement('th', { scope: 'row', text: String(row.month) }),
+      createElement('td', { text: formatCurrency(row.payment) }),
+      createElement('td', { text: formatCurrency(row.principal) }),
+      createElement('td', { text: formatCurrency(row.interest) }),
+      createElement('td', { text: formatCurrency(row.balance) })
+    )))
+
+    this.summary.textContent = `Monthly instalment ${formatCurrency(instalment)} for ${inputs.tenor} months, ` +
+      `total interest ${formatCurrency(totalInterest)}.`
+    this.results.hidden = false
+  }
+
+  download() {
+    if (!this.result) return
+
+    const blob = new Blob([scheduleToCSV(this.result.schedule)], { type: 'text/csv;charset=utf-8' })
+    const url = URL.createObjectURL(blob)
+    const link = createElement('a', { href: url, download: `wema-${this.product.id}-loan-schedule.csv` })
+
+    document.body.append(link)
+    link.click()
+    link.remove()
+    window.setTimeout(() => URL.revokeObjectURL(url))
+  }
+}
+
+/**
+ * Start the loan calculator panel
+ * @returns {Promise<LoanCalculator|null>}
+ */
+export async function initLoanCalculator() {
+  const root = document.querySelector('.loan-calculator[data-products-src]')
+  if (!root) return null
+
+  const { products } = await loadJSON(root.dataset.productsSrc)
+  const calculator = new LoanCalculator(root, products)
+  calculator.mount()
+
+  return calculator
+}
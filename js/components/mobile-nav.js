@@ -0,0 +1,113 @@
+// js/components/mobile-nav.js
+
+import { trapFocus } from '../lib/focus-trap.js'
+
+/**
+ * Mobile Navigation
+ *
+ * Collapses `nav.header__nav` behind a menu toggle on small viewports.
+ *
+ * - The toggle reflects the panel state in `aria-expanded`
+ * - While open, focus is trapped between the toggle and the panel links
+ * - Escape and clicks outside close the panel and return focus to the toggle
+ * - Choosing a link closes the panel and lets the browser follow the link
+ * - Above the breakpoint the nav is shown inline and the toggle is hidden
+ */
+
+export const COLLAPSED_QUERY = '(max-width: 48em)'
+
+export class MobileNav {
+  /**
+   * @param {HTMLElement} header - The `header.header` element
+   */
+  constructor(header) {
+    this.header = header
+    this.nav = header.querySelector('.header__nav')
+    this.toggle = header.querySelector('.header__toggle')
+    this.query = window.matchMedia(COLLAPSED_QUERY)
+    this.releaseFocus = null
+    this.isOpen = false
+
+    this.handleDocumentClick = this.handleDocumentClick.bind(this)
+    this.handleKeydown = this.handleKeydown.bind(this)
+
+    this.header.classList.add('header--nav-collapsible')
+    this.toggle.setAttribute('aria-expanded', 'false')
+
+    this.toggle.addEventListener('click', () => {
+      if (this.isOpen) {
+        this.close({ returnFocus: true })
+      } else {
+        this.open()
+      }
+    })
+
+    this.nav.addEventListener('click', event => {
+      if (event.target.closest('a') && this.isOpen) this.close()
+    })
+
+    this.query.addEventListener('change', () => {
+      if (!this.query.matches && this.isOpen) this.close()
+    })
+  }
+
+  open() {
+    this.isOpen = true
+    this.toggle.setAttribute('aria-expanded', 'true')
+    this.nav.classList.add('header__nav--open')
+    document.body.classList.add('has-open-nav')
+
+    this.releaseFocus = trapFocus([this.toggle, this.nav])
+    document.addEventListener('click', this.handleDocumentClick)
+    document.addEventListener('keydown', this.handleKeydown)
+
+    const firstLink = this.nav.querySelector('a')
+    if (firstLink) firstLink.focus()
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.returnFocus] - Move focus back to the toggle
+   */
+  close({ returnFocus = false } = {}) {
+    this.isOpen = false
+    this.toggle.setAttribute('aria-expanded', 'false')
+    this.nav.classList.remove('header__nav--open')
+    document.body.classList.remove('has-open-nav')
+
+    if (this.releaseFocus) this.releaseFocus()
+    this.releaseFocus = null
+    document.removeEventListener('click', this.handleDocumentClick)
+    document.removeEventListener('keydown', this.handleKeydown)
+
+    if (returnFocus) this.toggle.focus()
+  }
+
+  /**
+   * @param {MouseEvent} event
+   */
+  handleDocumentClick(event) {
+    if (this.nav.contains(event.target) || this.toggle.contains(event.target)) return
+    this.close({ returnFocus: true })
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  handleKeydown(event) {
+    if (event.key !== 'Escape') return
+    event.preventDefault()
+    this.close({ returnFocus: true })
+  }
+}
+
+/**
+ * Enhance the site header navigation
+ * @returns {MobileNav|null}
+ */
+export function initMobileNav() {
+  const header = document.querySelector('header.header')
+  if (!header || !header.querySelector('.header__toggle')) return null
+
+  return new MobileNav(header)
+}
@@ -0,0 +1,144 @@
+// js/components/newsletter-form.js
+
+import { adapterForForm } from '../lib/form-adapters.js'
+import { showFieldError, clearFieldError, focusFirstInvalid } from '../lib/form-errors.js'
+import { isValidEmail, normalizeEmail } from '../lib/validation.js'
+
+/**
+ * Newsletter Signup
+ *
+ * Validates and submits the `.newsletter-form` in the footer.
+ *
+ * - Email, at least one topic and privacy consent are required
+ * - Errors are shown inline and focus moves to the first invalid field
+ * - The submit button is locked while a request is in flight, and an address
+ *   that has already been subscribed from this page is not sent again
+ */
+
+const MESSAGES = {
+  emailMissing: 'Enter your email address',
+  emailInvalid: 'Enter an email address in the format name@example.com',
+  topicsMissing: 'Choose at least one topic',
+  consentMissing: 'Tick the box to agree to the Privacy Policy',
+  success: 'Thank you! Check your inbox to confirm your subscription.',
+  duplicate: 'This email address is already subscribed.',
+  validation: 'We could not accept this subscription. Check your email address and topics, then try again.',
+  network: 'We could not reach our servers. Check your connection and try again.',
+  server: 'Something went wrong on our side. Please try again later.'
+}
+
+export class NewsletterForm {
+  /**
+   * @param {HTMLFormElement} form
+   */
+  constructor(form) {
+    this.form = form
+    this.email = form.elements.namedItem('email')
+    this.topics = form.querySelector('.newsletter-form__topics')
+    this.consent = form.elements.namedItem('consent')
+    this.submitButton = form.querySelector('[type="submit"]')
+    this.status = form.querySelector('.newsletter-form__status')
+    this.adapter = adapterForForm(form)
+    this.pending = false
+    this.subscribed = new Set()
+
+    form.noValidate = true
+    form.addEventListener('submit', event => this.handleSubmit(event))
+  }
+
+  /**
+   * @returns {{email: string, topics: string[], consent: boolean}}
+   */
+  getPayload() {
+    return {
+      email: normalizeEmail(this.email.value),
+      topics: Array.from(this.topics.querySelectorAll('input:checked'), input => input.value),
+      consent: this.consent.checked
+    }
+  }
+
+  /**
+   * Validate every field, updating the inline errors
+   * @param {Object} payload
+   * @returns {boolean} Whether the form is valid
+   */
+  validate(payload) {
+    const emailError = !this.email.value.trim()
+      ? MESSAGES.emailMissing
+      : !isValidEmail(payload.email) ? MESSAGES.emailInvalid : ''
+
+    const checks = [
+      [this.email, emailError],
+      [this.topics, payload.topics.length ? '' : MESSAGES.topicsMissing],
+      [this.consent, payload.consent ? '' : MESSAGES.consentMissing]
+    ]
+
+    for (const [control, message] of checks) {
+      if (message) {
+        showFieldError(control, message)
+      } else {
+        clearFieldError(control)
+      }
+    }
+
+    return checks.every(([, message]) => !message)
+  }
+
+  /**
+   * @param {'success'|'error'} state
+   * @param {string} message
+   */
+  setStatus(state, message) {
+    this.status.textContent = message
+    this.status.dataset.state = state
+  }
+
+  /**
+   * @param {SubmitEvent} event
+   */
+  async handleSubmit(event) {
+    event.preventDefault()
+
+    if (this.pending) return
+
+    const payload = this.getPayload()
+
+    if (!this.validate(payload)) {
+      focusFirstInvalid(this.form)
+      return
+    }
+
+    if (this.subscribed.has(payload.email)) {
+      this.setStatus('error', MESSAGES.duplicate)
+      return
+    }
+
+    this.pending = true
+    this.submitButton.disabled = true
+    this.form.setAttribute('aria-busy', 'true')
+
+    try {
+      await this.adapter.submit(payload)
+      this.subscribed.add(payload.email)
+      this.setStatus('success', MESSAGES.success)
+      this.form.reset()
+    } catch (error) {
+      if (error.code === 'duplicate') {
+        this.subscribed.add(payload.email)
+      }
+      this.setStatus('error', MESSAGES[error.code] || MESSAGES.server)
+    } finally {
+      this.pending = false
+      this.submitButton.disabled = false
+      this.form.removeAttribute('aria-busy')
+    }
+  }
+}
+
+/**
+ * Enhance every newsletter form on the page
+ * @returns {NewsletterForm[]}
+ */
+export function initNewsletterForms() {
+  return Array.from(document.querySelectorAll('form.newsletter-form'), form => new NewsletterForm(form))
+}
@@ -0,0 +1,343 @@
+// js/components/savings-projector.js
+
+import { createElement } from '../lib/dom.js'
+import { loadJSON } from '../lib/data.js'
+import { formatCurrency, formatDate, formatNumber } from '../lib/format.js'
+import { showFieldError, clearFieldError, focusFirstInvalid } from '../lib/form-errors.js'
+import { projectSavings, rateForTenor } from '../lib/savings.js'
+import { connectToolTriggers } from '../lib/tool-panel.js'
+
+/**
+ * Savings Projector
+ *
+ * Projects the growth of a target savings plan or fixed deposit, using the
+ * rates and withholding tax in data/savings-rates.json. Opened from the
+ * Investment Services card.
+ *
+ * - The rate follows the product's tier for the chosen tenor until the
+ *   visitor types their own
+ * - Growth is drawn as an SVG chart; the same figures are always available
+ *   as a table, which is visually hidden until the visitor asks for it
+ * - After the first projection, results follow the inputs as they change
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+const MAX_RATE = 50
+
+// Chart drawing area, in viewBox units
+const CHART = { width: 640, height: 320, top: 16, right: 16, bottom: 40, left: 80 }
+
+/**
+ * Create an SVG element
+ * @param {string} tag
+ * @param {Object} [attrs]
+ * @param {...Node} children
+ * @returns {SVGElement}
+ */
+function svg(tag, attrs = {}, ...children) {
+  const element = document.createElementNS(SVG_NS, tag)
+  for (const [name, value] of Object.entries(attrs)) element.setAttribute(name, value)
+  element.append(...children)
+  return element
+}
+
+/**
+ * Round up to 1, 2 or 5 times a power of ten, for the top of the value axis
+ * @param {number} value
+ * @returns {number}
+ */
+function niceCeiling(value) {
+  if (value <= 0) return 1
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)))
+  return [1, 2, 5, 10].find(step => step * magnitude >= value) * magnitude
+}
+
+const compactNaira = value => formatCurrency(value, { notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 })
+
+export class SavingsProjector {
+  /**
+   * @param {HTMLElement} root - The `.savings-projector` panel
+   * @param {{effectiveDate: string, withholdingTaxRate: number, products: Object[]}} rates
+   */
+  constructor(root, rates) {
+    this.root = root
+    this.rates = rates
+    this.products = rates.products
+    this.form = root.querySelector('.savings-projector__form')
+    this.fields = {
+      product: this.form.elements.namedItem('product'),
+      deposit: this.form.elements.namedItem('deposit'),
+      contribution: this.form.elements.namedItem('contribution'),
+      tenor: this.form.elements.namedItem('tenor'),
+      rate: this.form.elements.namedItem('rate'),
+      compounding: this.form.elements.namedItem('compounding')
+    }
+    this.results = root.querySelector('.savings-projector__results')
+    this.chart = root.querySelector('.savings-projector__chart')
+    this.tableWrapper = root.querySelector('.savings-projector__table')
+    this.tableBody = root.querySelector('.savings-projector__table tbody')
+    this.tableToggle = root.querySelector('.savings-projector__table-toggle')
+    this.summary = root.querySelector('.savings-projector__announcement')
+    this.projection = null
+    this.rateEdited = false
+  }
+
+  mount() {
+    this.fields.product.replaceChildren(...this.products.map(product =>
+      createElement('option', { value: product.id, text: product.name })))
+
+    this.fields.product.addEventListener('change', () => this.selectProduct(this.fields.product.value))
+    this.fields.rate.addEventListener('input', () => { this.rateEdited = true })
+    this.fields.tenor.addEventListener('input', () => this.updateRate())
+    this.form.addEventListener('submit', event => {
+      event.preventDefault()
+      this.calculate({ focusErrors: true })
+    })
+    this.form.addEventListener('input', event => {
+      if (this.projection && event.target !== this.fields.product) this.calculate()
+    })
+    this.tableToggle.addEventListener('click', () => this.toggleTable())
+
+    connectToolTriggers(this.root, product => this.selectProduct(product))
+    this.selectProduct(this.products[0].id)
+  }
+
+  /**
+   * @returns {Object} The selected product
+   */
+  get product() {
+    return this.products.find(product => product.id === this.fields.product.value) || this.products[0]
+  }
+
+  /**
+   * Switch product, resetting the inputs to its defaults and limits
+   * @param {string} [id]
+   */
+  selectProduct(id) {
+    if (!this.products.some(product => product.id === id)) return
+
+    this.fields.product.value = id
+    const product = this.product
+
+    const defaults = {
+      deposit: [product.defaultDeposit,
+        `Between ${formatCurrency(product.minDeposit, { maximumFractionDigits: 0 })} and ${formatCurrency(product.maxDeposit, { maximumFractionDigits: 0 })}`],
+      contribution: [product.defaultContribution, product.contributions
+        ? `Up to ${formatCurrency(product.maxContribution, { maximumFractionDigits: 0 })} a month`
+        : `${product.name} takes a single deposit`],
+      tenor: [product.defaultTenor,
+        `Between ${product.minTenor} and ${product.maxTenor} months`]
+    }
+
+    for (const [name, [value, hint]] of Object.entries(defaults)) {
+      const input = this.fields[name]
+      input.value = value
+      document.getElementById(`${input.id}-hint`).textContent = hint
+      clearFieldError(input)
+    }
+
+    this.fields.contribution.disabled = !product.contributions
+    this.fields.compounding.value = product.defaultCompounding
+    this.rateEdited = false
+    this.updateRate()
+
+    if (this.projection) this.calculate()
+  }
+
+  /**
+   * Show the advertised rate for the tenor, and use it unless the visitor
+   * has typed their own
+   */
+  updateRate() {
+    const tenor = Number(this.fields.tenor.value)
+    const rate = Number.isInteger(tenor) ? rateForTenor(this.product.rates, tenor) : undefined
+    const hint = document.getElementById(`${this.fields.rate.id}-hint`)
+    const effective = formatDate(new Date(`${this.rates.effectiveDate}T00:00:00+01:00`))
+
+    if (rate === undefined) {
+      hint.textContent = `Rates effective ${effective}`
+      return
+    }
+
+    hint.textContent = `Our rate for ${tenor} months is ${formatNumber(rate)}% per year (effective ${effective})`
+    if (!this.rateEdited) {
+      this.fields.rate.value = rate
+      clearFieldError(this.fields.rate)
+    }
+  }
+
+  /**
+   * @returns {{deposit: number, contribution: number, tenor: number, rate: number}|null} Valid inputs, or null after showing errors
+   */
+  readInputs() {
+    const product = this.product
+    const rules = {
+      deposit: [product.minDeposit, product.maxDeposit, 'Enter an opening deposit',
+        `Enter a deposit between ${formatCurrency(product.minDeposit, { maximumFractionDigits: 0 })} and ${formatCurrency(product.maxDeposit, { maximumFractionDigits: 0 })}`],
+      contribution: [0, product.maxContribution, 'Enter a monthly contribution, or 0',
+        `Enter a contribution up to ${formatCurrency(product.maxContribution, { maximumFractionDigits: 0 })}`],
+      tenor: [product.minTenor, product.maxTenor, 'Enter a tenor in months',
+        `Enter a whole number of months between ${product.minTenor} and ${product.maxTenor}`],
+      rate: [0, MAX_RATE, 'Enter an interest rate',
+        `Enter a rate between 0% and ${MAX_RATE}%`]
+    }
+
+    const values = {}
+    let valid = true
+
+    for (const [name, [min, max, missing, outOfRange]] of Object.entries(rules)) {
+      const input = this.fields[name]
+      if (input.disabled) {
+        values[name] = 0
+        continue
+      }
+
+      const raw = input.value.replace(/[,\s₦%]/g, '')
+      const value = Number(raw)
+      const wholeMonths = name !== 'tenor' || Number.isInteger(value)
+
+      if (raw === '') {
+        showFieldError(input, missing)
+        valid = false
+      } else if (!Number.isFinite(value) || value < min || value > max || !wholeMonths) {
+        showFieldError(input, outOfRange)
+        valid = false
+      } else {
+        clearFieldError(input)
+        values[name] = value
+      }
+    }
+
+    if (valid && values.deposit === 0 && values.contribution === 0) {
+      showFieldError(this.fields.deposit, 'Enter an opening deposit or a monthly contribution')
+      valid = false
+    }
+
+    return valid ? values : null
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.focusErrors] - Move focus to the first invalid field
+   */
+  calculate({ focusErrors = false } = {}) {
+    const inputs = this.readInputs()
+
+    if (!inputs) {
+      if (focusErrors) focusFirstInvalid(this.form)
+      return
+    }
+
+    this.projection = projectSavings({
+      deposit: inputs.deposit,
+      contribution: inputs.contribution,
+      months: inputs.tenor,
+      annualRate: inputs.rate,
+      compounding: this.fields.compounding.value,
+      taxRate: this.rates.withholdingTaxRate
+    })
+    this.render(inputs)
+  }
+
+  /**
+   * @param {{tenor: number}} inputs
+   */
+  render(inputs) {
+    const { totalContributions, netInterest, tax, maturityValue, schedule } = this.projection
+
+    this.root.querySelector('[data-result="maturity"]').textContent = formatCurrency(maturityValue)
+    this.root.querySelector('[data-result="contributions"]').textContent = formatCurrency(totalContributions)
+    this.root.querySelector('[data-result="interest"]').textContent = formatCurrency(netInterest)
+    this.root.querySelector('[data-result="tax"]').textContent = formatCurrency(tax)
+
+    // Every month for short tenors, otherwise the end of each year and maturity
+    const rows = schedule.filter(row =>
+      inputs.tenor <= 24 || row.month % 12 === 0 || row.month === inputs.tenor)
+
+    this.tableBody.replaceChildren(...rows.map(row => createElement('tr', {},
+      createElement('th', { scope: 'row', text: row.month === 0 ? 'Opening' : String(row.month) }),
+      createElement('td', { text: formatCurrency(row.contributions) }),
+      createElement('td', { text: formatCurrency(row.interest) }),
+      createElement('td', { text: formatCurrency(row.tax) }),
+      createElement('td', { text: formatCurrency(row.balance) })
+    )))
+
+    this.chart.replaceChildren(this.renderChart(schedule))
+
+    this.summary.textContent = `Projected value ${formatCurrency(maturityValue)} after ${inputs.tenor} months, ` +
+      `including ${formatCurrency(netInterest)} interest after tax.`
+    this.results.hidden = false
+  }
+
+  /**
+   * Draw the balance and the amount paid in over time
+   * @param {import('../lib/savings.js').GrowthRow[]} schedule
+   * @returns {SVGSVGElement}
+   */
+  renderChart(schedule) {
+    const { width, height, top, right, bottom, left } = CHART
+    const last = schedule[schedule.length - 1]
+    const maxValue = niceCeiling(last.balance)
+    const x = month => left + (month / last.month) * (width - left - right)
+    const y = value => top + (1 - value / maxValue) * (height - top - bottom)
+    const line = key => schedule.map((row, index) =>
+      `${index ? 'L' : 'M'}${x(row.month).toFixed(1)},${y(row[key]).toFixed(1)}`).join('')
+
+    const grid = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+      const value = maxValue * fraction
+      return svg('g', { class: 'savings-chart__grid' },
+        svg('line', { x1: left, x2: width - right, y1: y(value), y2: y(value) }),
+        svg('text', { x: left - 8, y: y(value), 'text-anchor': 'end', 'dominant-baseline': 'middle' },
+          compactNaira(value)))
+    })
+
+    const months = [...new Set([0, Math.round(last.month / 2), last.month])]
+    const axis = months.map(month =>
+      svg('text', { class: 'savings-chart__tick', x: x(month), y: height - bottom + 24, 'text-anchor': 'middle' },
+        month === 0 ? 'Start' : `${month} mo`))
+
+    return svg('svg', {
+      class: 'savings-chart',
+      viewBox: `0 0 ${width} ${height}`,
+      role: 'img',
+      'aria-label': `Chart: balance grows from ${formatCurrency(schedule[0].balance)} to ` +
+        `${formatCurrency(last.balance)} over ${last.month} months, of which ` +
+        `${formatCurrency(last.contributions)} is paid in. The figures are in the table.`
+    },
+    ...grid,
+    svg('path', {
+      class: 'savings-chart__area',
+      d: `${line('balance')}L${x(last.month)},${y(0)}L${x(0)},${y(0)}Z`
+    }),
+    svg('path', { class: 'savings-chart__line savings-chart__line--balance', d: line('balance') }),
+    svg('path', { class: 'savings-chart__line savings-chart__line--contributions', d: line('contributions') }),
+    ...axis)
+  }
+
+  /**
+   * Show or visually hide the growth table. It stays available to screen
+   * readers either way.
+   */
+  toggleTable() {
+    const show = this.tableToggle.getAttribute('aria-expanded') !== 'true'
+
+    this.tableWrapper.classList.toggle('visually-hidden', !show)
+    this.tableWrapper.tabIndex = show ? 0 : -1
+    this.tableToggle.setAttribute('aria-expanded', String(show))
+    this.tableToggle.textContent = show ? 'Hide table' : 'Show as table'
+  }
+}
+
+/**
+ * Start the savings projector panel
+ * @returns {Promise<SavingsProjector|null>}
+ */
+export async function initSavingsProjector() {
+  const root = document.querySelector('.savings-projector[data-rates-src]')
+  if (!root) return null
+
+  const projector = new SavingsProjector(root, await loadJSON(root.dataset.ratesSrc))
+  projector.mount()
+
+  return projector
+}
@@ -0,0 +1,175 @@
+// js/components/scroll-spy.js
+
+import { prefersReducedMotion } from '../lib/motion.js'
+
+/**
+ * Scroll Spy
+ *
+ * Keeps the main navigation in step with the section in view.
+ *
+ * - `aria-current="page"` and `nav__link--active` follow the visible section
+ * - The URL hash is updated with `history.replaceState`, so scrolling never
+ *   adds history entries. Scrolling only replaces a hash that names one of
+ *   the sections, so deep links such as `#faq-block-card` stay until a nav
+ *   link is chosen
+ * - Nav links scroll smoothly unless reduced motion is requested
+ * - The sticky header height is published as `--header-offset`, which the
+ *   stylesheet uses as `scroll-padding-top` so section titles stay visible
+ */
+
+const ACTIVE_CLASS = 'nav__link--active'
+// Fallback for browsers without the `scrollend` event
+const SCROLL_LOCK_TIMEOUT = 1000
+
+export class ScrollSpy {
+  /**
+   * @param {HTMLElement} nav - The navigation containing `.nav__link` anchors
+   * @param {HTMLElement} header - The sticky site header
+   */
+  constructor(nav, header) {
+    this.nav = nav
+    this.header = header
+    this.links = Array.from(nav.querySelectorAll('.nav__link[href^="#"]'))
+    this.sections = this.links
+      .map(link => document.getElementById(link.hash.slice(1)))
+      .filter(Boolean)
+    this.visible = new Set()
+    this.activeId = null
+    this.observer = null
+    this.headerOffset = null
+    this.scrollingTo = null
+  }
+
+  start() {
+    this.updateHeaderOffset()
+    new ResizeObserver(() => this.updateHeaderOffset()).observe(this.header)
+
+    for (const link of this.links) {
+      link.addEventListener('click', event => this.handleLinkClick(event, link))
+    }
+
+    this.observe()
+  }
+
+  /**
+   * (Re)create the observer; its top margin depends on the header height
+   */
+  observe() {
+    if (this.observer) this.observer.disconnect()
+
+    // A section counts as "in view" while it crosses the band between the
+    // bottom of the header and the middle of the viewport
+    this.observer = new IntersectionObserver(entries => this.handleIntersections(entries), {
+      rootMargin: `-${this.headerOffset}px 0px -50% 0px`
+    })
+
+    this.visible.clear()
+    this.sections.forEach(section => this.observer.observe(section))
+  }
+
+  updateHeaderOffset() {
+    const position = window.getComputedStyle(this.header).position
+    const offset = position === 'sticky' || position === 'fixed' ? this.header.offsetHeight : 0
+
+    if (offset === this.headerOffset) return
+
+    this.headerOffset = offset
+    document.documentElement.style.setProperty('--header-offset', `${offset}px`)
+
+    if (this.observer) this.observe()
+  }
+
+  /**
+   * @param {IntersectionObserverEntry[]} entries
+   */
+  handleIntersections(entries) {
+    for (const entry of entries) {
+      if (entry.isIntersecting) {
+        this.visible.add(entry.target)
+      } else {
+        this.visible.delete(entry.target)
+      }
+    }
+
+    // While scrolling to a chosen section, ignore the sections passed on the way
+    if (this.scrollingTo) return
+
+    // The first section in document order wins when several share the band
+    const current = this.sections.find(section => this.visible.has(section))
+    if (current) this.setActive(current.id, { updateHash: this.activeId !== null && this.ownsHash() })
+  }
+
+  /**
+   * Whether the URL hash is empty or names one of the sections, rather than
+   * a deep link into the page
+   * @returns {boolean}
+   */
+  ownsHash() {
+    const id = decodeURIComponent(window.location.hash.slice(1))
+    return !id || this.sections.some(section => section.id === id)
+  }
+
+  /**
+   * @param {string} id - Section id
+   * @param {Object} [options]
+   * @param {boolean} [options.updateHash] - Replace the URL hash with `#id`
+   */
+  setActive(id, { updateHash = false } = {}) {
+    if (id === this.activeId) return
+    this.activeId = id
+
+    for (const link of this.links) {
+      const active = link.hash === `#${id}`
+      link.classList.toggle(ACTIVE_CLASS, active)
+
+      if (active) {
+        link.setAttribute('aria-current', 'page')
+      } else {
+        link.removeAttribute('aria-current')
+      }
+    }
+
+    if (updateHash && window.location.hash !== `#${id}`) {
+      history.replaceState(history.state, '', `#${id}`)
+    }
+  }
+
+  /**
+   * @param {MouseEvent} event
+   * @param {HTMLAnchorElement} link
+   */
+  handleLinkClick(event, link) {
+    const section = document.getElementById(link.hash.slice(1))
+    if (!section || event.defaultPrevented || event.metaKey || event.ctrlKey || event.shiftKey) return
+
+    event.preventDefault()
+
+    this.scrollingTo = section.id
+    const release = () => { this.scrollingTo = null }
+    window.addEventListener('scrollend', release, { once: true })
+    window.setTimeout(release, SCROLL_LOCK_TIMEOUT)
+
+    section.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'start' })
+
+    // Move focus so keyboard users continue from the section they chose
+    if (!section.hasAttribute('tabindex')) section.setAttribute('tabindex', '-1')
+    section.focus({ preventScroll: true })
+
+    this.setActive(section.id, { updateHash: true })
+  }
+}
+
+/**
+ * Start the scroll spy for the main navigation
+ * @returns {ScrollSpy|null}
+ */
+export function initScrollSpy() {
+  const header = document.querySelector('header.header')
+  const nav = header && header.querySelector('.header__nav')
+  if (!nav || !('IntersectionObserver' in window)) return null
+
+  const spy = new ScrollSpy(nav, header)
+  spy.start()
+
+  return spy
+}
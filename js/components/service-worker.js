@@ -0,0 +1,24 @@
+// js/components/service-worker.js
+
+/**
+ * Service Worker
+ *
+ * Registers /sw.js, which keeps the landing page and an offline page
+ * available without a connection. Browsers without service worker
+ * support, and pages opened from a file, are left as they are.
+ */
+
+/**
+ * Register the service worker once the page has loaded, so precaching does
+ * not compete with the page's own requests
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function initServiceWorker() {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return null
+
+  if (document.readyState !== 'complete') {
+    await new Promise(resolve => window.addEventListener('load', resolve, { once: true }))
+  }
+
+  return navigator.serviceWorker.register('/sw.js', { scope: '/' })
+}
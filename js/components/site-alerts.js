@@ -0,0 +1,112 @@
+// js/components/site-alerts.js
+
+import { createElement, isSafeHref } from '../lib/dom.js'
+import { loadJSON } from '../lib/data.js'
+import { activeAlerts, dismissAlert, dismissedAlerts, roleFor } from '../lib/alerts.js'
+
+/**
+ * Site Alerts
+ *
+ * Shows the fraud warnings and service notices from data/alerts.json in
+ * banners between the skip link and the header, so the skip link is still
+ * the first thing on the page.
+ *
+ * - An alert shows between its start and end time (Lagos time), on the
+ *   pages it targets
+ * - Critical alerts use role="alert" and are announced at once; others use
+ *   role="status"
+ * - Dismissible alerts have a close button, and stay closed on later visits
+ */
+
+export class SiteAlerts {
+  /**
+   * @param {HTMLElement} root - The `.site-alerts` container
+   * @param {Object[]} alerts
+   */
+  constructor(root, alerts) {
+    this.root = root
+    this.alerts = alerts
+  }
+
+  /**
+   * @param {Date} [now]
+   * @param {string} [pagePath]
+   */
+  render(now = new Date(), pagePath = window.location.pathname) {
+    const alerts = activeAlerts(this.alerts, { now, pagePath, dismissed: dismissedAlerts() })
+
+    this.root.replaceChildren(...alerts.map(alert => this.renderAlert(alert)))
+    this.root.hidden = alerts.length === 0
+  }
+
+  /**
+   * @param {Object} alert
+   * @returns {HTMLElement}
+   */
+  renderAlert(alert) {
+    const link = alert.link && isSafeHref(alert.link.href)
+      ? createElement('a', {
+        className: 'alert-banner__link',
+        href: alert.link.href,
+        'data-i18n': `alerts.${alert.id}.link`,
+        text: alert.link.label
+      })
+      : null
+
+    const banner = createElement('div', {
+      className: `alert-banner alert-banner--${alert.severity}`,
+      role: roleFor(alert.severity),
+      'data-alert-id': alert.id
+    },
+    createElement('div', { className: 'alert-banner__container' },
+      createElement('p', { className: 'alert-banner__message' },
+        createElement('span', { 'data-i18n': `alerts.${alert.id}.message`, text: alert.message }),
+        link ? ' ' : null,
+        link
+      )
+    ))
+
+    if (alert.dismissible) {
+      const button = createElement('button', { type: 'button', className: 'alert-banner__dismiss' },
+        createElement('span', { 'aria-hidden': 'true', text: '×' }),
+        createElement('span', { className: 'visually-hidden', 'data-i18n': 'alerts.dismiss', text: 'Dismiss alert' })
+      )
+      button.addEventListener('click', () => this.dismiss(alert, banner))
+      banner.firstChild.append(button)
+    }
+
+    return banner
+  }
+
+  /**
+   * Close an alert for good, keeping focus on the page
+   * @param {Object} alert
+   * @param {HTMLElement} banner
+   */
+  dismiss(alert, banner) {
+    dismissAlert(alert.id)
+
+    const next = banner.nextElementSibling || banner.previousElementSibling
+    banner.remove()
+    this.root.hidden = !this.root.children.length
+
+    const target = next
+      ? next.querySelector('.alert-banner__dismiss, a')
+      : document.querySelector('header.header a')
+    if (target) target.focus()
+  }
+}
+
+/**
+ * Show the current alerts, if the page has a place for them
+ * @returns {Promise<SiteAlerts|null>}
+ */
+export async function initSiteAlerts() {
+  const root = document.querySelector('.site-alerts[data-alerts-src]')
+  if (!root) return null
+
+  const { alerts } = await loadJSON(root.dataset.alertsSrc)
+  const siteAlerts = new SiteAlerts(root, alerts)
+  siteAlerts.render()
+  return siteAlerts
+}
@@ -0,0 +1,248 @@
+// js/components/site-search.js
+
+import { createElement } from '../lib/dom.js'
+import { loadJSON } from '../lib/data.js'
+import { createSearcher, highlight, snippet } from '../lib/search.js'
+
+/**
+ * Site Search
+ *
+ * Searches the service cards, content pages, FAQs and branches from the
+ * header, using the index the build writes to data/search-index.json.
+ *
+ * - Follows the ARIA combobox pattern: the input owns a listbox of results
+ *   and points at the active one with `aria-activedescendant`
+ * - Arrow keys move through the results, Enter opens one, Escape closes the
+ *   list and then clears the input
+ * - "/" anywhere outside a form field jumps to the search box
+ * - The index is only downloaded once the search box is first used
+ */
+
+const MAX_RESULTS = 8
+
+const TYPE_LABELS = {
+  service: 'Service',
+  page: 'Page',
+  faq: 'FAQ',
+  branch: 'Branch'
+}
+
+const MESSAGES = {
+  results: count => `${count} result${count === 1 ? '' : 's'} available. Use the up and down arrows to choose one.`,
+  none: query => `No results for “${query}”`,
+  unavailable: 'Search is not available right now. Please try again later.'
+}
+
+/**
+ * Is the element somewhere people type?
+ * @param {Element|null} element
+ * @returns {boolean}
+ */
+function isTextEntry(element) {
+  return Boolean(element && (element.isContentEditable || element.closest('input, textarea, select')))
+}
+
+/**
+ * Text with its matching words wrapped in <mark>
+ * @param {string} text
+ * @param {Set<string>} terms
+ * @returns {(Node|string)[]}
+ */
+function highlighted(text, terms) {
+  return highlight(text, terms).map(part =>
+    part.match ? createElement('mark', { className: 'site-search__match', text: part.text }) : part.text)
+}
+
+export class SiteSearch {
+  /**
+   * @param {HTMLElement} root - The `.site-search` wrapper
+   */
+  constructor(root) {
+    this.root = root
+    this.input = root.querySelector('.site-search__input')
+    this.listbox = root.querySelector('.site-search__results')
+    this.status = root.querySelector('.site-search__status')
+    this.indexSrc = root.dataset.indexSrc
+    this.searcher = null
+    this.loading = null
+    this.results = []
+    this.activeIndex = -1
+  }
+
+  mount() {
+    this.input.addEventListener('focus', () => this.load())
+    this.input.addEventListener('input', () => this.update())
+    this.input.addEventListener('keydown', event => this.handleKeydown(event))
+    this.input.addEventListener('blur', () => this.close())
+    // Keep focus in the input, so clicking a result does not close the list first
+    this.listbox.addEventListener('mousedown', event => event.preventDefault())
+    this.listbox.addEventListener('click', event => {
+      const option = event.target.closest('[role="option"]')
+      if (option) this.open(Number(option.dataset.index))
+    })
+
+    document.addEventListener('keydown', event => {
+      if (event.key !== '/' || event.ctrlKey || event.metaKey || event.altKey) return
+      if (isTextEntry(event.target)) return
+
+      event.preventDefault()
+      this.input.focus()
+    })
+
+    this.root.hidden = false
+  }
+
+  /**
+   * Fetch the index, once
+   * @returns {Promise<boolean>} Whether search is ready
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = loadJSON(this.indexSrc)
+        .then(index => {
+          this.searcher = createSearcher(index)
+          return true
+        })
+        .catch(error => {
+          console.warn('Search index failed to load:', error)
+          this.loading = null
+          return false
+        })
+    }
+    return this.loading
+  }
+
+  async update() {
+    const query = this.input.value.trim()
+
+    if (!query) {
+      this.render([])
+      this.status.textContent = ''
+      return
+    }
+
+    if (!(await this.load())) {
+      this.render([])
+      this.status.textContent = MESSAGES.unavailable
+      return
+    }
+
+    // The visitor may have typed more while the index loaded
+    if (query !== this.input.value.trim()) return
+
+    const results = this.searcher.search(query, MAX_RESULTS)
+    this.render(results)
+    this.status.textContent = results.length ? MESSAGES.results(results.length) : MESSAGES.none(query)
+  }
+
+  /**
+   * @param {Array<{document: Object, terms: Set<string>}>} results
+   */
+  render(results) {
+    this.results = results
+    this.activeIndex = -1
+
+    this.listbox.replaceChildren(...results.map(({ document, terms }, index) =>
+      createElement('li', {
+        id: `site-search-option-${index}`,
+        className: 'site-search__option',
+        role: 'option',
+        'aria-selected': 'false',
+        'data-index': index
+      },
+      createElement('span', { className: 'site-search__title' }, ...highlighted(document.title, terms)),
+      createElement('span', { className: 'site-search__type', text: TYPE_LABELS[document.type] || '' }),
+      createElement('span', { className: 'site-search__snippet' }, ...highlighted(snippet(document.text, terms), terms))
+      )))
+
+    const expanded = results.length > 0
+    this.listbox.hidden = !expanded
+    this.input.setAttribute('aria-expanded', String(expanded))
+    this.input.removeAttribute('aria-activedescendant')
+  }
+
+  /**
+   * @param {number} index - -1 for none
+   */
+  setActive(index) {
+    const options = this.listbox.querySelectorAll('[role="option"]')
+    options.forEach((option, i) => option.setAttribute('aria-selected', String(i === index)))
+    this.activeIndex = index
+
+    if (index < 0) {
+      this.input.removeAttribute('aria-activedescendant')
+      return
+    }
+
+    this.input.setAttribute('aria-activedescendant', options[index].id)
+    options[index].scrollIntoView({ block: 'nearest' })
+  }
+
+  close() {
+    this.listbox.hidden = true
+    this.input.setAttribute('aria-expanded', 'false')
+    this.setActive(-1)
+  }
+
+  /**
+   * Go to a result
+   * @param {number} index
+   */
+  open(index) {
+    const result = this.results[index]
+    if (!result) return
+
+    this.close()
+    window.location.assign(result.document.url)
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  handleKeydown(event) {
+    const count = this.results.length
+    const expanded = !this.listbox.hidden
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault()
+        if (!count) return
+        if (!expanded) this.render(this.results)
+        this.setActive((this.activeIndex + 1) % count)
+        break
+      case 'ArrowUp':
+        event.preventDefault()
+        if (!count) return
+        if (!expanded) this.render(this.results)
+        this.setActive(this.activeIndex <= 0 ? count - 1 : this.activeIndex - 1)
+        break
+      case 'Enter':
+        if (expanded && count) {
+          event.preventDefault()
+          this.open(Math.max(this.activeIndex, 0))
+        }
+        break
+      case 'Escape':
+        if (expanded) {
+          this.close()
+        } else {
+          this.input.value = ''
+          this.update()
+        }
+        break
+    }
+  }
+}
+
+/**
+ * Enhance the header search box
+ * @returns {SiteSearch|null}
+ */
+export function initSiteSearch() {
+  const root = document.querySelector('.site-search[data-index-src]')
+  if (!root) return null
+
+  const search = new SiteSearch(root)
+  search.mount()
+  return search
+}
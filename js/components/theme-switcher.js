@@ -0,0 +1,52 @@
+// js/components/theme-switcher.js
+
+import { applyTheme, saveTheme, storedTheme } from '../lib/theme.js'
+
+/**
+ * Theme Switcher
+ *
+ * Lets the visitor pick a light, dark or system theme from the header
+ * `<select>`.
+ *
+ * - The choice is remembered; js/theme-init.js applies it before first paint
+ * - The theme-color meta tags follow the active theme
+ * - The control stays hidden without JavaScript, when the system theme applies
+ */
+
+export class ThemeSwitcher {
+  /**
+   * @param {HTMLElement} root - The `.theme-switcher` wrapper
+   */
+  constructor(root) {
+    this.root = root
+    this.select = root.querySelector('.theme-switcher__select')
+  }
+
+  mount() {
+    this.select.value = storedTheme()
+    this.select.addEventListener('change', () => this.setTheme(this.select.value))
+    this.root.hidden = false
+  }
+
+  /**
+   * @param {string} theme - "system", "light" or "dark"
+   */
+  setTheme(theme) {
+    applyTheme(theme)
+    saveTheme(theme)
+  }
+}
+
+/**
+ * Start the header theme switcher
+ * @returns {ThemeSwitcher|null}
+ */
+export function initThemeSwitcher() {
+  const root = document.querySelector('.theme-switcher')
+  if (!root) return null
+
+  const switcher = new ThemeSwitcher(root)
+  switcher.mount()
+
+  return switcher
+}
@@ -0,0 +1,124 @@
+// js/lib/alerts.js
+
+import { lagosClock } from './hours.js'
+
+/**
+ * Site-wide alerts.
+ *
+ * Alerts are kept in data/alerts.json, each one shaped like:
+ *
+ *   { "id": "alat-maintenance", "severity": "info", "message": "…",
+ *     "link": { "label": "…", "href": "/digital-banking" },
+ *     "starts": "2026-10-25T00:00", "ends": "2026-10-25T04:00",
+ *     "pages": ["/", "/digital-banking"], "dismissible": true }
+ *
+ * `starts` and `ends` are local Africa/Lagos times, and either may be left
+ * out. `pages` holds exact paths or prefixes ending in "/*"; "*" matches
+ * every page. Dismissed alert IDs are remembered in localStorage.
+ */
+
+export const SEVERITIES = ['info', 'warning', 'critical']
+
+const STORAGE_KEY = 'wema:dismissed-alerts'
+
+/**
+ * Lagos local time of an instant, in the "YYYY-MM-DDTHH:MM" form alerts use
+ * @param {Date} date
+ * @returns {string}
+ */
+export function lagosDateTime(date) {
+  const { date: day, minutes } = lagosClock(date)
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0')
+
+  return `${day}T${hours}:${String(minutes % 60).padStart(2, '0')}`
+}
+
+/**
+ * Is the alert within its start and end times? The end is exclusive.
+ * @param {{starts?: string, ends?: string}} alert
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isScheduled(alert, now) {
+  const time = lagosDateTime(now)
+
+  return (!alert.starts || alert.starts <= time) && (!alert.ends || time < alert.ends)
+}
+
+/**
+ * "/loans/" and "/loans/index.html" are the same page as "/loans"
+ * @param {string} pagePath
+ * @returns {string}
+ */
+export function normalizePath(pagePath) {
+  return pagePath.replace(/\/index\.html$/, '/').replace(/(.)\/+$/, '$1')
+}
+
+/**
+ * @param {{pages?: string[]}} alert
+ * @param {string} pagePath
+ * @returns {boolean}
+ */
+export function targetsPage(alert, pagePath) {
+  const current = normalizePath(pagePath)
+
+  return (alert.pages || ['*']).some(page => {
+    if (page === '*') return true
+    if (page.endsWith('/*')) return current === page.slice(0, -2) || current.startsWith(page.slice(0, -1))
+    return normalizePath(page) === current
+  })
+}
+
+/**
+ * Critical alerts interrupt screen readers; the rest wait their turn
+ * @param {string} severity
+ * @returns {'alert'|'status'}
+ */
+export function roleFor(severity) {
+  return severity === 'critical' ? 'alert' : 'status'
+}
+
+/**
+ * @returns {Set<string>} IDs of the alerts the visitor has dismissed
+ */
+export function dismissedAlerts() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return new Set(Array.isArray(ids) ? ids : [])
+  } catch {
+    // Storage can be blocked or hold something unreadable; show every alert
+    return new Set()
+  }
+}
+
+/**
+ * Remember that an alert was dismissed
+ * @param {string} id
+ */
+export function dismissAlert(id) {
+  const ids = dismissedAlerts()
+  ids.add(id)
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([...ids]))
+  } catch {
+    // The alert stays dismissed for this visit
+  }
+}
+
+/**
+ * Alerts to show on a page right now, most severe first
+ * @param {Object[]} alerts
+ * @param {Object} context
+ * @param {Date} context.now
+ * @param {string} context.pagePath
+ * @param {Set<string>} [context.dismissed]
+ * @returns {Object[]}
+ */
+export function activeAlerts(alerts, { now, pagePath, dismissed = new Set() }) {
+  return alerts
+    .filter(alert => SEVERITIES.includes(alert.severity))
+    .filter(alert => !(alert.dismissible && dismissed.has(alert.id)))
+    .filter(alert => isScheduled(alert, now) && targetsPage(alert, pagePath))
+    .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity))
+}
@@ -0,0 +1,114 @@
+// js/lib/branches.js
+
+/**
+ * Branch search, filtering and distance helpers.
+ *
+ * Everything here works on the local branch and place datasets, so the
+ * branch finder needs no network access or map service.
+ */
+
+const EARTH_RADIUS_KM = 6371
+const COORDINATES_PATTERN = /^\s*(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)\s*$/
+
+/**
+ * Lower-case and strip accents and punctuation for loose matching
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeText(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @returns {number} Distance in kilometres
+ */
+export function distanceKm(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180
+  const deltaLat = toRadians(to.lat - from.lat)
+  const deltaLng = toRadians(to.lng - from.lng)
+  const a = Math.sin(deltaLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLng / 2) ** 2
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+}
+
+/**
+ * Turn a typed-in location into coordinates.
+ * Accepts "lat, lng" or the name of a place in the places dataset.
+ * @param {string} input
+ * @param {Array<{name: string, state: string, lat: number, lng: number}>} places
+ * @returns {{name: string, lat: number, lng: number}|null}
+ */
+export function resolvePlace(input, places) {
+  const coordinates = COORDINATES_PATTERN.exec(input)
+
+  if (coordinates) {
+    const lat = Number(coordinates[1])
+    const lng = Number(coordinates[2])
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null
+    return { name: `${lat}, ${lng}`, lat, lng }
+  }
+
+  const query = normalizeText(input)
+  if (!query) return null
+
+  return places.find(place => normalizeText(place.name) === query)
+    || places.find(place => normalizeText(place.name).startsWith(query))
+    || null
+}
+
+/**
+ * Filter branches by free text, city, state, service and ATM availability
+ * @param {Object[]} branches
+ * @param {Object} filters
+ * @param {string} [filters.query] - Every word must appear in the name, address, city or state
+ * @param {string} [filters.city] - City slug, e.g. 'port-harcourt'
+ * @param {string} [filters.state]
+ * @param {string} [filters.service] - Service slug
+ * @param {boolean} [filters.atm] - Only branches with an ATM
+ * @returns {Object[]}
+ */
+export function filterBranches(branches, { query = '', city = '', state = '', service = '', atm = false } = {}) {
+  const words = normalizeText(query).split(' ').filter(Boolean)
+
+  return branches.filter(branch => {
+    if (city && branch.city !== city) return false
+    if (state && branch.state !== state) return false
+    if (service && !branch.services.includes(service)) return false
+    if (atm && !branch.atm) return false
+
+    const haystack = normalizeText(`${branch.name} ${branch.address} ${branch.city} ${branch.state}`)
+    return words.every(word => haystack.includes(word))
+  })
+}
+
+/**
+ * Attach the distance from `origin` to each branch and sort nearest first
+ * @param {Object[]} branches
+ * @param {{lat: number, lng: number}} origin
+ * @returns {Array<Object & {distance: number}>}
+ */
+export function sortByDistance(branches, origin) {
+  return branches
+    .map(branch => ({ ...branch, distance: distanceKm(origin, branch.coordinates) }))
+    .sort((a, b) => a.distance - b.distance)
+}
+
+/**
+ * City slug from a `/branches/<city>` path; '' for `/branches/all` or the index
+ * @param {string} pathname
+ * @param {Object<string, string>} cities - Known city slugs and names
+ * @returns {string}
+ */
+export function cityFromPath(pathname, cities) {
+  const match = /^\/branches\/([a-z-]+)\/?$/.exec(pathname)
+  return match && match[1] in cities ? match[1] : ''
+}
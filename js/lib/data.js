@@ -0,0 +1,21 @@
+// js/lib/data.js
+
+/**
+ * Loading of the local JSON data files under /data.
+ */
+
+/**
+ * Fetch and parse a JSON file
+ * @param {string} url - Path of the JSON file, e.g. '/data/hero-slides.json'
+ * @returns {Promise<*>} Parsed JSON
+ * @throws {Error} When the request fails or the response is not OK
+ */
+export async function loadJSON(url) {
+  const response = await fetch(url, { headers: { Accept: 'application/json' } })
+
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`)
+  }
+
+  return response.json()
+}
@@ -0,0 +1,52 @@
+// js/lib/dom.js
+
+/**
+ * DOM helpers shared by the landing page components.
+ *
+ * Components build their markup with `createElement` so that data coming
+ * from JSON files is always written through `textContent`, never parsed as HTML.
+ */
+
+/**
+ * Create an element with attributes and children
+ * @param {string} tagName - Element name, e.g. 'button'
+ * @param {Object<string, *>} [attributes] - Attributes to set; `false`/`null` values are skipped
+ * @param {...(Node|string|null|undefined)} children - Child nodes or text
+ * @returns {HTMLElement}
+ */
+export function createElement(tagName, attributes = {}, ...children) {
+  const element = document.createElement(tagName)
+
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value === false || value === null || value === undefined) continue
+
+    if (name === 'className') {
+      element.className = value
+    } else if (name === 'text') {
+      element.textContent = value
+    } else {
+      element.setAttribute(name, value === true ? '' : String(value))
+    }
+  }
+
+  for (const child of children) {
+    if (child === null || child === undefined) continue
+    element.append(child)
+  }
+
+  return element
+}
+
+/**
+ * Check whether a URL from a data file is safe to use as a link target.
+ * Allows same-site paths, in-page anchors and https URLs only.
+ * @param {string} href
+ * @returns {boolean}
+ */
+export function isSafeHref(href) {
+  if (typeof href !== 'string' || href.length === 0) return false
+
+  return href.startsWith('/') && !href.startsWith('//')
+    || href.startsWith('#')
+    || href.startsWith('https://')
+}
@@ -0,0 +1,56 @@
+// js/lib/focus-trap.js
+
+/**
+ * Keep keyboard focus inside a set of containers while a panel is open.
+ */
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ')
+
+/**
+ * Focusable elements of the given containers, in container order
+ * @param {HTMLElement[]} containers
+ * @returns {HTMLElement[]}
+ */
+export function getFocusableElements(containers) {
+  return containers.flatMap(container => [
+    ...(container.matches(FOCUSABLE_SELECTOR) ? [container] : []),
+    ...container.querySelectorAll(FOCUSABLE_SELECTOR)
+  ])
+}
+
+/**
+ * Trap Tab and Shift+Tab inside `containers`
+ * @param {HTMLElement[]} containers - Elements whose focusable descendants form the cycle
+ * @returns {() => void} Function that releases the trap
+ */
+export function trapFocus(containers) {
+  function handleKeydown(event) {
+    if (event.key !== 'Tab') return
+
+    const focusable = getFocusableElements(containers)
+    if (focusable.length === 0) return
+
+    const first = focusable[0]
+    const last = focusable[focusable.length - 1]
+    const inside = focusable.includes(document.activeElement)
+
+    if (event.shiftKey && (document.activeElement === first || !inside)) {
+      event.preventDefault()
+      last.focus()
+    } else if (!event.shiftKey && (document.activeElement === last || !inside)) {
+      event.preventDefault()
+      first.focus()
+    }
+  }
+
+  document.addEventListener('keydown', handleKeydown)
+
+  return () => document.removeEventListener('keydown', handleKeydown)
+}
@@ -0,0 +1,125 @@
+// js/lib/form-adapters.js
+
+/**
+ * Submit adapters for the page forms.
+ *
+ * A form names its adapter in `data-adapter` and its endpoint in `action`.
+ * Every adapter exposes `submit(payload)`, resolving with the response body
+ * or rejecting with a `SubmissionError`, so forms never deal with transport details.
+ *
+ * - `fetch` posts JSON to the endpoint, and is used when no adapter is named
+ * - `mock` answers from the handlers in js/mocks/, which only the tests load
+ *   (see tests/helpers/mock-endpoints.js)
+ */
+
+export class SubmissionError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {'duplicate'|'validation'|'network'|'server'} [details.code]
+   * @param {number} [details.status] - HTTP status, when there was a response
+   */
+  constructor(message, { code = 'server', status = 0 } = {}) {
+    super(message)
+    this.name = 'SubmissionError'
+    this.code = code
+    this.status = status
+  }
+}
+
+/**
+ * Map an HTTP status to a SubmissionError code
+ * @param {number} status
+ * @returns {string}
+ */
+function codeForStatus(status) {
+  if (status === 409) return 'duplicate'
+  if (status === 400 || status === 422) return 'validation'
+  return 'server'
+}
+
+/**
+ * Adapter that posts JSON to a real endpoint
+ * @param {string} endpoint
+ * @returns {{submit: (payload: Object) => Promise<Object>}}
+ */
+export function createFetchAdapter(endpoint) {
+  return {
+    async submit(payload) {
+      let response
+
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+          body: JSON.stringify(payload)
+        })
+      } catch (error) {
+        throw new SubmissionError('Network request failed', { code: 'network' })
+      }
+
+      const body = await response.json().catch(() => ({}))
+
+      if (!response.ok) {
+        throw new SubmissionError(body.message || response.statusText, {
+          code: codeForStatus(response.status),
+          status: response.status
+        })
+      }
+
+      return body
+    }
+  }
+}
+
+/**
+ * Handlers used by the mock adapter, keyed by endpoint path.
+ * Each receives the payload and returns the response body or throws a SubmissionError.
+ * @type {Map<string, (payload: Object) => Object>}
+ */
+const mockHandlers = new Map()
+
+/**
+ * Register the mock behaviour of an endpoint
+ * @param {string} endpoint
+ * @param {(payload: Object) => Object} handler
+ */
+export function registerMockEndpoint(endpoint, handler) {
+  mockHandlers.set(endpoint, handler)
+}
+
+/**
+ * Adapter that answers from a handler registered with `registerMockEndpoint`
+ * @param {string} endpoint
+ * @param {Object} [options]
+ * @param {number} [options.latency] - Simulated network delay in milliseconds
+ * @returns {{submit: (payload: Object) => Promise<Object>}}
+ */
+export function createMockAdapter(endpoint, { latency = 400 } = {}) {
+  return {
+    async submit(payload) {
+      const handler = mockHandlers.get(endpoint)
+
+      await new Promise(resolve => setTimeout(resolve, latency))
+
+      if (!handler) {
+        throw new SubmissionError(`No mock registered for ${endpoint}`, { status: 404 })
+      }
+
+      return handler(payload)
+    }
+  }
+}
+
+/**
+ * Pick the adapter configured on a form
+ * @param {HTMLFormElement} form - Form with `action` and optional `data-adapter`
+ * @returns {{submit: (payload: Object) => Promise<Object>}}
+ */
+export function adapterForForm(form) {
+  const endpoint = new URL(form.action, window.location.href).pathname
+
+  return form.dataset.adapter === 'mock'
+    ? createMockAdapter(endpoint)
+    : createFetchAdapter(endpoint)
+}
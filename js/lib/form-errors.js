@@ -0,0 +1,101 @@
+// js/lib/form-errors.js
+
+import { createElement } from './dom.js'
+
+/**
+ * Inline error messages for form fields, and the error summary listing
+ * them at the top of longer forms.
+ *
+ * The message element for a control is the element whose id is
+ * `<control id>-error`; it is referenced from the control's
+ * `aria-describedby` and toggled with the `hidden` attribute.
+ */
+
+/**
+ * @param {HTMLElement} control - Input, select, textarea or fieldset
+ * @returns {HTMLElement|null}
+ */
+function errorElementFor(control) {
+  return document.getElementById(`${control.id}-error`)
+}
+
+/**
+ * Mark a control invalid and show its message
+ * @param {HTMLElement} control
+ * @param {string} message
+ */
+export function showFieldError(control, message) {
+  const error = errorElementFor(control)
+
+  control.setAttribute('aria-invalid', 'true')
+
+  if (error) {
+    error.textContent = message
+    error.hidden = false
+  }
+}
+
+/**
+ * Clear the invalid state and message of a control
+ * @param {HTMLElement} control
+ */
+export function clearFieldError(control) {
+  const error = errorElementFor(control)
+
+  control.removeAttribute('aria-invalid')
+
+  if (error) {
+    error.textContent = ''
+    error.hidden = true
+  }
+}
+
+/**
+ * Move focus to the first control marked invalid
+ * @param {HTMLFormElement} form
+ */
+export function focusFirstInvalid(form) {
+  const invalid = form.querySelector('[aria-invalid="true"]')
+  if (!invalid) return
+
+  const target = invalid.matches('fieldset') ? invalid.querySelector('input') : invalid
+  target.focus()
+}
+
+/**
+ * The control a summary link should focus: the first input of a fieldset
+ * @param {HTMLElement} control
+ * @returns {HTMLElement}
+ */
+function focusTargetFor(control) {
+  return control.matches('fieldset') ? control.querySelector('input, select, textarea') : control
+}
+
+/**
+ * Fill an error summary with a link to each invalid control and move focus
+ * to it, or hide the summary when there are no errors.
+ *
+ * The summary is a `tabindex="-1"` container holding a heading and an empty
+ * `<ul>`; focusing it makes screen readers read the list out.
+ *
+ * @param {HTMLElement} summary
+ * @param {{control: HTMLElement, message: string}[]} errors
+ */
+export function showErrorSummary(summary, errors) {
+  const list = summary.querySelector('ul')
+
+  list.replaceChildren(...errors.map(({ control, message }) => {
+    const target = focusTargetFor(control)
+    const link = createElement('a', { href: `#${target.id}`, text: message })
+    link.addEventListener('click', event => {
+      // Focus the control itself; following the fragment would only scroll
+      event.preventDefault()
+      target.focus()
+    })
+
+    return createElement('li', {}, link)
+  }))
+
+  summary.hidden = errors.length === 0
+  if (errors.length) summary.focus()
+}
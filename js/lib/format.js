@@ -0,0 +1,48 @@
+// js/lib/format.js
+
+/**
+ * Nigerian locale formatting.
+ *
+ * All figures and dates on the page are formatted for `en-NG` and, for
+ * dates and times, the Africa/Lagos timezone regardless of the visitor's clock.
+ */
+
+export const LOCALE = 'en-NG'
+export const TIME_ZONE = 'Africa/Lagos'
+
+/**
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(LOCALE, options).format(value)
+}
+
+/**
+ * @param {Date|string|number} date
+ * @param {Intl.DateTimeFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatDate(date, options = { dateStyle: 'long' }) {
+  return new Intl.DateTimeFormat(LOCALE, { timeZone: TIME_ZONE, ...options }).format(new Date(date))
+}
+
+/**
+ * Calendar year of `date` in Lagos
+ * @param {Date} [date]
+ * @returns {number}
+ */
+export function yearInLagos(date = new Date()) {
+  return Number(new Intl.DateTimeFormat(LOCALE, { timeZone: TIME_ZONE, year: 'numeric' }).format(date))
+}
+
+/**
+ * Format an amount in naira, e.g. "₦1,234,567.50"
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatCurrency(value, options = {}) {
+  return formatNumber(value, { style: 'currency', currency: 'NGN', ...options })
+}
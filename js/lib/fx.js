@@ -0,0 +1,181 @@
+// js/lib/fx.js
+
+import { loadJSON } from './data.js'
+
+/**
+ * Naira exchange rates.
+ *
+ * Rates come from a provider: any object whose `fetchRates()` resolves with
+ * a rate sheet or rejects with a `RateFeedError`. The board names its
+ * provider in `data-provider`; `json` reads a file shaped like
+ * data/fx-rates.json, which stands in for the live feed:
+ *
+ *   { "updated": "2026-10-18T09:00:00+01:00",
+ *     "currencies": [{ "code": "USD", "name": "US dollar", "buy": 1520, "sell": 1545 }] }
+ *
+ * `buy` is the naira the bank pays for one unit of the currency and `sell`
+ * the naira it charges. A live feed plugs in with `registerRateProvider`.
+ * The last sheet a provider returned is kept in localStorage, to fall back
+ * on when the feed fails.
+ */
+
+export const DEFAULT_STALE_AFTER_MINUTES = 12 * 60
+
+const STORAGE_KEY = 'wema:fx-rates'
+
+export class RateFeedError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message)
+    this.name = 'RateFeedError'
+  }
+}
+
+/**
+ * @typedef {Object} RateSheet
+ * @property {string} updated - ISO time the rates were set
+ * @property {{code: string, name: string, buy: number, sell: number}[]} currencies
+ */
+
+/**
+ * Check a rate sheet from a feed, keeping only the fields the board uses
+ * @param {*} data
+ * @returns {RateSheet}
+ * @throws {RateFeedError} When the sheet is incomplete or a rate is not usable
+ */
+export function parseRates(data) {
+  if (!data || typeof data !== 'object' || Number.isNaN(new Date(data.updated).getTime())) {
+    throw new RateFeedError('Rate sheet has no valid updated time')
+  }
+  if (!Array.isArray(data.currencies) || data.currencies.length === 0) {
+    throw new RateFeedError('Rate sheet has no currencies')
+  }
+
+  const currencies = data.currencies.map(({ code, name, buy, sell }) => {
+    if (!/^[A-Z]{3}$/.test(code)) throw new RateFeedError(`Rate sheet has an invalid currency code: ${code}`)
+
+    // The bank never pays more for a currency than it charges for it
+    const usable = [buy, sell].every(rate => typeof rate === 'number' && rate > 0 && Number.isFinite(rate))
+    if (!usable || buy > sell) throw new RateFeedError(`Rate sheet has unusable rates for ${code}`)
+
+    return { code, name: name || code, buy, sell }
+  })
+
+  return { updated: data.updated, currencies }
+}
+
+/**
+ * Provider that reads a rate sheet from a JSON file
+ * @param {string} src
+ * @returns {{fetchRates: () => Promise<RateSheet>}}
+ */
+export function createJsonRateProvider(src) {
+  return {
+    async fetchRates() {
+      let data
+
+      try {
+        data = await loadJSON(src)
+      } catch (error) {
+        throw new RateFeedError(error.message)
+      }
+
+      return parseRates(data)
+    }
+  }
+}
+
+/**
+ * Provider factories by name, each given the board's `data-rates-src`
+ * @type {Map<string, (src: string) => {fetchRates: () => Promise<RateSheet>}>}
+ */
+const providers = new Map([['json', createJsonRateProvider]])
+
+/**
+ * Make a rate provider available to boards by name
+ * @param {string} name
+ * @param {(src: string) => {fetchRates: () => Promise<RateSheet>}} create
+ */
+export function registerRateProvider(name, create) {
+  providers.set(name, create)
+}
+
+/**
+ * @param {string} name
+ * @param {string} src
+ * @returns {{fetchRates: () => Promise<RateSheet>}}
+ * @throws {RateFeedError} When no provider has that name
+ */
+export function providerFor(name, src) {
+  const create = providers.get(name)
+  if (!create) throw new RateFeedError(`No rate provider named ${name}`)
+
+  return create(src)
+}
+
+/**
+ * @returns {RateSheet|null} The last sheet saved, if it is still readable
+ */
+export function cachedRates() {
+  try {
+    return parseRates(JSON.parse(localStorage.getItem(STORAGE_KEY)))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * @param {RateSheet} sheet
+ */
+export function cacheRates(sheet) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sheet))
+  } catch {
+    // Without storage there is simply nothing to fall back on next time
+  }
+}
+
+/**
+ * Fetch the rates, falling back to the last saved sheet when the feed fails
+ * @param {{fetchRates: () => Promise<RateSheet>}} provider
+ * @returns {Promise<{sheet: RateSheet, cached: boolean}>}
+ * @throws {Error} The feed's error, when nothing has been saved either
+ */
+export async function loadRates(provider) {
+  try {
+    const sheet = await provider.fetchRates()
+    cacheRates(sheet)
+    return { sheet, cached: false }
+  } catch (error) {
+    const sheet = cachedRates()
+    if (!sheet) throw error
+
+    return { sheet, cached: true }
+  }
+}
+
+/**
+ * Are the rates older than the board accepts?
+ * @param {RateSheet} sheet
+ * @param {Date} now
+ * @param {number} [staleAfterMinutes]
+ * @returns {boolean}
+ */
+export function isStale(sheet, now, staleAfterMinutes = DEFAULT_STALE_AFTER_MINUTES) {
+  return now.getTime() - new Date(sheet.updated).getTime() > staleAfterMinutes * 60 * 1000
+}
+
+/**
+ * Convert between naira and a currency at the bank's rates, to the kobo or cent
+ * @param {number} amount
+ * @param {{buy: number, sell: number}} currency
+ * @param {'to-ngn'|'from-ngn'} direction - "to-ngn" sells the currency to the
+ *   bank at its buy rate; "from-ngn" buys it at the sell rate
+ * @returns {number}
+ */
+export function convert(amount, currency, direction) {
+  const value = direction === 'to-ngn' ? amount * currency.buy : amount / currency.sell
+  return Math.round(value * 100) / 100
+}
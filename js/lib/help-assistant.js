@@ -0,0 +1,101 @@
+// js/lib/help-assistant.js
+
+import { maskSensitiveNumbers } from './masking.js'
+import { editDistance, tokenize } from './search.js'
+
+/**
+ * Help assistant rules.
+ *
+ * The assistant answers from data/help-assistant.json, where each intent
+ * lists the keywords that point to it:
+ *
+ *   { "id": "block-card", "label": "Block a lost or stolen card",
+ *     "keywords": ["block", "lost", "stolen card"],
+ *     "answer": "…", "links": [{ "label": "…", "href": "/cards" }],
+ *     "escalate": false }
+ *
+ * A keyword of several words counts only when all of them are in the
+ * message, and counts once per word, so "stolen card" outweighs "card".
+ * The intent with the highest total answers; a tie is put back to the
+ * visitor to choose, and no match at all is escalated to customer care.
+ *
+ * Messages that look like they hold a PIN, OTP or card number are refused
+ * before they are matched or shown.
+ */
+
+// Endings that leave a word's meaning alone: "blocked", "closing", "pins"
+const SUFFIXES = ['s', 'es', 'd', 'ed', 'ing']
+
+// Only longer keywords forgive a typo, since one typo turns "lost" into "last"
+const MIN_TYPO_LENGTH = 5
+
+const SECRET_WORDS = /\b(pin|otp|one[- ]?time|passcode|cvv|code|token)\b/i
+// USSD codes such as *945*911# are not secrets
+const SHORT_NUMBER = /(?<![\d+*#])\d(?:[ -]?\d){2,7}(?![\d*#])/
+const ONLY_NUMBER = /^\s*\d(?:[ -]?\d){3,7}\s*$/
+
+/**
+ * Does a message look like it holds a PIN, OTP, CVV or card number?
+ *
+ * This errs on the side of refusing: "pin expired in 2024" is refused too.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function looksSensitive(text) {
+  if (maskSensitiveNumbers(text).count > 0) return true
+  if (ONLY_NUMBER.test(text)) return true
+
+  return SECRET_WORDS.test(text) && SHORT_NUMBER.test(text)
+}
+
+/**
+ * Does a word of the message match a keyword word?
+ * @param {string} word
+ * @param {string} keyword
+ * @returns {boolean}
+ */
+export function wordMatches(word, keyword) {
+  if (word === keyword) return true
+
+  const stem = keyword.endsWith('e') ? keyword.slice(0, -1) : keyword
+  if (SUFFIXES.some(suffix => word === `${keyword}${suffix}` || word === `${stem}${suffix}`)) return true
+
+  if (keyword.length < MIN_TYPO_LENGTH) return false
+  const typos = keyword.length >= 8 ? 2 : 1
+  return editDistance(word, keyword, typos) <= typos
+}
+
+/**
+ * How strongly a message points to an intent
+ * @param {string[]} words - The message's words, from `tokenize`
+ * @param {{keywords: string[]}} intent
+ * @returns {number}
+ */
+export function scoreIntent(words, intent) {
+  return intent.keywords.reduce((score, keyword) => {
+    const parts = tokenize(keyword)
+    const matched = parts.length > 0 && parts.every(part => words.some(word => wordMatches(word, part)))
+    return matched ? score + parts.length : score
+  }, 0)
+}
+
+/**
+ * Decide how to reply to a message
+ * @param {{intents: Object[]}} knowledge
+ * @param {string} text
+ * @returns {{type: 'refuse'}|{type: 'answer', intent: Object}|{type: 'clarify', intents: Object[]}|{type: 'escalate'}}
+ */
+export function replyTo(knowledge, text) {
+  if (looksSensitive(text)) return { type: 'refuse' }
+
+  const words = tokenize(text)
+  const scored = knowledge.intents
+    .map(intent => ({ intent, score: scoreIntent(words, intent) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+
+  if (scored.length === 0) return { type: 'escalate' }
+
+  const best = scored.filter(({ score }) => score === scored[0].score).map(({ intent }) => intent)
+  return best.length === 1 ? { type: 'answer', intent: best[0] } : { type: 'clarify', intents: best }
+}
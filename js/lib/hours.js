@@ -0,0 +1,228 @@
+// js/lib/hours.js
+
+import { TIME_ZONE } from './format.js'
+import { formatMessage, resolveVars } from './i18n.js'
+
+/**
+ * Opening hours.
+ *
+ * Hours are stored as a list of periods in the shape of schema.org
+ * OpeningHoursSpecification, with 24-hour local (Africa/Lagos) times:
+ *
+ *   [{ "days": ["mon", "tue", "wed", "thu", "fri"], "opens": "08:00", "closes": "16:00" }]
+ *
+ * The same shape is used for the head office hours and for each branch, and
+ * open/closed checks always run on Lagos time whatever the visitor's clock says.
+ * Public holidays are listed by date, with an `id` that names their message
+ * in the data/i18n catalogues (`holidays.<id>`):
+ *
+ *   [{ "date": "2026-12-26", "id": "boxingDay", "name": "Boxing Day" }]
+ */
+
+export const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+export const DAY_NAMES = {
+  sun: 'Sunday',
+  mon: 'Monday',
+  tue: 'Tuesday',
+  wed: 'Wednesday',
+  thu: 'Thursday',
+  fri: 'Friday',
+  sat: 'Saturday'
+}
+
+/**
+ * Format a 24-hour "HH:MM" time as "8:00 AM"
+ * @param {string} time
+ * @returns {string}
+ */
+export function formatTime(time) {
+  const [hours, minutes] = time.split(':').map(Number)
+  const period = hours < 12 ? 'AM' : 'PM'
+  const hours12 = hours % 12 || 12
+
+  return `${hours12}:${String(minutes).padStart(2, '0')} ${period}`
+}
+
+/**
+ * Label for a run of days, e.g. "Monday - Friday" or "Saturday"
+ * @param {string[]} days - Day keys in week order
+ * @returns {string}
+ */
+export function formatDays(days) {
+  const first = DAY_NAMES[days[0]]
+  const last = DAY_NAMES[days[days.length - 1]]
+
+  return days.length === 1 ? first : `${first} - ${last}`
+}
+
+/**
+ * Human-readable lines for a set of opening hours
+ * @param {Array<{days: string[], opens: string, closes: string}>} periods
+ * @returns {Array<{days: string, time: string}>}
+ */
+export function describeHours(periods) {
+  return periods.map(period => ({
+    days: formatDays(period.days),
+    time: `${formatTime(period.opens)} - ${formatTime(period.closes)}`
+  }))
+}
+
+const MINUTES_PER_DAY = 24 * 60
+// How far ahead to look for the next opening, enough to pass any holiday run
+const LOOKAHEAD_DAYS = 14
+
+/**
+ * @param {string} time - "HH:MM"
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * Calendar date, weekday and time of day in Lagos for an instant
+ * @param {Date} date
+ * @returns {{date: string, day: string, minutes: number}} ISO date, day key and minutes since midnight
+ */
+export function lagosClock(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: TIME_ZONE,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  )
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.toLowerCase(),
+    minutes: (Number(parts.hour) * 60 + Number(parts.minute)) % MINUTES_PER_DAY
+  }
+}
+
+/**
+ * The calendar day `offset` days after an ISO date
+ * @param {string} isoDate - "YYYY-MM-DD"
+ * @param {number} offset
+ * @returns {{date: string, day: string}}
+ */
+function addDays(isoDate, offset) {
+  const [year, month, day] = isoDate.split('-').map(Number)
+  const date = new Date(Date.UTC(year, month - 1, day + offset))
+
+  return {
+    date: date.toISOString().slice(0, 10),
+    day: DAY_KEYS[date.getUTCDay()]
+  }
+}
+
+/**
+ * Opening periods on a given weekday, earliest first
+ * @param {Array<{days: string[], opens: string, closes: string}>} periods
+ * @param {string} day - Day key
+ */
+function periodsOn(periods, day) {
+  return periods
+    .filter(period => period.days.includes(day))
+    .sort((a, b) => toMinutes(a.opens) - toMinutes(b.opens))
+}
+
+/**
+ * Whether the schedule is open at `now`, and when it next opens or closes.
+ * Days listed in `holidays` are treated as closed all day.
+ * @param {Object} schedule
+ * @param {Array<{days: string[], opens: string, closes: string}>} schedule.hours
+ * @param {Array<{date: string, id: string, name: string}>} [schedule.holidays]
+ * @param {Date} [now]
+ * @returns {{open: boolean, closes?: string, opens?: {day: string, time: string, offset: number}, holiday?: {date: string, id: string, name: string}}}
+ */
+export function getOpenStatus({ hours, holidays = [] }, now = new Date()) {
+  const clock = lagosClock(now)
+  const holidayOn = date => holidays.find(holiday => holiday.date === date)
+  const holidayToday = holidayOn(clock.date)
+
+  if (!holidayToday) {
+    const current = periodsOn(hours, clock.day).find(period =>
+      toMinutes(period.opens) <= clock.minutes && clock.minutes < toMinutes(period.closes))
+
+    if (current) return { open: true, closes: current.closes }
+  }
+
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    const { date, day } = addDays(clock.date, offset)
+    if (holidayOn(date)) continue
+
+    const next = periodsOn(hours, day).find(period => offset > 0 || toMinutes(period.opens) > clock.minutes)
+
+    if (next) {
+      return { open: false, opens: { day, time: next.opens, offset }, holiday: holidayToday }
+    }
+  }
+
+  return { open: false, holiday: holidayToday }
+}
+
+/**
+ * English badge messages, keyed as in the data/i18n catalogues. There is no
+ * "holiday, opens today": a holiday is closed all day.
+ */
+export const OPEN_STATUS_MESSAGES = {
+  'hours.open': 'Open now — closes at {time}',
+  'hours.closed': 'Closed',
+  'hours.closedUntilToday': 'Closed — opens today {time}',
+  'hours.closedUntilTomorrow': 'Closed — opens tomorrow {time}',
+  'hours.closedUntil': 'Closed — opens {day} {time}',
+  'hours.holiday': 'Closed for {holiday}',
+  'hours.holidayUntilTomorrow': 'Closed for {holiday} — opens tomorrow {time}',
+  'hours.holidayUntil': 'Closed for {holiday} — opens {day} {time}'
+}
+
+/**
+ * Catalogue key and placeholder values of the badge for an open status. The
+ * weekday and holiday are messages of their own (`hours.days.<day>` and
+ * `holidays.<id>`), so they are translated with the badge
+ * @param {ReturnType<typeof getOpenStatus>} status
+ * @returns {{key: string, vars: Object<string, string|{key: string, text: string}>}}
+ */
+export function openStatusMessage(status) {
+  if (status.open) return { key: 'hours.open', vars: { time: formatTime(status.closes) } }
+
+  const closed = status.holiday ? 'hours.holiday' : 'hours.closed'
+  const vars = status.holiday ? { holiday: { key: `holidays.${status.holiday.id}`, text: status.holiday.name } } : {}
+  if (!status.opens) return { key: closed, vars }
+
+  const { offset, day, time } = status.opens
+  const when = offset === 0 ? 'Today' : offset === 1 ? 'Tomorrow' : ''
+
+  return { key: `${closed}Until${when}`, vars: { ...vars, day: { key: `hours.days.${day}`, text: DAY_NAMES[day] }, time: formatTime(time) } }
+}
+
+/**
+ * Attributes for a badge element, so the language switcher can translate it
+ * @param {ReturnType<typeof getOpenStatus>} status
+ * @returns {{'data-i18n': string, 'data-i18n-vars': string, text: string}}
+ */
+export function openStatusAttributes(status) {
+  const { key, vars } = openStatusMessage(status)
+  return { 'data-i18n': key, 'data-i18n-vars': JSON.stringify(vars), text: describeOpenStatus(status) }
+}
+
+/**
+ * English badge text for an open status, e.g. "Open now — closes at 4:00 PM"
+ * or "Closed — opens Monday 8:00 AM"
+ * @param {ReturnType<typeof getOpenStatus>} status
+ * @returns {string}
+ */
+export function describeOpenStatus(status) {
+  const { key, vars } = openStatusMessage(status)
+  return formatMessage(OPEN_STATUS_MESSAGES[key], resolveVars(vars))
+}
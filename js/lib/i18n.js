@@ -0,0 +1,133 @@
+// js/lib/i18n.js
+
+/**
+ * Translation helpers.
+ *
+ * Messages are flat JSON objects keyed by dotted names, one file per locale.
+ * Markup opts in with attributes:
+ *
+ *   <h2 data-i18n="services.title">Our Services</h2>
+ *   <a href="/" aria-label="Wema Bank Home" data-i18n-attr="aria-label:header.homeLabel">
+ *
+ * `data-i18n` replaces the text of a leaf element and `data-i18n-attr` lists
+ * space-separated `attribute:key` pairs. Messages may have `{name}`
+ * placeholders, filled from the JSON object in `data-i18n-vars`:
+ *
+ *   <span data-i18n="hours.open" data-i18n-vars='{"time":"4:00 PM"}'>…</span>
+ *
+ * A value may itself be a message, as `{"key": …, "text": …}`, for names
+ * such as weekdays that have to be translated with it:
+ *
+ *   data-i18n-vars='{"day":{"key":"hours.days.mon","text":"Monday"},"time":"8:00 AM"}'
+ *
+ * A key missing from the chosen locale falls back to English, then to the
+ * text the element was first rendered with, which is English in the markup
+ * and data files.
+ */
+
+export const DEFAULT_LOCALE = 'en'
+
+// What each element said before it was first translated
+const originals = new WeakMap()
+
+/**
+ * Pick the best supported locale for a list of language tags, matching
+ * whole tags first and then the primary subtag ("yo-NG" → "yo")
+ * @param {readonly string[]} requested - e.g. `navigator.languages`
+ * @param {string[]} supported
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+export function negotiateLocale(requested, supported, fallback = DEFAULT_LOCALE) {
+  const tags = requested.filter(Boolean).map(tag => tag.toLowerCase())
+
+  for (const tag of tags) {
+    const exact = supported.find(locale => locale.toLowerCase() === tag)
+    if (exact) return exact
+
+    const primary = supported.find(locale => locale.toLowerCase() === tag.split('-')[0])
+    if (primary) return primary
+  }
+
+  return fallback
+}
+
+/**
+ * Fill the `{name}` placeholders of a message; unknown names are left as they are
+ * @param {string} message
+ * @param {Object<string, string>} [vars]
+ * @returns {string}
+ */
+export function formatMessage(message, vars = {}) {
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => name in vars ? String(vars[name]) : placeholder)
+}
+
+/**
+ * Placeholder values with any message values replaced by their translation,
+ * or by their English text when there is none
+ * @param {Object<string, string|{key: string, text: string}>} vars
+ * @param {(key: string) => string|undefined} [lookup]
+ * @returns {Object<string, string>}
+ */
+export function resolveVars(vars, lookup = () => undefined) {
+  return Object.fromEntries(Object.entries(vars).map(([name, value]) =>
+    [name, value && typeof value === 'object' ? lookup(value.key) ?? value.text : value]))
+}
+
+/**
+ * @param {HTMLElement} element
+ * @returns {Object<string, string|{key: string, text: string}>}
+ */
+function varsOf(element) {
+  try {
+    return JSON.parse(element.dataset.i18nVars || '{}')
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * @param {HTMLElement} element
+ * @returns {{text: string, attributes: Object<string, string|null>}}
+ */
+function originalOf(element) {
+  if (!originals.has(element)) originals.set(element, { text: element.textContent, attributes: {} })
+  return originals.get(element)
+}
+
+/**
+ * Translate one element
+ * @param {HTMLElement} element
+ * @param {Object<string, string>[]} catalogues - Messages to try in order, e.g. [yo, en]
+ */
+export function translateElement(element, catalogues) {
+  const lookup = key => catalogues.map(messages => messages[key]).find(value => typeof value === 'string')
+  const original = originalOf(element)
+
+  if (element.dataset.i18n) {
+    const message = lookup(element.dataset.i18n)
+    const text = message === undefined ? original.text : formatMessage(message, resolveVars(varsOf(element), lookup))
+    if (element.textContent !== text) element.textContent = text
+  }
+
+  for (const pair of (element.dataset.i18nAttr || '').split(/\s+/).filter(Boolean)) {
+    const [name, key] = pair.split(':')
+    if (!(name in original.attributes)) original.attributes[name] = element.getAttribute(name)
+
+    const value = lookup(key) ?? original.attributes[name]
+    if (value !== null) element.setAttribute(name, value)
+  }
+}
+
+/**
+ * Translate `root` and every element inside it that opts in
+ * @param {Element|Document} root
+ * @param {Object<string, string>[]} catalogues
+ */
+export function applyTranslations(root, catalogues) {
+  const selector = '[data-i18n], [data-i18n-attr]'
+  const elements = Array.from(root.querySelectorAll(selector))
+  if (root.matches && root.matches(selector)) elements.unshift(root)
+
+  for (const element of elements) translateElement(element, catalogues)
+}
@@ -0,0 +1,137 @@
+// js/lib/loan.js
+
+/**
+ * Loan repayment maths.
+ *
+ * Both methods return the same shape so the calculator can switch between
+ * them freely. Amounts are rounded to the kobo each month and the final
+ * instalment absorbs any rounding difference, so the schedule always
+ * repays the principal exactly.
+ */
+
+/**
+ * @typedef {Object} ScheduleRow
+ * @property {number} month - 1-based instalment number
+ * @property {number} payment
+ * @property {number} principal
+ * @property {number} interest
+ * @property {number} balance - Outstanding principal after the payment
+ */
+
+/**
+ * @typedef {Object} LoanResult
+ * @property {number} instalment - Regular monthly instalment
+ * @property {number} totalInterest
+ * @property {number} totalRepayment
+ * @property {ScheduleRow[]} schedule
+ */
+
+/**
+ * Round to two decimal places (kobo)
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundKobo(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100
+}
+
+/**
+ * @param {ScheduleRow[]} schedule
+ * @param {number} instalment
+ * @returns {LoanResult}
+ */
+function summarise(schedule, instalment) {
+  const totalInterest = roundKobo(schedule.reduce((sum, row) => sum + row.interest, 0))
+  const totalRepayment = roundKobo(schedule.reduce((sum, row) => sum + row.payment, 0))
+
+  return { instalment, totalInterest, totalRepayment, schedule }
+}
+
+/**
+ * Reducing balance (amortising) loan: a fixed instalment, with interest
+ * charged each month on the outstanding balance
+ * @param {number} principal - Amount borrowed in naira
+ * @param {number} annualRate - Interest rate in percent per annum
+ * @param {number} months - Tenor
+ * @returns {LoanResult}
+ */
+export function reducingBalanceLoan(principal, annualRate, months) {
+  const monthlyRate = annualRate / 12 / 100
+  const instalment = roundKobo(monthlyRate === 0
+    ? principal / months
+    : principal * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months)))
+
+  const schedule = []
+  let balance = principal
+
+  for (let month = 1; month <= months; month++) {
+    const interest = roundKobo(balance * monthlyRate)
+    const principalPaid = month === months ? balance : roundKobo(instalment - interest)
+
+    balance = roundKobo(balance - principalPaid)
+    schedule.push({
+      month,
+      payment: roundKobo(principalPaid + interest),
+      principal: principalPaid,
+      interest,
+      balance
+    })
+  }
+
+  return summarise(schedule, instalment)
+}
+
+/**
+ * Flat rate loan: interest is charged on the original amount for the whole
+ * tenor and spread evenly across the instalments
+ * @param {number} principal - Amount borrowed in naira
+ * @param {number} annualRate - Interest rate in percent per annum
+ * @param {number} months - Tenor
+ * @returns {LoanResult}
+ */
+export function flatRateLoan(principal, annualRate, months) {
+  const totalInterest = principal * annualRate / 100 * months / 12
+  const monthlyPrincipal = roundKobo(principal / months)
+  const monthlyInterest = roundKobo(totalInterest / months)
+
+  const schedule = []
+  let balance = principal
+  let interestLeft = roundKobo(totalInterest)
+
+  for (let month = 1; month <= months; month++) {
+    const last = month === months
+    const principalPaid = last ? balance : monthlyPrincipal
+    const interest = last ? interestLeft : monthlyInterest
+
+    balance = roundKobo(balance - principalPaid)
+    interestLeft = roundKobo(interestLeft - interest)
+    schedule.push({
+      month,
+      payment: roundKobo(principalPaid + interest),
+      principal: principalPaid,
+      interest,
+      balance
+    })
+  }
+
+  return summarise(schedule, roundKobo(monthlyPrincipal + monthlyInterest))
+}
+
+export const LOAN_METHODS = {
+  reducing: reducingBalanceLoan,
+  flat: flatRateLoan
+}
+
+/**
+ * Amortisation schedule as CSV, amounts in naira with two decimals
+ * @param {ScheduleRow[]} schedule
+ * @returns {string}
+ */
+export function scheduleToCSV(schedule) {
+  const header = 'Month,Payment (NGN),Principal (NGN),Interest (NGN),Balance (NGN)'
+  const rows = schedule.map(row => [row.month, row.payment, row.principal, row.interest, row.balance]
+    .map((value, index) => index === 0 ? value : value.toFixed(2))
+    .join(','))
+
+  return [header, ...rows].join('\r\n') + '\r\n'
+}
@@ -0,0 +1,56 @@
+// js/lib/masking.js
+
+/**
+ * Masking of sensitive numbers in free text.
+ *
+ * Visitors sometimes type card numbers or their BVN (Bank Verification
+ * Number) into messages. These are replaced before the text leaves the
+ * page, keeping only the last four digits so staff can still match them:
+ *
+ *   "card 4111 1111 1111 1111" → "card **** **** **** 1111"
+ *
+ * - A card number is 13 to 19 digits, optionally grouped by spaces or dashes
+ * - A BVN is 11 digits that does not start with 0, which keeps local phone
+ *   numbers such as 08039003700 readable
+ * - Numbers written with a leading "+" are international phone numbers and
+ *   are left alone
+ */
+
+const CARD_PATTERN = /(?<![\d*+])\d(?:[ -]?\d){12,18}(?![\d*])/g
+const BVN_PATTERN = /(?<![\d*+])[1-9]\d{10}(?![\d*])/g
+
+/**
+ * Replace every digit but the last four
+ * @param {string} match
+ * @returns {string}
+ */
+function maskDigits(match) {
+  let keep = 4
+  return Array.from(match).reverse()
+    .map(char => {
+      if (!/\d/.test(char)) return char
+      if (keep > 0) {
+        keep -= 1
+        return char
+      }
+      return '*'
+    })
+    .reverse()
+    .join('')
+}
+
+/**
+ * Mask card numbers and BVNs in a piece of text
+ * @param {string} text
+ * @returns {{text: string, count: number}} The masked text and how many numbers were masked
+ */
+export function maskSensitiveNumbers(text) {
+  let count = 0
+  const mask = match => {
+    count += 1
+    return maskDigits(match)
+  }
+
+  const masked = text.replace(CARD_PATTERN, mask).replace(BVN_PATTERN, mask)
+  return { text: masked, count }
+}
@@ -0,0 +1,29 @@
+// js/lib/motion.js
+
+/**
+ * Reduced motion preference helpers.
+ */
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)'
+
+/**
+ * Whether the visitor has asked the system to minimise motion
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+  return window.matchMedia(REDUCED_MOTION_QUERY).matches
+}
+
+/**
+ * Call `callback` whenever the reduced motion preference changes
+ * @param {(reduce: boolean) => void} callback
+ * @returns {() => void} Function that removes the listener
+ */
+export function onReducedMotionChange(callback) {
+  const query = window.matchMedia(REDUCED_MOTION_QUERY)
+  const listener = event => callback(event.matches)
+
+  query.addEventListener('change', listener)
+
+  return () => query.removeEventListener('change', listener)
+}
@@ -0,0 +1,109 @@
+// js/lib/savings.js
+
+/**
+ * Savings growth maths.
+ *
+ * Interest accrues monthly on the balance at the annual rate / 12 and is
+ * credited at the end of each compounding period, less withholding tax.
+ * Credited interest earns interest from the next period on. Monthly
+ * contributions are paid in at the end of each month, after that month's
+ * interest has accrued.
+ */
+
+import { roundKobo } from './loan.js'
+
+/**
+ * Months between interest credits for each compounding frequency.
+ * `maturity` credits once, at the end of the tenor.
+ */
+export const COMPOUNDING_PERIODS = {
+  monthly: 1,
+  quarterly: 3,
+  annually: 12,
+  maturity: Infinity
+}
+
+/**
+ * @typedef {Object} GrowthRow
+ * @property {number} month - 0 for the opening deposit
+ * @property {number} contributions - Total paid in so far, including the opening deposit
+ * @property {number} interest - Net interest credited so far
+ * @property {number} tax - Withholding tax deducted so far
+ * @property {number} balance - Contributions plus net interest credited
+ */
+
+/**
+ * @typedef {Object} Projection
+ * @property {GrowthRow[]} schedule - One row per month, starting at month 0
+ * @property {number} totalContributions
+ * @property {number} grossInterest
+ * @property {number} tax
+ * @property {number} netInterest
+ * @property {number} maturityValue
+ */
+
+/**
+ * Project the growth of a deposit with optional monthly contributions
+ * @param {Object} options
+ * @param {number} options.deposit - Opening deposit in naira
+ * @param {number} [options.contribution] - Paid in at the end of every month
+ * @param {number} options.months - Tenor
+ * @param {number} options.annualRate - Interest rate in percent per annum
+ * @param {keyof COMPOUNDING_PERIODS} [options.compounding]
+ * @param {number} [options.taxRate] - Withholding tax in percent of interest
+ * @returns {Projection}
+ */
+export function projectSavings({ deposit, contribution = 0, months, annualRate, compounding = 'monthly', taxRate = 0 }) {
+  const monthlyRate = annualRate / 12 / 100
+  const period = COMPOUNDING_PERIODS[compounding]
+
+  let contributions = deposit
+  let balance = deposit
+  let accrued = 0
+  let grossInterest = 0
+  let tax = 0
+
+  const schedule = [{ month: 0, contributions, interest: 0, tax: 0, balance }]
+
+  for (let month = 1; month <= months; month++) {
+    accrued += balance * monthlyRate
+
+    if (month % period === 0 || month === months) {
+      const gross = roundKobo(accrued)
+      const withheld = roundKobo(gross * taxRate / 100)
+
+      grossInterest = roundKobo(grossInterest + gross)
+      tax = roundKobo(tax + withheld)
+      balance = roundKobo(balance + gross - withheld)
+      accrued = 0
+    }
+
+    contributions = roundKobo(contributions + contribution)
+    balance = roundKobo(balance + contribution)
+    schedule.push({ month, contributions, interest: roundKobo(grossInterest - tax), tax, balance })
+  }
+
+  return {
+    schedule,
+    totalContributions: contributions,
+    grossInterest,
+    tax,
+    netInterest: roundKobo(grossInterest - tax),
+    maturityValue: balance
+  }
+}
+
+/**
+ * The advertised rate for a tenor: the tier with the highest `fromMonths`
+ * not above it
+ * @param {Array<{fromMonths: number, rate: number}>} rates
+ * @param {number} months
+ * @returns {number|undefined}
+ */
+export function rateForTenor(rates, months) {
+  const tier = rates
+    .filter(rate => rate.fromMonths <= months)
+    .sort((a, b) => b.fromMonths - a.fromMonths)[0]
+
+  return tier && tier.rate
+}
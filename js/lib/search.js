@@ -0,0 +1,209 @@
+// js/lib/search.js
+
+/**
+ * Site search.
+ *
+ * scripts/site/search-index.mjs builds the index at build time with the
+ * same `tokenize` used here, and writes it to /data/search-index.json:
+ *
+ *   { "documents": [{ "type": "page", "title": "Loans", "url": "/loans", "text": "…" }],
+ *     "terms": { "loan": [[4, 3], [0, 1]] } }
+ *
+ * Each term lists `[document index, weight]` pairs. Every query word must
+ * match a term, exactly, as the start of a longer term, or within one or two
+ * typos, and documents are ranked by the summed weights.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to', 'we', 'with', 'you', 'your'
+])
+
+const WORD = /[\p{L}\p{N}]+/gu
+
+// How much a term counts for, by how it matched the query word
+const MATCH_FACTORS = { exact: 1, prefix: 0.8, fuzzy: 0.5 }
+
+/**
+ * Lower case without accents, so "Ọ̀yọ́" matches "oyo"
+ * @param {string} word
+ * @returns {string}
+ */
+export function normalizeWord(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+}
+
+/**
+ * Words worth searching for in a text
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return Array.from(String(text).matchAll(WORD), ([word]) => normalizeWord(word))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+}
+
+/**
+ * Levenshtein distance, giving up once it passes `max`
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @param {boolean} [prefix] - Measure against the closest start of `b` instead of all of it
+ * @returns {number} The distance, or max + 1 when it is further
+ */
+export function editDistance(a, b, max, prefix = false) {
+  if (prefix ? a.length - b.length > max : Math.abs(a.length - b.length) > max) return max + 1
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let best = i
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      best = Math.min(best, current[j])
+    }
+
+    if (best > max) return max + 1
+    previous = current
+  }
+
+  return prefix ? Math.min(...previous) : previous[b.length]
+}
+
+/**
+ * Typos allowed in a query word: none for short words, where one typo
+ * turns it into a different word
+ * @param {string} word
+ * @returns {number}
+ */
+function allowedTypos(word) {
+  if (word.length >= 8) return 2
+  if (word.length >= 4) return 1
+  return 0
+}
+
+/**
+ * How a term matches a query word
+ * @param {string} word
+ * @param {string} term
+ * @returns {'exact'|'prefix'|'fuzzy'|null}
+ */
+export function matchTerm(word, term) {
+  if (term === word) return 'exact'
+  if (term.startsWith(word)) return 'prefix'
+
+  const typos = allowedTypos(word)
+  if (typos === 0) return null
+
+  // The word may still be being typed, so a typo near the start of a longer term counts
+  return editDistance(word, term, typos, true) <= typos ? 'fuzzy' : null
+}
+
+/**
+ * @param {{documents: Object[], terms: Object<string, number[][]>}} index
+ * @returns {{search: (query: string, limit?: number) => Array<{document: Object, score: number, terms: Set<string>}>}}
+ */
+export function createSearcher({ documents, terms }) {
+  const vocabulary = Object.keys(terms)
+
+  /**
+   * Score of each document for one query word, and the terms it matched with
+   * @param {string} word
+   * @returns {Map<number, {score: number, terms: Set<string>}>}
+   */
+  function scoreWord(word) {
+    const scores = new Map()
+
+    for (const term of vocabulary) {
+      const match = matchTerm(word, term)
+      if (!match) continue
+
+      for (const [doc, weight] of terms[term]) {
+        const entry = scores.get(doc) || { score: 0, terms: new Set() }
+        entry.score = Math.max(entry.score, weight * MATCH_FACTORS[match])
+        entry.terms.add(term)
+        scores.set(doc, entry)
+      }
+    }
+
+    return scores
+  }
+
+  return {
+    search(query, limit = 8) {
+      const words = [...new Set(tokenize(query))]
+      if (words.length === 0) return []
+
+      let results = null
+      for (const word of words) {
+        const scores = scoreWord(word)
+
+        if (results === null) {
+          results = scores
+          continue
+        }
+
+        for (const [doc, entry] of results) {
+          const next = scores.get(doc)
+          if (!next) {
+            results.delete(doc)
+            continue
+          }
+          entry.score += next.score
+          next.terms.forEach(term => entry.terms.add(term))
+        }
+      }
+
+      return Array.from(results, ([doc, { score, terms: matched }]) => ({ document: documents[doc], score, terms: matched }))
+        .sort((a, b) => b.score - a.score || a.document.title.localeCompare(b.document.title))
+        .slice(0, limit)
+    }
+  }
+}
+
+/**
+ * Split a text into plain and highlighted parts
+ * @param {string} text
+ * @param {Set<string>} terms - Index terms to highlight
+ * @returns {{text: string, match: boolean}[]}
+ */
+export function highlight(text, terms) {
+  const parts = []
+  let last = 0
+
+  for (const { 0: word, index } of text.matchAll(WORD)) {
+    if (!terms.has(normalizeWord(word))) continue
+    if (index > last) parts.push({ text: text.slice(last, index), match: false })
+    parts.push({ text: word, match: true })
+    last = index + word.length
+  }
+
+  if (last < text.length) parts.push({ text: text.slice(last), match: false })
+  return parts
+}
+
+/**
+ * A short stretch of text around the first highlighted word
+ * @param {string} text
+ * @param {Set<string>} terms
+ * @param {number} [length] - Roughly how many characters to keep
+ * @returns {string}
+ */
+export function snippet(text, terms, length = 140) {
+  if (text.length <= length) return text
+
+  const first = Array.from(text.matchAll(WORD)).find(({ 0: word }) => terms.has(normalizeWord(word)))
+  const center = first ? first.index : 0
+  let start = Math.max(0, center - Math.floor(length / 3))
+  let end = Math.min(text.length, start + length)
+  start = Math.max(0, end - length)
+
+  // Cut at word boundaries
+  if (start > 0) start = text.indexOf(' ', start) + 1
+  if (end < text.length) end = text.lastIndexOf(' ', end)
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`
+}
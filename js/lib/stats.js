@@ -0,0 +1,57 @@
+// js/lib/stats.js
+
+import { formatNumber, yearInLagos } from './format.js'
+
+/**
+ * About section statistics.
+ *
+ * data/stats.json lists the figures shown in `.about__stats`:
+ *
+ *   { "founded": 1945,
+ *     "stats": [{ "id": "branches", "label": "Branches Nationwide", "suffix": "+",
+ *                 "value": 150, "notation": "compact", "asOf": "2024-12-31" }] }
+ *
+ * - `"value": "yearsSinceFounding"` is worked out from the `founded` year
+ * - Figures are formatted for en-NG; `"notation": "compact"` gives "2M"
+ *
+ * The build renders the figures into the page and js/components/about-stats.js
+ * counts them up, both from these helpers.
+ */
+
+/**
+ * Resolve computed values in the stats data
+ * @param {{founded: number, stats: Object[]}} data
+ * @param {Date} [now]
+ * @returns {Array<{id: string, label: string, value: number, suffix: string, notation?: string, asOf?: string}>}
+ */
+export function resolveStats(data, now = new Date()) {
+  return data.stats.map(stat => ({
+    ...stat,
+    suffix: stat.suffix || '',
+    value: stat.value === 'yearsSinceFounding' ? yearInLagos(now) - data.founded : Number(stat.value)
+  }))
+}
+
+/**
+ * @param {number} value
+ * @param {Object} stat
+ * @returns {string}
+ */
+export function formatStat(value, stat) {
+  const options = stat.notation === 'compact'
+    ? { notation: 'compact', maximumFractionDigits: 1 }
+    : { maximumFractionDigits: 0 }
+
+  return `${formatNumber(value, options)}${stat.suffix}`
+}
+
+/**
+ * Years since founding rounded down to whole decades, for copy such as
+ * "over 80 years" that should stay true all decade
+ * @param {{founded: number}} data
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export function decadesOfService({ founded }, now = new Date()) {
+  return Math.floor((yearInLagos(now) - founded) / 10) * 10
+}
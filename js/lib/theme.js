@@ -0,0 +1,61 @@
+// js/lib/theme.js
+
+/**
+ * Colour theme helpers.
+ *
+ * The theme is "light", "dark" or "system". An explicit choice is stored and
+ * set as `data-theme` on <html>, which css/tokens.css keys the palette on;
+ * "system" removes the attribute so `prefers-color-scheme` decides.
+ * js/theme-init.js applies the stored choice before first paint.
+ */
+
+export const THEMES = ['system', 'light', 'dark']
+
+// Browser UI colour for each theme, matching the theme-color meta tags
+export const THEME_COLORS = { light: '#8B0000', dark: '#6B0000' }
+
+const STORAGE_KEY = 'wema:theme'
+
+/**
+ * The stored theme, or "system" when there is none
+ * @returns {string}
+ */
+export function storedTheme() {
+  let theme = null
+  try {
+    theme = localStorage.getItem(STORAGE_KEY)
+  } catch {
+    // Storage can be blocked; follow the system
+  }
+  return THEMES.includes(theme) ? theme : 'system'
+}
+
+/**
+ * Remember a theme for later visits
+ * @param {string} theme
+ */
+export function saveTheme(theme) {
+  try {
+    if (theme === 'system') localStorage.removeItem(STORAGE_KEY)
+    else localStorage.setItem(STORAGE_KEY, theme)
+  } catch {
+    // The theme still applies to this visit
+  }
+}
+
+/**
+ * Apply a theme to the document and its theme-color meta tags. With
+ * "system" each meta tag goes back to the colour for its own media query.
+ * @param {string} theme
+ * @param {Document} [doc]
+ */
+export function applyTheme(theme, doc = document) {
+  const root = doc.documentElement
+  if (theme === 'system') delete root.dataset.theme
+  else root.dataset.theme = theme
+
+  for (const meta of doc.querySelectorAll('meta[name="theme-color"]')) {
+    const scheme = /dark/.test(meta.getAttribute('media')) ? 'dark' : 'light'
+    meta.content = THEME_COLORS[theme === 'system' ? scheme : theme]
+  }
+}
@@ -0,0 +1,59 @@
+// js/lib/tool-panel.js
+
+/**
+ * Service card tool panels.
+ *
+ * A service card can open an interactive tool (a calculator, a projector)
+ * with a button that names the panel in `aria-controls`. The build renders
+ * the buttons `hidden` (scripts/site/services.mjs) and they are shown once
+ * the tool has started, so they never appear without JavaScript. Several
+ * buttons may control the same panel, each passing its own `data-product`
+ * to the tool.
+ */
+
+/**
+ * @param {string} panelId
+ * @returns {HTMLButtonElement[]}
+ */
+function triggersFor(panelId) {
+  return Array.from(document.querySelectorAll(`button[aria-controls="${panelId}"]`))
+}
+
+/**
+ * Reveal and wire every trigger for `panel`
+ * @param {HTMLElement} panel - Panel with an id, initially `hidden`
+ * @param {(product: string|undefined) => void} onOpen - Called before the panel is shown
+ */
+export function connectToolTriggers(panel, onOpen) {
+  let activeTrigger = null
+
+  const setExpanded = trigger => {
+    activeTrigger = trigger
+    for (const button of triggersFor(panel.id)) {
+      button.setAttribute('aria-expanded', String(button === trigger))
+    }
+  }
+
+  for (const trigger of triggersFor(panel.id)) {
+    trigger.hidden = false
+    trigger.setAttribute('aria-expanded', 'false')
+  }
+
+  document.addEventListener('click', event => {
+    const trigger = event.target.closest(`button[aria-controls="${panel.id}"]`)
+    if (!trigger) return
+
+    if (!panel.hidden && activeTrigger === trigger) {
+      panel.hidden = true
+      setExpanded(null)
+      return
+    }
+
+    onOpen(trigger.dataset.product)
+    panel.hidden = false
+    setExpanded(trigger)
+
+    const heading = panel.querySelector('[tabindex="-1"]')
+    if (heading) heading.focus()
+  })
+}
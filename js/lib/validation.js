@@ -0,0 +1,46 @@
+// js/lib/validation.js
+
+/**
+ * Field validation rules shared by the page forms.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[a-z]{2,}$/i
+
+/**
+ * Whether a string looks like a deliverable email address
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidEmail(value) {
+  return typeof value === 'string' && value.length <= 254 && EMAIL_PATTERN.test(value.trim())
+}
+
+/**
+ * Normalise an email address for comparison
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeEmail(value) {
+  return value.trim().toLowerCase()
+}
+
+// Nigerian numbers: 0 or +234 followed by a ten-digit subscriber number
+const PHONE_PATTERN = /^(?:\+234|0)[789][01]\d{8}$/
+
+/**
+ * Normalise a phone number by dropping spaces, dashes and brackets
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizePhone(value) {
+  return value.replace(/[\s()-]/g, '')
+}
+
+/**
+ * Whether a string looks like a Nigerian mobile number
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidPhone(value) {
+  return typeof value === 'string' && PHONE_PATTERN.test(normalizePhone(value))
+}
@@ -0,0 +1,54 @@
+// js/main.js
+
+/**
+ * Landing page entry point.
+ *
+ * Each component enhances markup that is already complete without JavaScript,
+ * so a failure in one component must not stop the others from starting.
+ */
+
+import { initMobileNav } from './components/mobile-nav.js'
+import { initLanguageSwitcher } from './components/language-switcher.js'
+import { initThemeSwitcher } from './components/theme-switcher.js'
+import { initSiteSearch } from './components/site-search.js'
+import { initSiteAlerts } from './components/site-alerts.js'
+import { initScrollSpy } from './components/scroll-spy.js'
+import { initHeroCarousels } from './components/hero-carousel.js'
+import { initAboutStats } from './components/about-stats.js'
+import { initBusinessHours } from './components/business-hours.js'
+import { initBranchFinder } from './components/branch-finder.js'
+import { initLoanCalculator } from './components/loan-calculator.js'
+import { initSavingsProjector } from './components/savings-projector.js'
+import { initFxRates } from './components/fx-rates.js'
+import { initFaq } from './components/faq.js'
+import { initHelpAssistant } from './components/help-assistant.js'
+import { initEnquiryForms } from './components/enquiry-form.js'
+import { initNewsletterForms } from './components/newsletter-form.js'
+import { initServiceWorker } from './components/service-worker.js'
+
+const components = [
+  initMobileNav,
+  initLanguageSwitcher,
+  initThemeSwitcher,
+  initSiteSearch,
+  initSiteAlerts,
+  initScrollSpy,
+  initHeroCarousels,
+  initAboutStats,
+  initBusinessHours,
+  initBranchFinder,
+  initLoanCalculator,
+  initSavingsProjector,
+  initFxRates,
+  initFaq,
+  initHelpAssistant,
+  initEnquiryForms,
+  initNewsletterForms,
+  initServiceWorker
+]
+
+for (const init of components) {
+  Promise.resolve()
+    .then(init)
+    .catch(error => console.warn(`Component ${init.name} failed to start:`, error))
+}
@@ -0,0 +1,58 @@
+// js/mocks/enquiry.js
+
+import { registerMockEndpoint, SubmissionError } from '../lib/form-adapters.js'
+import { maskSensitiveNumbers } from '../lib/masking.js'
+import { isValidEmail, isValidPhone } from '../lib/validation.js'
+
+/**
+ * Local stand-in for the enquiry endpoint, loaded only by the tests.
+ *
+ * Answers like the helpdesk service: a valid enquiry gets a ticket
+ * reference such as "WB-261018-7KQ2M9". It applies the same checks the
+ * service does, so spam and unmasked numbers never get a ticket.
+ * Email addresses on the reserved `.invalid` domain simulate an outage.
+ */
+
+export const ENQUIRY_ENDPOINT = '/api/enquiries'
+const ENQUIRY_CATEGORIES = ['card-issue', 'loan-enquiry', 'complaint', 'fraud-report']
+const MIN_FILL_TIME = 3000
+
+// Letters and digits that cannot be mistaken for each other when read out
+const REFERENCE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+
+/**
+ * @param {Date} date
+ * @returns {string} e.g. "WB-261018-7KQ2M9"
+ */
+function createReference(date) {
+  const day = [date.getFullYear() % 100, date.getMonth() + 1, date.getDate()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('')
+  const random = crypto.getRandomValues(new Uint32Array(6))
+  const suffix = Array.from(random, value => REFERENCE_ALPHABET[value % REFERENCE_ALPHABET.length]).join('')
+
+  return `WB-${day}-${suffix}`
+}
+
+registerMockEndpoint(ENQUIRY_ENDPOINT, payload => {
+  if (payload.website || payload.elapsed < MIN_FILL_TIME) {
+    throw new SubmissionError('Rejected as spam', { code: 'validation', status: 422 })
+  }
+
+  const reachable = (payload.email && isValidEmail(payload.email)) || (payload.phone && isValidPhone(payload.phone))
+  const complete = payload.name && payload.message && typeof payload.accountHolder === 'boolean'
+
+  if (!reachable || !complete || !ENQUIRY_CATEGORIES.includes(payload.category)) {
+    throw new SubmissionError('Invalid enquiry', { code: 'validation', status: 422 })
+  }
+
+  if (maskSensitiveNumbers(payload.message).count > 0) {
+    throw new SubmissionError('Message contains unmasked numbers', { code: 'validation', status: 422 })
+  }
+
+  if (payload.email && payload.email.endsWith('.invalid')) {
+    throw new SubmissionError('Helpdesk unavailable', { status: 503 })
+  }
+
+  return { status: 'open', reference: createReference(new Date()), category: payload.category }
+})
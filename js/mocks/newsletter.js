@@ -0,0 +1,46 @@
+// js/mocks/newsletter.js
+
+import { registerMockEndpoint, SubmissionError } from '../lib/form-adapters.js'
+import { isValidEmail, normalizeEmail } from '../lib/validation.js'
+
+/**
+ * Local stand-in for the newsletter subscription endpoint, loaded only by the
+ * tests.
+ *
+ * Subscriptions are kept in localStorage so that subscribing the same
+ * address twice is reported as a duplicate, like the real service does.
+ * Addresses on the reserved `.invalid` domain simulate a delivery failure.
+ */
+
+export const NEWSLETTER_ENDPOINT = '/api/newsletter'
+const STORAGE_KEY = 'wema:newsletter:subscribers'
+
+function readSubscribers() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || []
+  } catch {
+    return []
+  }
+}
+
+registerMockEndpoint(NEWSLETTER_ENDPOINT, payload => {
+  if (!isValidEmail(payload.email) || !payload.consent || !payload.topics?.length) {
+    throw new SubmissionError('Invalid subscription', { code: 'validation', status: 422 })
+  }
+
+  const email = normalizeEmail(payload.email)
+
+  if (email.endsWith('.invalid')) {
+    throw new SubmissionError('Subscription service unavailable', { status: 503 })
+  }
+
+  const subscribers = readSubscribers()
+
+  if (subscribers.includes(email)) {
+    throw new SubmissionError('Already subscribed', { code: 'duplicate', status: 409 })
+  }
+
+  localStorage.setItem(STORAGE_KEY, JSON.stringify([...subscribers, email]))
+
+  return { status: 'pending-confirmation', email }
+})
@@ -0,0 +1,28 @@
+// js/theme-init.js
+
+/**
+ * Theme bootstrap.
+ *
+ * Loaded as a classic, render-blocking script in <head> so the stored theme
+ * is on <html> before the first paint. It cannot import modules, so it
+ * repeats the small part of js/lib/theme.js it needs; keep the two in sync.
+ */
+
+(function () {
+  const THEME_COLORS = { light: '#8B0000', dark: '#6B0000' }
+  let theme = null
+
+  try {
+    theme = localStorage.getItem('wema:theme')
+  } catch {
+    // Storage can be blocked; the system preference applies
+  }
+
+  if (theme !== 'light' && theme !== 'dark') return
+
+  document.documentElement.dataset.theme = theme
+
+  for (const meta of document.querySelectorAll('meta[name="theme-color"]')) {
+    meta.content = THEME_COLORS[theme]
+  }
+})()
@@ -99,10 +99,10 @@ export default defineConfig({
   ],
 
   /**
-   * Run your local dev server before starting the tests
+   * Build the site into dist/ and serve it before starting the tests
    */
   webServer: {
-    command: 'docker-compose up',
+    command: 'node scripts/build.mjs && node scripts/serve.mjs',
     port: 8080,
     timeout: 120000,
     reuseExistingServer: true,
@@ -0,0 +1,575 @@
+// scripts/build.mjs
+
+/**
+ * Static site build.
+ *
+ * Renders every page in src/pages into dist/ with the shared layout and
+ * partials (skip link, header, footer), copies the static assets next to
+ * them, and fails when an internal link points at a page that does not exist
+ * or the SEO audit in ./site/seo.mjs finds a problem with an indexable page.
+ *
+ *   node scripts/build.mjs
+ *
+ * - Each page source sets its own `path`, `title`, `description` and
+ *   optional `keywords`, `shortDescription`, `canonical` and `image` in
+ *   front matter; these feed the title, meta description, canonical and
+ *   Open Graph tags
+ * - `translated: true` adds the i18n hooks and the language switcher; pages
+ *   without it stay in English. Translation happens in the browser, so every
+ *   language shares the English URL and there are no hreflang alternates
+ * - `variants: <name>` renders the page once per entry of a variant list,
+ *   such as one branch finder page per city
+ * - `noindex: true` keeps a page out of search results
+ * - `branchCity: <slug>` adds LocalBusiness structured data for the
+ *   branches in that city, or in every city for `all`
+ * - `faq: true` fills the page's `{{{faqCategories}}}` with the questions
+ *   from data/faqs.json and adds their FAQPage structured data
+ * - `services: true` fills the page's `{{{serviceCards}}}` with the
+ *   published entries of data/services.json
+ * - `stats: true` fills `{{{stats.items}}}` with the figures of
+ *   data/stats.json, and `{{stats.decades}}` with the whole decades since
+ *   the bank was founded
+ *
+ * Every page carries the bank's BankOrCreditUnion structured data, built
+ * from data/organization.json like the contact details it shows. Loan
+ * limits are quoted from data/loan-products.json as `{{loans.<id>.<field>}}`,
+ * the same limits the loan calculator uses.
+ *
+ * Images go through ./site/images.mjs: SVGs are minified, every page gets
+ * its own share card, raster <img> elements get AVIF and WebP sources, and
+ * the build fails if an image is missing or its width and height attributes
+ * do not match the file.
+ *
+ * It also writes sitemap.xml, dated by the last commit to each page's
+ * source, the layout and partials, and the data rendered into it,
+ * robots.txt, the site search index to data/search-index.json, and the
+ * service worker from src/sw.js, versioned by a hash of everything it
+ * precaches.
+ */
+
+import { execFile } from 'node:child_process'
+import { createHash } from 'node:crypto'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import { promisify } from 'node:util'
+import { parseFrontMatter } from './site/front-matter.mjs'
+import { render } from './site/template.mjs'
+import { findBrokenLinks, hrefsInData } from './site/links.mjs'
+import { buildSearchIndex, collectDocuments } from './site/search-index.mjs'
+import { allQuestions, faqPageSchema, fillFaqs, renderFaqCategories, validateFaqs } from './site/faq.mjs'
+import { renderServiceCards } from './site/services.mjs'
+import { statValues } from './site/stats.mjs'
+import { loanTerms } from './site/loans.mjs'
+import { branchSchema, branchesIn, holidayWarnings, organizationSchema, renderOpeningHours } from './site/organization.mjs'
+import { auditPages, renderRobots, renderSitemap, sitemapPages } from './site/seo.mjs'
+import { CARD_HEIGHT, CARD_WIDTH, addPictureSources, cardPath, checkImages, imagesInData, optimizeSvgs, writeCard, writeFavicon } from './site/images.mjs'
+
+export const SITE_URL = 'https://wemabank.com'
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url))
+
+// Copied to the output as they are, when present
+const ASSETS = ['css', 'js', 'data', 'images', 'apple-touch-icon.png', 'manifest.webmanifest']
+
+// js/package.json only tells Node that the browser scripts are ES modules,
+// and js/mocks/ holds stand-in endpoints that only the tests load
+const SKIP_ASSETS = ['js/package.json', 'js/mocks']
+
+// Rendered into favicon.ico
+const FAVICON_SOURCE = 'images/icons/icon.svg'
+
+// Pages and asset folders the service worker stores on install
+const PRECACHE_PAGES = ['/', '/offline']
+const PRECACHE_DIRS = ['css', 'js', 'data', 'images/icons']
+
+// Feeds that change between builds: left out of the precache, and fetched
+// from the network first so the cached copy is only used when offline
+const LIVE_DATA = ['/data/fx-rates.json']
+
+const SEARCH_INDEX = 'data/search-index.json'
+
+const DEFAULTS = {
+  ogType: 'website',
+  keywords: '',
+  translated: false,
+  noindex: false
+}
+
+/**
+ * Pages generated from one source, keyed by the source's `variants` value.
+ * Each returns the front matter overrides of every variant.
+ * @type {Object<string, (root: string) => Promise<Object[]>>}
+ */
+const VARIANTS = {
+  async 'branch-cities'(root) {
+    const { cities } = JSON.parse(await fs.readFile(path.join(root, 'data/branches.json'), 'utf8'))
+
+    return [['all', 'All'], ...Object.entries(cities)].map(([slug, name]) => ({
+      path: `/branches/${slug}`,
+      canonical: `/branches/${slug}`,
+      title: `${name} Branches - Wema Bank`,
+      description: slug === 'all'
+        ? 'Find every Wema Bank branch and ATM in Nigeria, with addresses, services and opening hours.'
+        : `Find Wema Bank branches and ATMs in ${name}, with addresses, services and opening hours.`,
+      shortDescription: `Find Wema Bank branches and ATMs in ${slug === 'all' ? 'Nigeria' : name}.`,
+      branchCity: slug
+    }))
+  }
+}
+
+/**
+ * @param {string} dir
+ * @returns {Promise<Object<string, string>>} File contents keyed by name without extension
+ */
+async function readTemplates(dir) {
+  const entries = await fs.readdir(dir)
+  const templates = {}
+
+  for (const entry of entries.filter(name => name.endsWith('.html'))) {
+    templates[path.basename(entry, '.html')] = await fs.readFile(path.join(dir, entry), 'utf8')
+  }
+
+  return templates
+}
+
+/**
+ * Read every page source, expanding variants
+ * @param {string} root
+ * @returns {Promise<{source: string, data: Object, body: string}[]>}
+ * @throws {Error} When a page has no path or title, or names an unknown variant list
+ */
+export async function loadPages(root = ROOT) {
+  const sources = await readTemplates(path.join(root, 'src/pages'))
+  const pages = []
+
+  for (const [name, text] of Object.entries(sources).sort()) {
+    const source = `src/pages/${name}.html`
+    const { data, body } = parseFrontMatter(text)
+
+    if (!data.path || !data.title || !data.description) {
+      throw new Error(`${source} needs path, title and description in its front matter`)
+    }
+
+    pages.push({ source, data, body })
+
+    if (data.variants) {
+      if (!VARIANTS[data.variants]) throw new Error(`${source} names unknown variants "${data.variants}"`)
+
+      for (const overrides of await VARIANTS[data.variants](root)) {
+        pages.push({ source, data: { ...data, ...overrides }, body })
+      }
+    }
+  }
+
+  return pages
+}
+
+/**
+ * File a page path is written to: "/" → "index.html", "/loans" → "loans/index.html"
+ * @param {string} pagePath
+ * @returns {string}
+ */
+export function outputFile(pagePath) {
+  return path.join(pagePath.replace(/^\/+|\/+$/g, ''), 'index.html')
+}
+
+/**
+ * Absolute URL of a site path; the home page has no trailing slash
+ * @param {string} pagePath
+ * @returns {string}
+ */
+export function absoluteUrl(pagePath) {
+  return pagePath === '/' ? SITE_URL : `${SITE_URL}${pagePath}`
+}
+
+/**
+ * On the home page the header links to its own sections by fragment alone,
+ * and the Home link is marked as the current page
+ * @param {string} html
+ * @param {string} pagePath
+ * @returns {string}
+ */
+function linkToOwnSections(html, pagePath) {
+  if (pagePath !== '/') return html
+
+  return html
+    .replaceAll('href="/#', 'href="#')
+    .replace('href="#home" class="nav__link"', 'href="#home" class="nav__link" aria-current="page"')
+}
+
+/**
+ * JSON-LD script element for a structured data object. "<" is escaped so
+ * text in the data can never close the element.
+ * @param {Object} schema
+ * @returns {string}
+ */
+export function jsonLdScript(schema) {
+  const json = JSON.stringify(schema, null, 2).replaceAll('<', '\\u003c').replace(/\n/g, '\n  ')
+  return `  <script type="application/ld+json">\n  ${json}\n  </script>`
+}
+
+/**
+ * Values from the data files that any page can show
+ * @param {{organization: Object, hours: Object, loanProducts: Object}} site
+ * @returns {{organization: Object, loans: Object, openingHours: string}}
+ */
+function siteValues(site) {
+  return {
+    organization: site.organization,
+    loans: loanTerms(site.loanProducts),
+    openingHours: renderOpeningHours(site.hours.hours)
+  }
+}
+
+/**
+ * Render one page to HTML
+ * @param {{data: Object, body: string}} page
+ * @param {{layout: string, partials: Object<string, string>}} templates
+ * @param {{organization: Object, hours: Object, branches: Object, loanProducts: Object, faqs?: Object, services?: Object, stats?: Object}} site
+ *   - Data files that pages draw on
+ * @returns {string}
+ * @throws {Error} When the page asks for FAQs, service cards or statistics and there are none
+ */
+export function renderPage({ data, body }, { layout, partials }, site) {
+  const structuredData = [organizationSchema(site.organization, site.hours.hours, SITE_URL)]
+  const image = data.image || `${SITE_URL}${cardPath(data.path)}`
+  const values = {
+    ...DEFAULTS,
+    shortDescription: data.description,
+    image,
+    twitterImage: image,
+    // Pages with their own image leave its size to the crawler
+    ...(data.image ? {} : { imageWidth: CARD_WIDTH, imageHeight: CARD_HEIGHT }),
+    ...data,
+    canonical: absoluteUrl(data.canonical || data.path),
+    ...siteValues(site)
+  }
+
+  if (data.branchCity) {
+    for (const branch of branchesIn(site.branches, data.branchCity)) {
+      structuredData.push(branchSchema(branch, site.branches, SITE_URL))
+    }
+  }
+
+  if (data.faq) {
+    if (!site.faqs) throw new Error(`${data.path} shows FAQs, but there is no data/faqs.json`)
+    values.faqCategories = renderFaqCategories(site.faqs)
+    structuredData.push(faqPageSchema(site.faqs))
+  }
+
+  if (data.services) {
+    if (!site.services) throw new Error(`${data.path} shows service cards, but there is no data/services.json`)
+    values.serviceCards = renderServiceCards(site.services, body)
+  }
+
+  if (data.stats) {
+    if (!site.stats) throw new Error(`${data.path} shows statistics, but there is no data/stats.json`)
+    values.stats = statValues(site.stats)
+  }
+
+  values.structuredData = structuredData.map(jsonLdScript).join('\n')
+  values.content = render(body.replace(/\n+$/, ''), values)
+
+  return linkToOwnSections(render(layout, values, partials), data.path)
+}
+
+/**
+ * Links and images kept in data files, which scripts render on the pages,
+ * and the web app manifest's icons
+ * @param {string} root
+ * @returns {Promise<{links: {source: string, href: string}[], images: {source: string, src: string}[]}>}
+ */
+async function dataReferences(root) {
+  const dir = path.join(root, 'data')
+  const files = (await fs.readdir(dir)).filter(name => name.endsWith('.json'))
+  const links = []
+  const images = []
+
+  for (const file of files) {
+    const data = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'))
+    for (const href of hrefsInData(data)) links.push({ source: `data/${file}`, href })
+    for (const src of imagesInData(data)) images.push({ source: `data/${file}`, src })
+  }
+
+  const manifest = await readOptionalJSON(path.join(root, 'manifest.webmanifest'))
+  for (const { src } of manifest ? manifest.icons : []) images.push({ source: 'manifest.webmanifest', src })
+
+  return { links, images }
+}
+
+/**
+ * Run the built site's images through the pipeline
+ * @param {string} root
+ * @param {string} outDir
+ * @param {Map<string, string>} pages - Updated with <picture> sources for raster images
+ */
+async function processImages(root, outDir, pages) {
+  await optimizeSvgs(path.join(outDir, 'images'))
+  await writeFavicon(path.join(root, FAVICON_SOURCE), path.join(outDir, 'favicon.ico'))
+
+  for (const [pagePath, html] of pages) {
+    const title = html.match(/<title\b[^>]*>([^<]*)<\/title>/)[1]
+      .replace(/ - Wema Bank$/, '')
+      .replace(/^Wema Bank - /, '')
+    await writeCard(outDir, { path: pagePath, title: title.replace(/&amp;/g, '&') })
+  }
+
+  const variants = new Map()
+  for (const [pagePath, html] of pages) pages.set(pagePath, await addPictureSources(html, outDir, variants))
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<*>}
+ */
+async function readJSON(file) {
+  return JSON.parse(await fs.readFile(file, 'utf8'))
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<*>} The parsed file, or null when there is none
+ */
+async function readOptionalJSON(file) {
+  const text = await fs.readFile(file, 'utf8').catch(() => null)
+  return text === null ? null : JSON.parse(text)
+}
+
+/**
+ * Write the search index over the service cards, the content pages, the
+ * FAQs and the branches
+ * @param {string} outDir
+ * @param {{data: Object, body: string}[]} pages - Every page source
+ * @param {Object} site - The data files, as passed to `renderPage`
+ */
+async function writeSearchIndex(outDir, pages, site) {
+  const { branches, faqs, services: catalogue } = site
+  const services = catalogue ? catalogue.services : []
+
+  // The home page and the branch finder are searched through what they show
+  const contentPages = pages
+    .filter(({ data }) => data.path !== '/' && !data.variants && !data.noindex)
+    .map(({ data, body }) => ({ data, body: render(body, { ...DEFAULTS, ...data, ...siteValues(site) }) }))
+
+  const documents = collectDocuments({ pages: contentPages, services, branches, faqs: faqs ? allQuestions(faqs) : [] })
+  await fs.writeFile(path.join(outDir, SEARCH_INDEX), JSON.stringify(buildSearchIndex(documents)))
+}
+
+/**
+ * Data files the build renders into a page, besides its source and the
+ * files every page shares (see `sharedFiles`)
+ * @param {{data: Object, body: string}} page - The page's front matter and source
+ * @returns {string[]}
+ */
+function pageDataFiles({ data, body }) {
+  return [
+    ...(body.includes('{{loans.') ? ['data/loan-products.json'] : []),
+    ...(body.includes('{{{openingHours}}}') ? ['data/business-hours.json'] : []),
+    ...(data.variants ? ['data/branches.json'] : []),
+    ...(data.faq ? ['data/faqs.json'] : []),
+    ...(data.services ? ['data/services.json'] : []),
+    ...(data.stats ? ['data/stats.json'] : [])
+  ]
+}
+
+/**
+ * Date a file last changed: its last commit, or its modification time when
+ * it is not committed or there is no git
+ * @param {string} root
+ * @param {string} file - Relative to root
+ * @returns {Promise<string>} "YYYY-MM-DD"
+ */
+async function lastModified(root, file) {
+  const committed = await promisify(execFile)('git', ['log', '-1', '--format=%cs', '--', file], { cwd: root })
+    .then(({ stdout }) => stdout.trim(), () => '')
+  if (committed) return committed
+
+  const { mtime } = await fs.stat(path.join(root, file))
+  return mtime.toISOString().slice(0, 10)
+}
+
+/**
+ * Files rendered into every page: the layout, its partials, and the
+ * organization details of the footer and the structured data
+ * @param {Object<string, string>} partials - Partials by name
+ * @returns {string[]}
+ */
+function sharedFiles(partials) {
+  return [
+    'src/layouts/page.html',
+    ...Object.keys(partials).map(name => `src/partials/${name}.html`),
+    'data/organization.json'
+  ]
+}
+
+/**
+ * Write sitemap.xml and robots.txt. A page's lastmod is the latest change
+ * to its source, the shared templates or any data rendered into it
+ * @param {string} root
+ * @param {string} outDir
+ * @param {Map<string, string>} pages
+ * @param {{source: string, data: Object}[]} sources
+ * @param {string[]} shared - Files rendered into every page
+ */
+async function writeCrawlerFiles(root, outDir, pages, sources, shared) {
+  const dates = new Map()
+  const dateOf = file => {
+    if (!dates.has(file)) dates.set(file, lastModified(root, file))
+    return dates.get(file)
+  }
+
+  const entries = await Promise.all(sitemapPages(pages, { siteUrl: SITE_URL }).map(async entry => {
+    const page = sources.find(({ data }) => data.path === entry.path)
+    const files = [page.source, ...shared, ...pageDataFiles(page)]
+    const lastmod = (await Promise.all(files.map(dateOf))).sort().at(-1)
+    return { ...entry, lastmod }
+  }))
+
+  await fs.writeFile(path.join(outDir, 'sitemap.xml'), renderSitemap(entries))
+  await fs.writeFile(path.join(outDir, 'robots.txt'), renderRobots({ siteUrl: SITE_URL }))
+}
+
+/**
+ * Every file below a directory, as paths relative to `base` with "/" separators
+ * @param {string} base
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+async function listFiles(base, dir) {
+  const entries = await fs.readdir(path.join(base, dir), { withFileTypes: true }).catch(() => [])
+  const files = await Promise.all(entries.map(entry => {
+    const child = `${dir}/${entry.name}`
+    return entry.isDirectory() ? listFiles(base, child) : [child]
+  }))
+  return files.flat().sort()
+}
+
+/**
+ * Write dist/sw.js with its precache list and a version that changes
+ * whenever a precached file does
+ * @param {string} root
+ * @param {string} outDir
+ * @param {Map<string, string>} pages
+ * @returns {Promise<string>} The version
+ */
+async function writeServiceWorker(root, outDir, pages) {
+  const files = (await Promise.all(PRECACHE_DIRS.map(dir => listFiles(outDir, dir)))).flat()
+  const precache = [...PRECACHE_PAGES, '/manifest.webmanifest', ...files.map(file => `/${file}`)]
+    .filter(url => !LIVE_DATA.includes(url))
+
+  const hash = createHash('sha256')
+  for (const page of PRECACHE_PAGES) hash.update(pages.get(page))
+  for (const url of precache.slice(PRECACHE_PAGES.length)) hash.update(await fs.readFile(path.join(outDir, url)))
+  const version = hash.digest('hex').slice(0, 12)
+
+  const source = await fs.readFile(path.join(root, 'src/sw.js'), 'utf8')
+  const placeholders = ["'%VERSION%'", "['%PRECACHE%']", "['%LIVE_DATA%']"]
+  if (placeholders.some(placeholder => !source.includes(placeholder))) {
+    throw new Error('src/sw.js is missing its %VERSION%, %PRECACHE% or %LIVE_DATA% placeholder')
+  }
+
+  const worker = source
+    .replace("'%VERSION%'", JSON.stringify(version).replaceAll('"', "'"))
+    .replace("['%PRECACHE%']", JSON.stringify(precache, null, 2).replaceAll('"', "'"))
+    .replace("['%LIVE_DATA%']", JSON.stringify(LIVE_DATA).replaceAll('"', "'"))
+  await fs.writeFile(path.join(outDir, 'sw.js'), worker)
+
+  return version
+}
+
+/**
+ * Build the site
+ * @param {Object} [options]
+ * @param {string} [options.root] - Repository root
+ * @param {string} [options.outDir] - Output directory, replaced when the build passes
+ * @returns {Promise<{pages: Map<string, string>, broken: Object[], problems: Object[], images: Object[], warnings: string[]}>}
+ *   Rendered pages by path, any broken internal links, SEO problems and image problems,
+ *   which leave outDir as it was, and warnings, which do not
+ */
+export async function build({ root = ROOT, outDir = path.join(ROOT, 'dist') } = {}) {
+  const layout = await fs.readFile(path.join(root, 'src/layouts/page.html'), 'utf8')
+  const partials = await readTemplates(path.join(root, 'src/partials'))
+  const sources = await loadPages(root)
+  const site = {
+    organization: await readJSON(path.join(root, 'data/organization.json')),
+    hours: await readJSON(path.join(root, 'data/business-hours.json')),
+    branches: await readJSON(path.join(root, 'data/branches.json')),
+    loanProducts: await readJSON(path.join(root, 'data/loan-products.json')),
+    faqs: await readOptionalJSON(path.join(root, 'data/faqs.json')),
+    services: await readOptionalJSON(path.join(root, 'data/services.json')),
+    stats: await readOptionalJSON(path.join(root, 'data/stats.json'))
+  }
+  const pages = new Map()
+  const warnings = holidayWarnings(site.hours.holidays || [])
+
+  const faqProblems = site.faqs ? validateFaqs(site.faqs) : []
+  if (faqProblems.length) throw new Error(`data/faqs.json: ${faqProblems.join('; ')}`)
+  if (site.faqs) site.faqs = fillFaqs(site.faqs, siteValues(site))
+
+  for (const page of sources) {
+    if (pages.has(page.data.path)) throw new Error(`${page.source} repeats the path ${page.data.path}`)
+    pages.set(page.data.path, renderPage(page, { layout, partials }, site))
+  }
+
+  const references = await dataReferences(root)
+  const broken = findBrokenLinks(pages, { siteUrl: SITE_URL, extraLinks: references.links })
+  const problems = auditPages(pages, { siteUrl: SITE_URL })
+  if (broken.length || problems.length) return { pages, broken, problems, images: [], warnings }
+
+  // Everything is written to a staging directory that only replaces outDir
+  // once the build has passed, so a failed build leaves the last one alone
+  const staging = await fs.mkdtemp(path.join(path.dirname(outDir), `.${path.basename(outDir)}-`))
+
+  try {
+    for (const asset of ASSETS) {
+      const from = path.join(root, asset)
+      const exists = await fs.stat(from).then(() => true, () => false)
+      if (exists) {
+        await fs.cp(from, path.join(staging, asset), {
+          recursive: true,
+          filter: source => !SKIP_ASSETS.includes(path.relative(root, source).split(path.sep).join('/'))
+        })
+      }
+    }
+
+    await processImages(root, staging, pages)
+    const images = await checkImages(pages, { outDir: staging, siteUrl: SITE_URL, extraImages: references.images })
+    if (images.length) return { pages, broken, problems, images, warnings }
+
+    for (const [pagePath, html] of pages) {
+      const file = path.join(staging, outputFile(pagePath))
+      await fs.mkdir(path.dirname(file), { recursive: true })
+      await fs.writeFile(file, html)
+    }
+
+    await writeCrawlerFiles(root, staging, pages, sources, sharedFiles(partials))
+    await writeSearchIndex(staging, sources, site)
+    await writeServiceWorker(root, staging, pages)
+
+    await fs.rm(outDir, { recursive: true, force: true })
+    await fs.rename(staging, outDir)
+
+    return { pages, broken, problems, images, warnings }
+  } finally {
+    await fs.rm(staging, { recursive: true, force: true })
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { pages, broken, problems, images, warnings } = await build()
+
+  for (const warning of warnings) console.warn(`Warning: ${warning}`)
+
+  if (broken.length || problems.length || images.length) {
+    for (const { source, href, reason } of broken) console.error(`${source}: broken link ${href} (${reason})`)
+    for (const { source, problem } of problems) console.error(`${source}: ${problem}`)
+    for (const { source, src, problem } of images) console.error(`${source}: image ${src} ${problem}`)
+    if (broken.length) console.error(`Build failed: ${broken.length} broken internal link${broken.length === 1 ? '' : 's'}`)
+    if (problems.length) console.error(`Build failed: ${problems.length} SEO problem${problems.length === 1 ? '' : 's'}`)
+    if (images.length) console.error(`Build failed: ${images.length} image problem${images.length === 1 ? '' : 's'}`)
+    process.exitCode = 1
+  } else {
+    console.log(`Built ${pages.size} pages into dist/`)
+  }
+}
@@ -0,0 +1,316 @@
+// scripts/serve.mjs
+
+/**
+ * Static server for the built site.
+ *
+ * Serves dist/ on port 8080 with the headers the production site sends, so
+ * local runs and the end-to-end tests see the same caching and security
+ * behaviour.
+ *
+ *   node scripts/build.mjs && node scripts/serve.mjs
+ *
+ * - "/loans" and "/loans/" are both served from loans/index.html, without a
+ *   redirect
+ * - Paths below a client route fall back to the route's page, so
+ *   "/branches/unknown" shows the branch finder; anything else without a
+ *   file gets the 404 page with status 404
+ * - Text responses are compressed with Brotli or gzip, whichever the browser
+ *   prefers, and every representation has its own ETag
+ * - Cache-Control and the security headers come from ./server/headers.mjs,
+ *   and the per-response Content-Security-Policy from ./server/csp.mjs
+ * - CSP violation reports are appended to csp-reports.log, one JSON object
+ *   per line
+ *
+ * Set PORT to listen elsewhere, and pass --report-only (or set
+ * CSP_REPORT_ONLY=1) to report policy violations without blocking them.
+ */
+
+import { createHash } from 'node:crypto'
+import fs from 'node:fs/promises'
+import http from 'node:http'
+import path from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import { promisify } from 'node:util'
+import zlib from 'node:zlib'
+import { REPORT_PATH, applyNonce, createNonce, cspHeaders, parseReports } from './server/csp.mjs'
+import { SECURITY_HEADERS, cacheControlFor, contentTypeFor, isCompressible } from './server/headers.mjs'
+
+const DIST = fileURLToPath(new URL('../dist', import.meta.url))
+const REPORT_LOG = fileURLToPath(new URL('../csp-reports.log', import.meta.url))
+const DEFAULT_PORT = 8080
+
+// Pages whose script handles the paths below them, e.g. "/branches/kano"
+const CLIENT_ROUTES = ['branches']
+
+const NOT_FOUND_PAGE = '404/index.html'
+
+// Violation reports are small; anything bigger is not one
+const MAX_REPORT_SIZE = 64 * 1024
+
+// Below this, compression costs more than it saves
+const MIN_COMPRESS_SIZE = 1024
+
+const ENCODERS = {
+  br: promisify(zlib.brotliCompress),
+  gzip: promisify(zlib.gzip)
+}
+
+/**
+ * Pick the encoding to send from an Accept-Encoding header, preferring Brotli
+ * @param {string} [header]
+ * @returns {'br'|'gzip'|null}
+ */
+export function negotiateEncoding(header = '') {
+  const accepted = new Map(header.split(',').map(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';')
+    const q = params.map(param => param.trim()).find(param => param.startsWith('q='))
+    return [name, q ? Number(q.slice(2)) : 1]
+  }))
+  const quality = name => accepted.get(name) ?? (accepted.has('*') ? accepted.get('*') : 0)
+
+  return ['br', 'gzip'].find(name => quality(name) > 0) || null
+}
+
+/**
+ * Files a URL path may be served from, most specific first. Below a client
+ * route, the last entry is the route's own page.
+ * @param {string} urlPath - Decoded path, e.g. "/branches/kano"
+ * @returns {string[]} Paths relative to the site root
+ */
+export function candidateFiles(urlPath) {
+  const trimmed = urlPath.replace(/^\/+|\/+$/g, '')
+  const join = (...parts) => parts.filter(Boolean).join('/')
+
+  if (path.posix.extname(trimmed) && !urlPath.endsWith('/')) return [trimmed]
+
+  const candidates = [join(trimmed, 'index.html')]
+  if (trimmed) candidates.push(`${trimmed}.html`)
+
+  const [route, ...rest] = trimmed.split('/')
+  if (CLIENT_ROUTES.includes(route) && rest.length) candidates.push(join(route, 'index.html'))
+
+  return candidates
+}
+
+/**
+ * Does an If-None-Match header match the current ETag?
+ * @param {string} [header]
+ * @param {string} etag
+ * @returns {boolean}
+ */
+function isFresh(header, etag) {
+  if (!header) return false
+  return header.split(',').some(tag => {
+    const value = tag.trim().replace(/^W\//, '')
+    return value === '*' || value === etag
+  })
+}
+
+/**
+ * @param {http.IncomingMessage} request
+ * @param {number} limit
+ * @returns {Promise<string|null>} The body, or null when it is over the limit
+ */
+async function readBody(request, limit) {
+  const chunks = []
+  let size = 0
+
+  for await (const chunk of request) {
+    size += chunk.length
+    if (size > limit) return null
+    chunks.push(chunk)
+  }
+
+  return Buffer.concat(chunks).toString('utf8')
+}
+
+/**
+ * Create the server. Files are read and compressed once, then kept in memory
+ * until they change on disk; pages with inline scripts or styles are stamped
+ * with a new nonce on every request instead.
+ * @param {Object} [options]
+ * @param {string} [options.root] - Directory to serve
+ * @param {boolean} [options.reportOnly] - Report CSP violations without blocking them
+ * @param {string} [options.reportLog] - File CSP violation reports are appended to
+ * @returns {http.Server}
+ */
+export function createSiteServer({ root = DIST, reportOnly = false, reportLog = REPORT_LOG } = {}) {
+  const base = path.resolve(root)
+  const cache = new Map()
+
+  /**
+   * @param {string} relative
+   * @returns {Promise<Object|null>} The file's body, hash and encoded bodies, or null when missing
+   */
+  async function load(relative) {
+    const file = path.resolve(base, relative)
+    if (file !== base && !file.startsWith(base + path.sep)) return null
+
+    const stat = await fs.stat(file).catch(() => null)
+    if (!stat || !stat.isFile()) return null
+
+    const cached = cache.get(file)
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached
+
+    const body = await fs.readFile(file)
+    const contentType = contentTypeFor(path.extname(file))
+    const entry = {
+      mtimeMs: stat.mtimeMs,
+      size: stat.size,
+      body,
+      hash: createHash('sha256').update(body).digest('base64url').slice(0, 16),
+      contentType,
+      // Needs a nonce per request, so cannot be cached or revalidated
+      inline: contentType.startsWith('text/html') && applyNonce(body.toString('utf8'), '').count > 0,
+      encoded: new Map()
+    }
+    cache.set(file, entry)
+    return entry
+  }
+
+  /**
+   * @param {Object} entry
+   * @param {'br'|'gzip'} encoding
+   * @returns {Promise<Buffer>}
+   */
+  async function encode(entry, encoding) {
+    if (!entry.encoded.has(encoding)) entry.encoded.set(encoding, await ENCODERS[encoding](entry.body))
+    return entry.encoded.get(encoding)
+  }
+
+  /**
+   * @param {http.ServerResponse} response
+   * @param {number} status
+   * @param {string} message
+   * @param {Object} [headers]
+   */
+  function sendText(response, status, message, headers = {}) {
+    response.writeHead(status, {
+      ...SECURITY_HEADERS,
+      ...cspHeaders(createNonce(), { reportOnly }),
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Cache-Control': 'no-store',
+      ...headers
+    })
+    response.end(message)
+  }
+
+  /**
+   * Append the violation reports in a request to the log
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   */
+  async function collectReports(request, response) {
+    if (request.method !== 'POST') return sendText(response, 405, 'Method not allowed', { Allow: 'POST' })
+
+    const body = await readBody(request, MAX_REPORT_SIZE)
+    if (body === null) return sendText(response, 413, 'Report too large')
+
+    let reports
+    try {
+      reports = parseReports(request.headers['content-type'] || '', body)
+    } catch {
+      return sendText(response, 400, 'Bad report')
+    }
+
+    const receivedAt = new Date().toISOString()
+    const lines = reports.map(report => `${JSON.stringify({ receivedAt, ...report })}\n`).join('')
+    if (lines) await fs.appendFile(reportLog, lines)
+
+    response.writeHead(204, { ...SECURITY_HEADERS, 'Cache-Control': 'no-store' })
+    response.end()
+  }
+
+  /**
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   */
+  async function handle(request, response) {
+    if (request.url.split('?')[0] === REPORT_PATH) return collectReports(request, response)
+
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      return sendText(response, 405, 'Method not allowed', { Allow: 'GET, HEAD' })
+    }
+
+    let urlPath
+    try {
+      urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname)
+    } catch {
+      return sendText(response, 400, 'Bad request')
+    }
+    if (urlPath.includes('\0')) return sendText(response, 400, 'Bad request')
+
+    let status = 200
+    let file = null
+    let entry = null
+    for (const candidate of candidateFiles(urlPath)) {
+      entry = await load(candidate)
+      if (entry) {
+        file = candidate
+        break
+      }
+    }
+    if (!entry) {
+      status = 404
+      file = NOT_FOUND_PAGE
+      entry = await load(NOT_FOUND_PAGE)
+      if (!entry) return sendText(response, 404, 'Not found')
+    }
+
+    const nonce = createNonce()
+    const compressible = isCompressible(entry.contentType) && entry.size >= MIN_COMPRESS_SIZE
+    const encoding = compressible ? negotiateEncoding(request.headers['accept-encoding']) : null
+    const etag = `"${entry.hash}${encoding ? `-${encoding}` : ''}"`
+
+    const headers = {
+      ...SECURITY_HEADERS,
+      ...cspHeaders(nonce, { reportOnly }),
+      'Content-Type': entry.contentType,
+      'Cache-Control': cacheControlFor(`/${file}`)
+    }
+    const revalidate = !entry.inline && status === 200
+    if (revalidate) headers.ETag = etag
+    if (compressible) headers.Vary = 'Accept-Encoding'
+
+    if (revalidate && isFresh(request.headers['if-none-match'], etag)) {
+      response.writeHead(304, headers)
+      return response.end()
+    }
+
+    let body
+    if (entry.inline) {
+      const page = Buffer.from(applyNonce(entry.body.toString('utf8'), nonce).html)
+      body = encoding ? await ENCODERS[encoding](page) : page
+    } else {
+      body = encoding ? await encode(entry, encoding) : entry.body
+    }
+    if (encoding) headers['Content-Encoding'] = encoding
+    headers['Content-Length'] = body.length
+
+    response.writeHead(status, headers)
+    response.end(request.method === 'HEAD' ? undefined : body)
+  }
+
+  return http.createServer((request, response) => {
+    handle(request, response).catch(error => {
+      console.error(error)
+      if (!response.headersSent) sendText(response, 500, 'Internal server error')
+      else response.destroy()
+    })
+  })
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT
+  const exists = await fs.stat(DIST).then(() => true, () => false)
+
+  if (!exists) {
+    console.error('dist/ not found: run node scripts/build.mjs first')
+    process.exitCode = 1
+  } else {
+    const reportOnly = process.argv.includes('--report-only') || process.env.CSP_REPORT_ONLY === '1'
+    const mode = reportOnly ? ' (CSP report-only)' : ''
+
+    createSiteServer({ reportOnly }).listen(port, () => console.log(`Serving dist/ at http://localhost:${port}${mode}`))
+  }
+}
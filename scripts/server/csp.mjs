@@ -0,0 +1,125 @@
+// scripts/server/csp.mjs
+
+/**
+ * Content-Security-Policy for the static server.
+ *
+ * Every response gets a fresh nonce. Inline `<script>` and `<style>` elements
+ * in the page are stamped with it, so markup written by the site runs while
+ * anything injected into the page later does not.
+ *
+ * - Violations are reported to REPORT_PATH, through both `report-to` and the
+ *   older `report-uri` that Firefox and Safari still use
+ * - Report-only mode sends the same policy as
+ *   Content-Security-Policy-Report-Only, for trying out a change without
+ *   blocking anything
+ */
+
+import { randomBytes } from 'node:crypto'
+
+export const REPORT_PATH = '/csp-reports'
+export const REPORT_GROUP = 'csp-endpoint'
+
+/**
+ * Directives before the nonce and reporting are added
+ * @type {Object<string, string[]>}
+ */
+export const DIRECTIVES = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'"],
+  'style-src': ["'self'"],
+  'img-src': ["'self'", 'data:'],
+  'font-src': ["'self'"],
+  'connect-src': ["'self'"],
+  'manifest-src': ["'self'"],
+  'worker-src': ["'self'"],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+  'frame-ancestors': ["'none'"]
+}
+
+// Inline elements only: `<script src>` is already covered by 'self', and
+// JSON-LD is data the browser never runs, so it keeps pages cacheable
+const INLINE_SCRIPT = /<script\b(?![^>]*\ssrc=)(?![^>]*\snonce=)(?![^>]*\stype="application\/ld\+json")/g
+const INLINE_STYLE = /<style\b(?![^>]*\snonce=)/g
+
+/**
+ * @returns {string} 128 random bits, base64 encoded
+ */
+export function createNonce() {
+  return randomBytes(16).toString('base64')
+}
+
+/**
+ * @param {string} nonce
+ * @returns {string} The policy, with the nonce allowed for scripts and styles
+ */
+export function buildPolicy(nonce) {
+  const directives = {
+    ...DIRECTIVES,
+    'script-src': [...DIRECTIVES['script-src'], `'nonce-${nonce}'`],
+    'style-src': [...DIRECTIVES['style-src'], `'nonce-${nonce}'`],
+    'report-uri': [REPORT_PATH],
+    'report-to': [REPORT_GROUP]
+  }
+
+  return Object.entries(directives)
+    .map(([name, values]) => `${name} ${values.join(' ')}`)
+    .join('; ')
+}
+
+/**
+ * Headers carrying the policy for one response
+ * @param {string} nonce
+ * @param {Object} [options]
+ * @param {boolean} [options.reportOnly] - Report violations without blocking them
+ * @returns {Object<string, string>}
+ */
+export function cspHeaders(nonce, { reportOnly = false } = {}) {
+  const name = reportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy'
+
+  return {
+    [name]: buildPolicy(nonce),
+    'Reporting-Endpoints': `${REPORT_GROUP}="${REPORT_PATH}"`
+  }
+}
+
+/**
+ * Stamp the nonce on every inline script and style element in a page
+ * @param {string} html
+ * @param {string} nonce
+ * @returns {{html: string, count: number}} The page, and how many elements were stamped
+ */
+export function applyNonce(html, nonce) {
+  let count = 0
+  const stamp = tag => {
+    count++
+    return `${tag} nonce="${nonce}"`
+  }
+
+  return {
+    html: html.replace(INLINE_SCRIPT, stamp).replace(INLINE_STYLE, stamp),
+    count
+  }
+}
+
+/**
+ * Turn a report request body into a list of CSP violation reports.
+ * Accepts the Reporting API's `application/reports+json` array and the
+ * single `{"csp-report": …}` object sent to `report-uri`.
+ * @param {string} contentType
+ * @param {string} body
+ * @returns {Object[]}
+ * @throws {SyntaxError} When the body is not JSON
+ */
+export function parseReports(contentType, body) {
+  const data = JSON.parse(body)
+
+  if (contentType.startsWith('application/reports+json')) {
+    return (Array.isArray(data) ? data : [data])
+      .filter(report => report && report.type === 'csp-violation')
+      .map(report => report.body)
+  }
+
+  return data && data['csp-report'] ? [data['csp-report']] : []
+}
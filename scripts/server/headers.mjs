@@ -0,0 +1,77 @@
+// scripts/server/headers.mjs
+
+/**
+ * Response headers for the static server: content types, caching rules per
+ * asset type, and the fixed security headers every response carries.
+ */
+
+export const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8'
+}
+
+// Types worth compressing; images other than SVG are compressed already
+const COMPRESSIBLE = /^(text\/|application\/(json|manifest\+json|xml)|image\/svg\+xml)/
+
+/**
+ * Caching rules, first match wins. File names carry no content hash, so
+ * scripts and styles are revalidated hourly against their ETag rather than
+ * cached for good; pages and the service worker are always revalidated.
+ * @type {{test: RegExp, value: string}[]}
+ */
+export const CACHE_RULES = [
+  { test: /(\.html|\/sw\.js)$/, value: 'no-cache' },
+  { test: /\.webmanifest$/, value: 'public, max-age=86400' },
+  { test: /^\/data\//, value: 'public, max-age=300, must-revalidate' },
+  { test: /\.(css|js)$/, value: 'public, max-age=3600, must-revalidate' },
+  { test: /\.(svg|png|jpe?g|webp|avif|ico|woff2)$/, value: 'public, max-age=2592000' }
+]
+
+// The Content-Security-Policy changes per response, see ./csp.mjs
+export const SECURITY_HEADERS = {
+  'Strict-Transport-Security': 'max-age=63072000; includeSubDomains; preload',
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'strict-origin-when-cross-origin',
+  'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=(), usb=(), browsing-topics=()',
+  'Cross-Origin-Opener-Policy': 'same-origin'
+}
+
+/**
+ * @param {string} extension - Including the dot, e.g. ".css"
+ * @returns {string}
+ */
+export function contentTypeFor(extension) {
+  return CONTENT_TYPES[extension.toLowerCase()] || 'application/octet-stream'
+}
+
+/**
+ * @param {string} contentType
+ * @returns {boolean}
+ */
+export function isCompressible(contentType) {
+  return COMPRESSIBLE.test(contentType)
+}
+
+/**
+ * @param {string} urlPath - Path of the file served, e.g. "/css/main.css"
+ * @returns {string}
+ */
+export function cacheControlFor(urlPath) {
+  const rule = CACHE_RULES.find(({ test }) => test.test(urlPath))
+  return rule ? rule.value : 'no-cache'
+}
@@ -0,0 +1,118 @@
+// scripts/site/faq.mjs
+
+/**
+ * Frequently asked questions.
+ *
+ * Renders the FAQ section of the home page from data/faqs.json, and the
+ * matching schema.org FAQPage structured data, so the two can never
+ * disagree. Questions are grouped into categories:
+ *
+ *   { "categories": [{ "id": "cards", "title": "Cards and PINs", "questions": [
+ *     { "id": "reset-pin", "question": "…", "answer": "…", "link": { "label": "…", "href": "/cards" } }
+ *   ] }] }
+ *
+ * Each question becomes a <details> element with the id "faq-<id>", which
+ * is what deep links to a single question point at. Questions and answers
+ * may quote site data, as in "call {{organization.phone.display}}".
+ */
+
+import { escapeHTML, fillText } from './template.mjs'
+
+/**
+ * Every question, in page order
+ * @param {{categories: Object[]}} faqs
+ * @returns {{id: string, question: string, answer: string, link?: Object}[]}
+ */
+export function allQuestions({ categories }) {
+  return categories.flatMap(category => category.questions)
+}
+
+/**
+ * The FAQs with the `{{name}}` tags of their questions and answers filled in
+ * @param {{categories: Object[]}} faqs
+ * @param {Object} values - Site data, as in `{ organization }`
+ * @returns {{categories: Object[]}}
+ */
+export function fillFaqs({ categories }, values) {
+  return {
+    categories: categories.map(category => ({
+      ...category,
+      questions: category.questions.map(item => ({
+        ...item,
+        question: fillText(item.question, values),
+        answer: fillText(item.answer, values)
+      }))
+    }))
+  }
+}
+
+/**
+ * @param {Object} item
+ * @returns {string}
+ */
+function renderQuestion({ id, question, answer, link }) {
+  const more = link
+    ? `\n                  <p class="faq__more"><a href="${escapeHTML(link.href)}" class="faq__link">${escapeHTML(link.label)}</a></p>`
+    : ''
+
+  return `
+              <details id="faq-${escapeHTML(id)}" class="faq__item">
+                <summary id="faq-${escapeHTML(id)}-question" class="faq__question">${escapeHTML(question)}</summary>
+                <div class="faq__answer">
+                  <p>${escapeHTML(answer)}</p>${more}
+                  <p class="faq__permalink"><a href="#faq-${escapeHTML(id)}" class="faq__permalink-link" aria-describedby="faq-${escapeHTML(id)}-question" data-i18n="faq.permalink">Link to this question</a></p>
+                </div>
+              </details>`
+}
+
+/**
+ * The questions of the FAQ section, one list per category
+ * @param {{categories: Object[]}} faqs
+ * @returns {string}
+ */
+export function renderFaqCategories({ categories }) {
+  return categories.map(category => `
+          <div class="faq__category">
+            <h3 class="faq__category-title" data-i18n="faq.categories.${escapeHTML(category.id)}">${escapeHTML(category.title)}</h3>
+            <div class="faq__list">${category.questions.map(renderQuestion).join('')}
+            </div>
+          </div>`).join('\n').replace(/^\n/, '')
+}
+
+/**
+ * FAQPage structured data for the same questions
+ * @param {{categories: Object[]}} faqs
+ * @returns {Object}
+ */
+export function faqPageSchema(faqs) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    mainEntity: allQuestions(faqs).map(({ question, answer }) => ({
+      '@type': 'Question',
+      name: question,
+      acceptedAnswer: { '@type': 'Answer', text: answer }
+    }))
+  }
+}
+
+/**
+ * @param {{categories: Object[]}} faqs
+ * @returns {string[]} Problems with the file, such as repeated question ids
+ */
+export function validateFaqs({ categories }) {
+  const problems = []
+  const seen = new Set()
+
+  for (const category of categories) {
+    if (!category.id || !category.title) problems.push('every category needs an id and a title')
+
+    for (const item of category.questions || []) {
+      if (!item.id || !item.question || !item.answer) problems.push(`question "${item.id}" needs an id, a question and an answer`)
+      if (seen.has(item.id)) problems.push(`question id "${item.id}" is used twice`)
+      seen.add(item.id)
+    }
+  }
+
+  return problems
+}
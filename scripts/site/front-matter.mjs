@@ -0,0 +1,42 @@
+// scripts/site/front-matter.mjs
+
+/**
+ * Front matter for page sources.
+ *
+ * A page starts with `key: value` lines between two `---` lines; the rest of
+ * the file is the page body:
+ *
+ *   ---
+ *   path: /loans
+ *   title: Loans - Wema Bank
+ *   ---
+ *   <article>…</article>
+ *
+ * Values are strings, except `true` and `false`.
+ */
+
+const FENCE = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/
+
+/**
+ * @param {string} source - Contents of a page file
+ * @returns {{data: Object<string, string|boolean>, body: string}}
+ * @throws {Error} When a front matter line is not `key: value`
+ */
+export function parseFrontMatter(source) {
+  const match = FENCE.exec(source)
+  if (!match) return { data: {}, body: source }
+
+  const data = {}
+  for (const line of match[1].split(/\r?\n/)) {
+    if (!line.trim()) continue
+
+    const separator = line.indexOf(':')
+    if (separator < 1) throw new Error(`Invalid front matter line: "${line}"`)
+
+    const key = line.slice(0, separator).trim()
+    const value = line.slice(separator + 1).trim()
+    data[key] = value === 'true' ? true : value === 'false' ? false : value
+  }
+
+  return { data, body: source.slice(match[0].length) }
+}
@@ -0,0 +1,343 @@
+// scripts/site/images.mjs
+
+/**
+ * Image pipeline for the built site.
+ *
+ * - Every SVG copied into dist/images is minified with SVGO
+ * - Each page gets its own 1200×630 Open Graph / Twitter card: the page
+ *   title on the brand colour, drawn from an SVG template and rendered to
+ *   JPEG by sharp, locally and without fetching anything
+ * - Raster `<img>` elements are wrapped in a `<picture>` offering AVIF and
+ *   WebP at 1x and, where the source is large enough, 2x
+ * - favicon.ico is rendered from images/icons/icon.svg
+ *
+ * `checkImages` then reads the finished pages and reports any image that is
+ * missing, any `<img>` whose width and height do not match its file, and
+ * any share card that is not 1200×630.
+ */
+
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import sharp from 'sharp'
+import { optimize } from 'svgo'
+import { escapeHTML } from './template.mjs'
+
+export const CARD_WIDTH = 1200
+export const CARD_HEIGHT = 630
+
+const BRAND_COLOR = '#8B0000'
+const CARD_FONT = 'Arial, Helvetica, sans-serif'
+
+const RASTER = /\.(png|jpe?g)$/i
+const IMG = /<img\b[^>]*>/g
+const ATTRIBUTE = /([\w:-]+)="([^"]*)"/g
+const LINK_ICON = /<link\b[^>]*\brel="(?:icon|apple-touch-icon)"[^>]*>/g
+const SHARE_IMAGE = /<meta\b[^>]*\b(?:property="og:image"|name="twitter:image")[^>]*>/g
+
+// The favicon sizes browsers ask for
+const FAVICON_SIZES = [16, 32, 48]
+
+/**
+ * @param {string} tag
+ * @returns {Object<string, string>}
+ */
+function attributesOf(tag) {
+  return Object.fromEntries(Array.from(tag.matchAll(ATTRIBUTE), ([, name, value]) => [name, value]))
+}
+
+/**
+ * Collect every site image path in a parsed data file, such as service icons
+ * @param {*} value
+ * @returns {string[]}
+ */
+export function imagesInData(value) {
+  if (typeof value === 'string') return /^\/[^?#]*\.(svg|png|jpe?g|webp|avif|ico)$/i.test(value) ? [value] : []
+  if (Array.isArray(value)) return value.flatMap(imagesInData)
+  if (!value || typeof value !== 'object') return []
+
+  return Object.values(value).flatMap(imagesInData)
+}
+
+/**
+ * Path of a page's share card: "/" → "/images/cards/home.jpg",
+ * "/branches/kano" → "/images/cards/branches-kano.jpg"
+ * @param {string} pagePath
+ * @returns {string}
+ */
+export function cardPath(pagePath) {
+  const slug = pagePath.replace(/^\/+|\/+$/g, '').replaceAll('/', '-') || 'home'
+  return `/images/cards/${slug}.jpg`
+}
+
+/**
+ * Break a title into lines of at most `width` characters
+ * @param {string} text
+ * @param {number} width
+ * @returns {string[]}
+ */
+export function wrapText(text, width) {
+  const lines = []
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const last = lines.length - 1
+    if (last >= 0 && `${lines[last]} ${word}`.length <= width) lines[last] += ` ${word}`
+    else lines.push(word)
+  }
+  return lines
+}
+
+/**
+ * The share card template
+ * @param {{title: string, siteName?: string, host?: string}} card
+ * @returns {string} SVG, 1200×630
+ */
+export function cardSvg({ title, siteName = 'Wema Bank', host = 'wemabank.com' }) {
+  // Long titles drop to a smaller size rather than run past three lines
+  let fontSize = 76
+  let lines = wrapText(title, 24)
+  if (lines.length > 3) {
+    fontSize = 60
+    lines = wrapText(title, 30).slice(0, 4)
+  }
+
+  const lineHeight = Math.round(fontSize * 1.15)
+  const top = 330 - ((lines.length - 1) * lineHeight) / 2
+  const text = lines.map((line, index) =>
+    `<tspan x="80" y="${top + index * lineHeight}">${escapeHTML(line)}</tspan>`).join('')
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="${BRAND_COLOR}"/>
+  <rect y="${CARD_HEIGHT - 16}" width="${CARD_WIDTH}" height="16" fill="#FFFFFF" opacity="0.2"/>
+  <g transform="translate(80 64)">
+    <rect width="72" height="72" rx="12" fill="#FFFFFF"/>
+    <polyline points="17.3,23 25.9,50.4 36,30.2 46.1,50.4 54.7,23" fill="none" stroke="${BRAND_COLOR}" stroke-width="5.4" stroke-linecap="round" stroke-linejoin="round"/>
+    <text x="96" y="48" font-family="${CARD_FONT}" font-size="36" font-weight="700" fill="#FFFFFF">${escapeHTML(siteName)}</text>
+  </g>
+  <text font-family="${CARD_FONT}" font-size="${fontSize}" font-weight="700" fill="#FFFFFF">${text}</text>
+  <text x="80" y="${CARD_HEIGHT - 64}" font-family="${CARD_FONT}" font-size="28" fill="#FFFFFF" opacity="0.85">${escapeHTML(host)}</text>
+</svg>
+`
+}
+
+/**
+ * Render a page's share card
+ * @param {string} outDir
+ * @param {{path: string, title: string}} page
+ * @returns {Promise<string>} The card's path on the site
+ */
+export async function writeCard(outDir, { path: pagePath, title }) {
+  const card = cardPath(pagePath)
+  const file = path.join(outDir, card)
+
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await sharp(Buffer.from(cardSvg({ title }))).jpeg({ quality: 82, mozjpeg: true }).toFile(file)
+
+  return card
+}
+
+/**
+ * Minify every SVG below a directory in place
+ * @param {string} dir
+ * @returns {Promise<number>} Bytes saved
+ */
+export async function optimizeSvgs(dir) {
+  const entries = await fs.readdir(dir, { recursive: true }).catch(() => [])
+  let saved = 0
+
+  for (const entry of entries.filter(name => name.endsWith('.svg'))) {
+    const file = path.join(dir, entry)
+    const source = await fs.readFile(file, 'utf8')
+    // The default preset keeps the width, height and viewBox that <img>
+    // attributes are checked against
+    const { data } = optimize(source, { path: file, multipass: true, plugins: ['preset-default'] })
+    saved += Buffer.byteLength(source) - Buffer.byteLength(data)
+    await fs.writeFile(file, data)
+  }
+
+  return saved
+}
+
+/**
+ * Write favicon.ico, holding PNG renderings of an SVG at each favicon size
+ * @param {string} svgFile
+ * @param {string} icoFile
+ */
+export async function writeFavicon(svgFile, icoFile) {
+  const images = await Promise.all(FAVICON_SIZES.map(size => sharp(svgFile, { density: 384 }).resize(size, size).png().toBuffer()))
+
+  const header = Buffer.alloc(6)
+  header.writeUInt16LE(0, 0)
+  header.writeUInt16LE(1, 2)
+  header.writeUInt16LE(images.length, 4)
+
+  let offset = header.length + 16 * images.length
+  const entries = images.map((image, index) => {
+    const size = FAVICON_SIZES[index]
+    const entry = Buffer.alloc(16)
+    entry.writeUInt8(size % 256, 0)
+    entry.writeUInt8(size % 256, 1)
+    entry.writeUInt16LE(1, 4)
+    entry.writeUInt16LE(32, 6)
+    entry.writeUInt32LE(image.length, 8)
+    entry.writeUInt32LE(offset, 12)
+    offset += image.length
+    return entry
+  })
+
+  await fs.writeFile(icoFile, Buffer.concat([header, ...entries, ...images]))
+}
+
+/**
+ * Intrinsic size of an image file
+ * @param {string} file
+ * @returns {Promise<{width: number, height: number}>}
+ */
+export async function imageSize(file) {
+  const { width, height } = await sharp(file).metadata()
+  return { width, height }
+}
+
+/**
+ * Pixel densities a raster source can serve at a displayed width
+ * @param {number} sourceWidth
+ * @param {number} displayWidth
+ * @returns {number[]} 1, and 2 when the source is at least twice as wide
+ */
+export function densitiesFor(sourceWidth, displayWidth) {
+  return sourceWidth >= displayWidth * 2 ? [1, 2] : [1]
+}
+
+/**
+ * AVIF and WebP variants of a raster image for each density, written next to it
+ * @param {string} outDir
+ * @param {string} src - Site path of the source, such as "/images/hero.png"
+ * @param {number} displayWidth
+ * @returns {Promise<{avif: string, webp: string}>} srcset values
+ */
+export async function writeVariants(outDir, src, displayWidth) {
+  const file = path.join(outDir, src)
+  const { width } = await imageSize(file)
+  const densities = densitiesFor(width, displayWidth)
+  const srcsets = { avif: [], webp: [] }
+
+  for (const density of densities) {
+    const variantWidth = displayWidth * density
+    for (const format of ['avif', 'webp']) {
+      const variant = src.replace(RASTER, `-${variantWidth}w.${format}`)
+      await sharp(file).resize({ width: variantWidth })[format]().toFile(path.join(outDir, variant))
+      srcsets[format].push(`${variant} ${density}x`)
+    }
+  }
+
+  return { avif: srcsets.avif.join(', '), webp: srcsets.webp.join(', ') }
+}
+
+/**
+ * Wrap the raster `<img>` elements of a page in a `<picture>` with AVIF and
+ * WebP sources. Images without a width are left alone; `checkImages`
+ * reports them.
+ * @param {string} html
+ * @param {string} outDir
+ * @param {Map<string, Promise<Object>>} [made] - Variants already written, by source and width
+ * @returns {Promise<string>}
+ */
+export async function addPictureSources(html, outDir, made = new Map()) {
+  const images = Array.from(html.matchAll(IMG), ([tag]) => tag)
+    .filter(tag => RASTER.test(attributesOf(tag).src || '') && attributesOf(tag).width)
+
+  let result = html
+  for (const tag of new Set(images)) {
+    const { src, width } = attributesOf(tag)
+    const key = `${src} ${width}`
+    if (!made.has(key)) made.set(key, writeVariants(outDir, src, Number(width)))
+
+    const { avif, webp } = await made.get(key)
+    result = result.replaceAll(tag,
+      `<picture><source type="image/avif" srcset="${avif}"><source type="image/webp" srcset="${webp}">${tag}</picture>`)
+  }
+
+  return result
+}
+
+/**
+ * Whether an <img> with these attributes shows its file at its own size, or
+ * at an exact fraction of it for high-density screens
+ * @param {{width: number, height: number}} file
+ * @param {{width: number, height: number}} shown
+ * @param {boolean} scalable - SVGs have no density, so must match exactly
+ * @returns {boolean}
+ */
+export function sizesMatch(file, shown, scalable) {
+  if (scalable) return file.width === shown.width && file.height === shown.height
+
+  const scale = file.width / shown.width
+  return Number.isInteger(scale) && file.height === shown.height * scale
+}
+
+/**
+ * Find images in the built pages that are missing or the wrong size
+ * @param {Map<string, string>} pages - HTML keyed by page path
+ * @param {Object} options
+ * @param {string} options.outDir
+ * @param {string} options.siteUrl
+ * @param {{source: string, src: string}[]} [options.extraImages] - Images named in data files
+ * @returns {Promise<{source: string, src: string, problem: string}[]>}
+ */
+export async function checkImages(pages, { outDir, siteUrl, extraImages = [] }) {
+  const problems = []
+  const sizes = new Map()
+
+  /**
+   * @param {string} src
+   * @returns {Promise<{width: number, height: number}|null>} Null when there is no such file
+   */
+  const sizeOf = src => {
+    if (!sizes.has(src)) {
+      const file = path.join(outDir, decodeURIComponent(src.split(/[?#]/)[0]))
+      sizes.set(src, fs.stat(file).then(
+        stat => (stat.isFile() ? (/\.ico$/.test(src) ? {} : imageSize(file)) : null),
+        () => null
+      ))
+    }
+    return sizes.get(src)
+  }
+
+  for (const [source, html] of pages) {
+    for (const [tag] of html.matchAll(IMG)) {
+      const { src, width, height } = attributesOf(tag)
+      if (!src || !src.startsWith('/')) continue
+
+      const size = await sizeOf(src)
+      if (!size) {
+        problems.push({ source, src, problem: 'does not exist' })
+      } else if (!width || !height) {
+        problems.push({ source, src, problem: 'needs width and height attributes' })
+      } else if (!sizesMatch(size, { width: Number(width), height: Number(height) }, src.endsWith('.svg'))) {
+        problems.push({ source, src, problem: `is ${size.width}×${size.height}, but shown at ${width}×${height}` })
+      }
+    }
+
+    for (const [tag] of html.matchAll(LINK_ICON)) {
+      const { href } = attributesOf(tag)
+      if (href && href.startsWith('/') && !(await sizeOf(href))) problems.push({ source, src: href, problem: 'does not exist' })
+    }
+
+    for (const [tag] of html.matchAll(SHARE_IMAGE)) {
+      const { content } = attributesOf(tag)
+      if (!content || !content.startsWith(`${siteUrl}/`)) continue
+
+      const src = content.slice(siteUrl.length)
+      const size = await sizeOf(src)
+      if (!size) {
+        problems.push({ source, src, problem: 'does not exist' })
+      } else if (size.width !== CARD_WIDTH || size.height !== CARD_HEIGHT) {
+        problems.push({ source, src, problem: `is ${size.width}×${size.height}, but share cards must be ${CARD_WIDTH}×${CARD_HEIGHT}` })
+      }
+    }
+  }
+
+  for (const { source, src } of extraImages) {
+    if (!(await sizeOf(src))) problems.push({ source, src, problem: 'does not exist' })
+  }
+
+  return problems
+}
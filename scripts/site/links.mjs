@@ -0,0 +1,93 @@
+// scripts/site/links.mjs
+
+/**
+ * Internal link checking for the built site.
+ *
+ * Every `<a href>` on a page, and every `href` in the data files that the
+ * page scripts turn into links, must point at a page the build produced.
+ * A link with a fragment must also find an element with that id on the
+ * target page. Links to other sites are not checked.
+ */
+
+const ANCHOR_HREF = /<a\b[^>]*?\shref="([^"]*)"/g
+const ID = /\sid="([^"]+)"/g
+
+/**
+ * @param {string} html
+ * @returns {string[]} The href of every link, in document order
+ */
+export function extractLinks(html) {
+  return Array.from(html.matchAll(ANCHOR_HREF), match => match[1].replace(/&amp;/g, '&'))
+}
+
+/**
+ * @param {string} html
+ * @returns {Set<string>}
+ */
+export function extractIds(html) {
+  return new Set(Array.from(html.matchAll(ID), match => match[1]))
+}
+
+/**
+ * Page key for a path, ignoring a trailing slash: "/branches/" → "/branches"
+ * @param {string} pathname
+ * @returns {string}
+ */
+export function pageKey(pathname) {
+  return pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname
+}
+
+/**
+ * Collect every `href` value in a parsed data file
+ * @param {*} value
+ * @returns {string[]}
+ */
+export function hrefsInData(value) {
+  if (Array.isArray(value)) return value.flatMap(hrefsInData)
+  if (!value || typeof value !== 'object') return []
+
+  return Object.entries(value).flatMap(([key, child]) =>
+    key === 'href' && typeof child === 'string' ? [child] : hrefsInData(child))
+}
+
+/**
+ * Find links that lead nowhere
+ * @param {Map<string, string>} pages - HTML keyed by page path
+ * @param {Object} options
+ * @param {string} options.siteUrl - Origin the site is published at
+ * @param {{source: string, href: string}[]} [options.extraLinks] - Links from data
+ *   files, resolved against the home page
+ * @returns {{source: string, href: string, reason: string}[]}
+ */
+export function findBrokenLinks(pages, { siteUrl, extraLinks = [] }) {
+  const site = new URL(siteUrl)
+  const targets = new Map()
+  for (const [path, html] of pages) targets.set(pageKey(path), extractIds(html))
+
+  const links = [
+    ...Array.from(pages, ([path, html]) => extractLinks(html).map(href => ({ source: path, base: path, href }))).flat(),
+    ...extraLinks.map(({ source, href }) => ({ source, base: '/', href }))
+  ]
+
+  const broken = []
+  for (const { source, base, href } of links) {
+    let url
+    try {
+      url = new URL(href, new URL(base, site))
+    } catch {
+      broken.push({ source, href, reason: 'not a valid URL' })
+      continue
+    }
+
+    if (url.origin !== site.origin) continue
+
+    const ids = targets.get(pageKey(url.pathname))
+    if (!ids) {
+      broken.push({ source, href, reason: 'no page at this path' })
+    } else if (url.hash.length > 1 && !ids.has(decodeURIComponent(url.hash.slice(1)))) {
+      broken.push({ source, href, reason: `no element with id "${url.hash.slice(1)}"` })
+    }
+  }
+
+  return broken
+}
@@ -0,0 +1,41 @@
+// scripts/site/loans.mjs
+
+/**
+ * Loan terms quoted on the content pages.
+ *
+ * The loan calculator takes its limits from data/loan-products.json, and the
+ * pages quote the same limits through `{{loans.<product id>.<field>}}`, so
+ * the two can never disagree:
+ *
+ *   Up to {{loans.personal.maxAmount}}, repaid over {{loans.personal.minTenor}}
+ *   to {{loans.personal.maxTenor}} months
+ */
+
+const MILLION = 1000000
+
+/**
+ * @param {number} amount - In naira
+ * @returns {string} e.g. "₦50,000" or "₦10 million"
+ */
+export function describeAmount(amount) {
+  if (amount >= MILLION && amount % (MILLION / 10) === 0) {
+    return `₦${(amount / MILLION).toLocaleString('en-NG')} million`
+  }
+
+  return `₦${amount.toLocaleString('en-NG')}`
+}
+
+/**
+ * The terms of each loan product, keyed by product id
+ * @param {{products: Object[]}} loanProducts - data/loan-products.json
+ * @returns {Object<string, {name: string, minAmount: string, maxAmount: string, minTenor: number, maxTenor: number}>}
+ */
+export function loanTerms({ products }) {
+  return Object.fromEntries(products.map(product => [product.id, {
+    name: product.name,
+    minAmount: describeAmount(product.minAmount),
+    maxAmount: describeAmount(product.maxAmount),
+    minTenor: product.minTenor,
+    maxTenor: product.maxTenor
+  }]))
+}
@@ -0,0 +1,162 @@
+// scripts/site/organization.mjs
+
+/**
+ * The bank's contact details and their structured data.
+ *
+ * data/organization.json holds the name, logo, customer service phone and
+ * email, head office address and social profiles. The contact section and
+ * the footer are filled from it, and so is the schema.org
+ * BankOrCreditUnion JSON-LD on every page, so what search engines read can
+ * never drift from what visitors see. Opening hours come from
+ * data/business-hours.json, which the business hours badge also uses. Its
+ * public holiday calendar has to be topped up by hand, so the build warns
+ * before it runs out.
+ *
+ * Each branch in data/branches.json becomes a LocalBusiness entry on the
+ * branch finder page for its city.
+ */
+
+import { escapeHTML } from './template.mjs'
+import { DAY_NAMES, describeHours } from '../../js/lib/hours.js'
+
+/**
+ * The organization's node id, which branch entries point back at
+ * @param {string} siteUrl
+ * @returns {string}
+ */
+export function organizationId(siteUrl) {
+  return `${siteUrl}/#organization`
+}
+
+/**
+ * schema.org opening hours for periods in the shape used by js/lib/hours.js
+ * @param {Array<{days: string[], opens: string, closes: string}>} periods
+ * @returns {Object[]}
+ */
+export function openingHoursSpecification(periods) {
+  return periods.map(({ days, opens, closes }) => ({
+    '@type': 'OpeningHoursSpecification',
+    dayOfWeek: days.map(day => DAY_NAMES[day]),
+    opens,
+    closes
+  }))
+}
+
+/**
+ * The head office opening hours as contact item lines
+ * @param {Array<{days: string[], opens: string, closes: string}>} periods
+ * @returns {string}
+ */
+export function renderOpeningHours(periods) {
+  return describeHours(periods)
+    .map(line => `<p class="contact-item__detail">${escapeHTML(`${line.days}: ${line.time}`)}</p>`)
+    .join('\n              ')
+}
+
+// How far ahead the public holiday calendar should reach
+const HOLIDAY_HORIZON_MONTHS = 12
+
+/**
+ * Warn when the holiday calendar ends within the next 12 months; after its
+ * last date, the badges would show branches open on public holidays
+ * @param {Array<{date: string, name: string}>} holidays
+ * @param {Date} [now]
+ * @returns {string[]}
+ */
+export function holidayWarnings(holidays, now = new Date()) {
+  const horizon = new Date(now)
+  horizon.setUTCMonth(horizon.getUTCMonth() + HOLIDAY_HORIZON_MONTHS)
+  const until = horizon.toISOString().slice(0, 10)
+  const last = holidays.map(holiday => holiday.date).sort().at(-1)
+
+  if (last && last >= until) return []
+  return [`data/business-hours.json: public holidays are listed ${last ? `only up to ${last}` : 'for no dates'}; add them up to ${until}`]
+}
+
+/**
+ * @param {Object} organization - data/organization.json
+ * @param {Array<{days: string[], opens: string, closes: string}>} hours - Head office hours
+ * @param {string} siteUrl
+ * @returns {Object}
+ */
+export function organizationSchema(organization, hours, siteUrl) {
+  const { headOffice, phone } = organization
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BankOrCreditUnion',
+    '@id': organizationId(siteUrl),
+    name: organization.name,
+    legalName: organization.legalName,
+    url: siteUrl,
+    logo: `${siteUrl}${organization.logo}`,
+    image: `${siteUrl}${organization.logo}`,
+    foundingDate: organization.foundingDate,
+    telephone: phone.number,
+    email: organization.email,
+    address: {
+      '@type': 'PostalAddress',
+      streetAddress: `${headOffice.building}, ${headOffice.street}`,
+      addressLocality: headOffice.locality,
+      addressRegion: headOffice.region,
+      addressCountry: headOffice.countryCode
+    },
+    openingHoursSpecification: openingHoursSpecification(hours),
+    contactPoint: {
+      '@type': 'ContactPoint',
+      contactType: 'customer service',
+      telephone: phone.number,
+      email: organization.email,
+      areaServed: headOffice.countryCode
+    },
+    sameAs: Object.values(organization.social)
+  }
+}
+
+/**
+ * @param {Object} branch - An entry of data/branches.json
+ * @param {{cities: Object<string, string>, services: Object<string, string>}} branches - data/branches.json
+ * @param {string} siteUrl
+ * @returns {Object}
+ */
+export function branchSchema(branch, { cities, services }, siteUrl) {
+  const url = `${siteUrl}/branches/${branch.city}`
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'LocalBusiness',
+    '@id': `${url}#${branch.id}`,
+    name: `Wema Bank ${branch.name}`,
+    url,
+    telephone: branch.phone,
+    address: {
+      '@type': 'PostalAddress',
+      streetAddress: branch.address,
+      addressLocality: cities[branch.city],
+      addressRegion: branch.state,
+      addressCountry: 'NG'
+    },
+    geo: {
+      '@type': 'GeoCoordinates',
+      latitude: branch.coordinates.lat,
+      longitude: branch.coordinates.lng
+    },
+    openingHoursSpecification: openingHoursSpecification(branch.hours),
+    amenityFeature: branch.services.map(service => ({
+      '@type': 'LocationFeatureSpecification',
+      name: services[service] || service,
+      value: true
+    })).concat({ '@type': 'LocationFeatureSpecification', name: 'ATM', value: branch.atm }),
+    parentOrganization: { '@id': organizationId(siteUrl) }
+  }
+}
+
+/**
+ * Branches listed on a branch finder page
+ * @param {{branches: Object[]}} branches - data/branches.json
+ * @param {string} city - A city slug, or "all"
+ * @returns {Object[]}
+ */
+export function branchesIn({ branches }, city) {
+  return city === 'all' ? branches : branches.filter(branch => branch.city === city)
+}
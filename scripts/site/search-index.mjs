@@ -0,0 +1,123 @@
+// scripts/site/search-index.mjs
+
+/**
+ * Site search index.
+ *
+ * Collects the service cards, the content pages, the FAQs and the branches
+ * into one list of documents, and maps every word in them to the documents
+ * it appears in. The browser loads the result and searches it with
+ * js/lib/search.js, whose tokenizer is used here too so both sides agree on
+ * what a word is.
+ */
+
+import { tokenize } from '../../js/lib/search.js'
+
+// A word in a title counts for more than one in the body
+const FIELD_WEIGHTS = { title: 3, keywords: 2, text: 1 }
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' }
+
+/**
+ * Readable text of an HTML fragment
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  return html
+    .replace(/<h1\b[\s\S]*?<\/h1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, name) => ENTITIES[name])
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * @param {Object} sources
+ * @param {{data: Object, body: string}[]} sources.pages - Content pages, as loaded by the build
+ * @param {Object[]} sources.services - From data/services.json
+ * @param {{cities: Object<string, string>, services: Object<string, string>, branches: Object[]}} sources.branches - data/branches.json
+ * @param {Object[]} [sources.faqs] - Questions and answers, each with an `id`
+ * @returns {{type: string, title: string, url: string, text: string, keywords?: string}[]}
+ */
+export function collectDocuments({ pages, services, branches, faqs = [] }) {
+  const documents = pages.map(({ data, body }) => ({
+    type: 'page',
+    title: data.title.replace(/ - Wema Bank$/, ''),
+    url: data.path,
+    text: htmlToText(body),
+    keywords: data.keywords || ''
+  }))
+
+  for (const service of services.filter(service => service.flags.published)) {
+    const url = service.cta ? service.cta.href : '/#services'
+    const page = documents.find(document => document.url === url)
+
+    // A card that leads to its own page is found through that page
+    if (page) {
+      Object.assign(page, { type: 'service', text: `${service.description} ${page.text}` })
+    } else {
+      documents.push({ type: 'service', title: service.title, url, text: service.description })
+    }
+  }
+
+  for (const faq of faqs) {
+    documents.push({
+      type: 'faq',
+      title: faq.question,
+      url: `/#faq-${faq.id}`,
+      text: faq.answer
+    })
+  }
+
+  for (const [slug, city] of Object.entries(branches.cities)) {
+    documents.push({
+      type: 'branch',
+      title: `${city} branches`,
+      url: `/branches/${slug}`,
+      text: `Wema Bank branches and ATMs in ${city}, with addresses, services and opening hours.`
+    })
+  }
+
+  for (const branch of branches.branches) {
+    const offered = branch.services.map(service => branches.services[service]).join(', ')
+
+    documents.push({
+      type: 'branch',
+      title: branch.name,
+      url: `/branches/${branch.city}`,
+      text: `${branch.address}. ${offered}${branch.atm ? ', ATM' : ''}.`,
+      keywords: `${branches.cities[branch.city]} ${branch.state}`
+    })
+  }
+
+  return documents
+}
+
+/**
+ * Map every term to the documents it appears in
+ * @param {{title: string, text: string, keywords?: string}[]} documents
+ * @returns {{documents: Object[], terms: Object<string, number[][]>}}
+ */
+export function buildSearchIndex(documents) {
+  const terms = new Map()
+
+  documents.forEach((document, doc) => {
+    const weights = new Map()
+
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const term of new Set(tokenize(document[field] || ''))) {
+        weights.set(term, (weights.get(term) || 0) + weight)
+      }
+    }
+
+    for (const [term, weight] of weights) {
+      if (!terms.has(term)) terms.set(term, [])
+      terms.get(term).push([doc, weight])
+    }
+  })
+
+  return {
+    documents: documents.map(({ type, title, url, text }) => ({ type, title, url, text })),
+    terms: Object.fromEntries([...terms].sort(([a], [b]) => a.localeCompare(b)))
+  }
+}
@@ -0,0 +1,217 @@
+// scripts/site/seo.mjs
+
+/**
+ * Search engine checks and files for the built site.
+ *
+ * The audit reads each rendered page's head the way a crawler would and
+ * reports what would hurt it in search results: missing or repeated titles
+ * and descriptions, descriptions too long to show in full, a missing
+ * `og:image`, and canonical links that lead nowhere useful. Pages marked
+ * `noindex` are left out, as search engines leave them out.
+ *
+ * The sitemap lists every page that is its own canonical, and robots.txt
+ * points crawlers at it.
+ */
+
+import { pageKey } from './links.mjs'
+
+// Search results cut descriptions off at around this many characters
+export const MAX_DESCRIPTION_LENGTH = 155
+
+// Paths that are not pages: form endpoints and the CSP report endpoint
+export const DISALLOWED_PATHS = ['/api/', '/csp-reports']
+
+const TAG = /<(meta|link)\b[^>]*>/g
+const ATTRIBUTE = /([\w:-]+)="([^"]*)"/g
+const TITLE = /<title\b[^>]*>([^<]*)<\/title>/
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" }
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function decode(text) {
+  return text.replace(/&(amp|lt|gt|quot|#39);/g, (_, name) => ENTITIES[name])
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXML(text) {
+  return text.replace(/[&<>]/g, char => `&${{ '&': 'amp', '<': 'lt', '>': 'gt' }[char]};`)
+}
+
+/**
+ * What a crawler reads from a page's head
+ * @param {string} html
+ * @returns {{title: string|null, description: string|null, ogImage: string|null, ogUrl: string|null,
+ *   canonicals: string[], noindex: boolean}}
+ */
+export function readHead(html) {
+  const head = html.split('</head>')[0]
+  const tags = Array.from(head.matchAll(TAG), ([tag, name]) => ({
+    name,
+    attributes: Object.fromEntries(Array.from(tag.matchAll(ATTRIBUTE), ([, key, value]) => [key, decode(value)]))
+  }))
+
+  const meta = key => {
+    const tag = tags.find(({ name, attributes }) => name === 'meta' && (attributes.name === key || attributes.property === key))
+    return tag ? tag.attributes.content : null
+  }
+  const title = head.match(TITLE)
+
+  return {
+    title: title ? decode(title[1]).trim() : null,
+    description: meta('description'),
+    ogImage: meta('og:image'),
+    ogUrl: meta('og:url'),
+    canonicals: tags
+      .filter(({ name, attributes }) => name === 'link' && attributes.rel === 'canonical')
+      .map(({ attributes }) => attributes.href),
+    noindex: /noindex/.test(meta('robots') || '')
+  }
+}
+
+/**
+ * @param {string} href
+ * @returns {URL|null}
+ */
+function parseURL(href) {
+  try {
+    return new URL(href)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Find search engine problems in the built pages
+ * @param {Map<string, string>} pages - HTML keyed by page path
+ * @param {{siteUrl: string}} options
+ * @returns {{source: string, problem: string}[]}
+ */
+export function auditPages(pages, { siteUrl }) {
+  const origin = new URL(siteUrl).origin
+  const heads = new Map(Array.from(pages, ([path, html]) => [pageKey(path), { path, ...readHead(html) }]))
+  const indexable = Array.from(heads.values()).filter(head => !head.noindex)
+  const problems = []
+  const report = (source, problem) => problems.push({ source, problem })
+
+  /**
+   * @param {string} href
+   * @returns {string|null} Page key of a canonical URL on this site
+   */
+  const canonicalKey = href => {
+    const url = parseURL(href)
+    return url && url.origin === origin ? pageKey(url.pathname) : null
+  }
+
+  for (const head of indexable) {
+    const { path, title, description, ogImage, ogUrl, canonicals } = head
+
+    if (!title) report(path, 'has no title')
+    if (!description) {
+      report(path, 'has no meta description')
+    } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+      report(path, `has a ${description.length} character description, over the ${MAX_DESCRIPTION_LENGTH} that search results show`)
+    }
+
+    if (!ogImage) {
+      report(path, 'has no og:image')
+    } else if (!/^https?:$/.test((parseURL(ogImage) || {}).protocol)) {
+      report(path, `has an og:image that is not an absolute URL: ${ogImage}`)
+    }
+
+    if (canonicals.length !== 1) {
+      report(path, `has ${canonicals.length} canonical links instead of one`)
+      continue
+    }
+
+    const [canonical] = canonicals
+    const key = canonicalKey(canonical)
+    const target = key && heads.get(key)
+
+    if (!key) {
+      report(path, `has a canonical link off the site: ${canonical}`)
+    } else if (!target) {
+      report(path, `has a canonical link to a page that does not exist: ${canonical}`)
+    } else if (target.noindex) {
+      report(path, `has a canonical link to a page kept out of search results: ${canonical}`)
+    } else if (target.canonicals.length !== 1 || canonicalKey(target.canonicals[0]) !== key) {
+      report(path, `has a canonical link to a page that names another canonical: ${canonical}`)
+    }
+
+    if (ogUrl !== null && ogUrl !== canonical) report(path, `has an og:url that differs from its canonical: ${ogUrl}`)
+  }
+
+  // Pages that defer to another canonical are expected to repeat it
+  const canonicalPages = indexable.filter(head => head.canonicals.length === 1 && canonicalKey(head.canonicals[0]) === pageKey(head.path))
+
+  for (const field of ['title', 'description']) {
+    const seen = new Map()
+    for (const head of canonicalPages.filter(head => head[field])) {
+      if (seen.has(head[field])) report(head.path, `repeats the ${field} of ${seen.get(head[field])}`)
+      else seen.set(head[field], head.path)
+    }
+  }
+
+  return problems
+}
+
+/**
+ * Pages to list in the sitemap: indexable, and each its own canonical
+ * @param {Map<string, string>} pages - HTML keyed by page path
+ * @param {{siteUrl: string}} options
+ * @returns {{path: string, loc: string}[]} In path order, home page first
+ */
+export function sitemapPages(pages, { siteUrl }) {
+  const origin = new URL(siteUrl).origin
+  const entries = []
+
+  for (const [path, html] of pages) {
+    const { noindex, canonicals } = readHead(html)
+    const url = canonicals.length === 1 ? parseURL(canonicals[0]) : null
+
+    if (noindex || !url || url.origin !== origin || pageKey(url.pathname) !== pageKey(path)) continue
+    entries.push({ path, loc: canonicals[0] })
+  }
+
+  return entries.sort((a, b) => a.path.localeCompare(b.path))
+}
+
+/**
+ * @param {{loc: string, lastmod?: string}[]} entries
+ * @returns {string}
+ */
+export function renderSitemap(entries) {
+  const urls = entries.map(({ loc, lastmod }) => [
+    '  <url>',
+    `    <loc>${escapeXML(loc)}</loc>`,
+    ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+    '  </url>'
+  ].join('\n'))
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * @param {{siteUrl: string}} options
+ * @returns {string}
+ */
+export function renderRobots({ siteUrl }) {
+  return [
+    'User-agent: *',
+    ...DISALLOWED_PATHS.map(path => `Disallow: ${path}`),
+    '',
+    `Sitemap: ${siteUrl}/sitemap.xml`,
+    ''
+  ].join('\n')
+}
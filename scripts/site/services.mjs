@@ -0,0 +1,88 @@
+// scripts/site/services.mjs
+
+/**
+ * Service cards.
+ *
+ * Renders the `.services__grid` cards of the home page from
+ * data/services.json, so they are in the page without JavaScript and for
+ * crawlers. Adding a product means adding a catalogue entry:
+ *
+ *   { "slug": "cards", "title": "Cards", "description": "…",
+ *     "icon": "/images/icons/cards.svg", "category": "personal",
+ *     "cta": { "label": "Explore cards", "href": "/cards" },
+ *     "flags": { "published": true, "new": true },
+ *     "tools": [{ "panel": "loan-calculator", "product": "personal", "label": "…" }] }
+ *
+ * - Only entries flagged `published` are shown, in catalogue order
+ * - Entries flagged `new` get a "New" badge
+ * - Icons are decorative and hidden from assistive technology
+ * - `tools` add buttons for a tool panel on the same page; they stay hidden
+ *   until the tool has started (js/lib/tool-panel.js), and a tool whose
+ *   panel is not on the page is left out
+ */
+
+import { isSafeHref } from '../../js/lib/dom.js'
+import { escapeHTML } from './template.mjs'
+
+const ICON_SIZE = 64
+
+/**
+ * @param {{services: Object[]}} catalogue
+ * @returns {Object[]} The entries shown on the page, in order
+ */
+export function publishedServices({ services }) {
+  return services.filter(service => service.flags && service.flags.published)
+}
+
+/**
+ * @param {Object} service - Catalogue entry
+ * @param {(panel: string) => boolean} hasPanel
+ * @returns {string}
+ */
+function renderServiceCard(service, hasPanel) {
+  const { slug, title, description, icon, category, cta, flags = {}, tools = [] } = service
+  const lines = []
+
+  if (isSafeHref(icon)) {
+    lines.push(
+      '<div class="service-card__icon" aria-hidden="true">',
+      `  <img src="${escapeHTML(icon)}" alt="" width="${ICON_SIZE}" height="${ICON_SIZE}" aria-hidden="true">`,
+      '</div>'
+    )
+  } else {
+    lines.push('<div class="service-card__icon" aria-hidden="true"></div>')
+  }
+
+  lines.push(`<h3 class="service-card__title" data-i18n="services.${escapeHTML(slug)}.title">${escapeHTML(title)}</h3>`)
+  if (flags.new) lines.push('<p class="service-card__badge" data-i18n="services.new">New</p>')
+  lines.push(`<p class="service-card__description" data-i18n="services.${escapeHTML(slug)}.description">${escapeHTML(description)}</p>`)
+
+  if (cta && isSafeHref(cta.href)) {
+    lines.push(`<a class="service-card__link" href="${escapeHTML(cta.href)}" data-i18n="services.${escapeHTML(slug)}.cta">${escapeHTML(cta.label)}</a>`)
+  }
+
+  for (const tool of tools.filter(tool => hasPanel(tool.panel))) {
+    const product = tool.product ? ` data-product="${escapeHTML(tool.product)}"` : ''
+    lines.push(`<button type="button" class="service-card__tool" aria-controls="${escapeHTML(tool.panel)}" aria-expanded="false"${product} data-i18n="services.tools.${escapeHTML(tool.panel)}" hidden>${escapeHTML(tool.label)}</button>`)
+  }
+
+  return [
+    `          <article class="service-card" id="service-${escapeHTML(slug)}" data-category="${escapeHTML(category)}">`,
+    ...lines.map(line => `            ${line}`),
+    '          </article>'
+  ].join('\n')
+}
+
+/**
+ * The cards of the services grid
+ * @param {{services: Object[]}} catalogue - data/services.json
+ * @param {string} body - The page the cards go on, to find its tool panels
+ * @returns {string}
+ */
+export function renderServiceCards(catalogue, body) {
+  const hasPanel = panel => new RegExp(`\\sid="${panel.replace(/[^\w-]/g, '')}"`).test(body)
+
+  return publishedServices(catalogue)
+    .map(service => renderServiceCard(service, hasPanel))
+    .join('\n          \n')
+}
@@ -0,0 +1,64 @@
+// scripts/site/stats.mjs
+
+/**
+ * About section statistics.
+ *
+ * Renders the `.about__stats` figures of the home page from data/stats.json,
+ * so they are in the page without JavaScript and for crawlers, and the
+ * "over 80 years" copy that goes with them. js/components/about-stats.js
+ * only counts the figures up.
+ *
+ * - The visible figure is hidden from assistive technology, which reads the
+ *   copy in `.visually-hidden` and so never hears the count-up
+ * - Each figure with an `asOf` date gets an "As of" note, translated through
+ *   the `about.stats.asOf` message
+ */
+
+import { formatDate } from '../../js/lib/format.js'
+import { decadesOfService, formatStat, resolveStats } from '../../js/lib/stats.js'
+import { escapeHTML } from './template.mjs'
+
+/**
+ * @param {Object} stat - Resolved stat
+ * @returns {string}
+ */
+function renderStat(stat) {
+  const figure = escapeHTML(formatStat(stat.value, stat))
+  const lines = [
+    '<strong class="stat__number">',
+    `  <span class="stat__count" aria-hidden="true">${figure}</span>`,
+    `  <span class="visually-hidden">${figure}</span>`,
+    '</strong>',
+    `<span class="stat__label" data-i18n="about.stats.${escapeHTML(stat.id)}">${escapeHTML(stat.label)}</span>`
+  ]
+
+  if (stat.asOf) {
+    const date = formatDate(stat.asOf)
+    const vars = escapeHTML(JSON.stringify({ date }))
+    lines.push(`<small class="stat__note"><time datetime="${escapeHTML(stat.asOf)}" data-i18n="about.stats.asOf" data-i18n-vars="${vars}">As of ${escapeHTML(date)}</time></small>`)
+  }
+
+  return [
+    `              <div class="stat" data-stat-id="${escapeHTML(stat.id)}">`,
+    ...lines.map(line => `                ${line}`),
+    '              </div>'
+  ].join('\n')
+}
+
+/**
+ * Template values for a page showing the statistics
+ * @param {{founded: number, stats: Object[]}} data - data/stats.json
+ * @param {Date} [now]
+ * @returns {{items: string, decades: number, decadesVars: string}}
+ *   The `.about__stats` items, the whole decades since founding, and the
+ *   `data-i18n-vars` for copy that quotes them as `{years}`
+ */
+export function statValues(data, now = new Date()) {
+  const decades = decadesOfService(data, now)
+
+  return {
+    items: resolveStats(data, now).map(renderStat).join('\n'),
+    decades,
+    decadesVars: JSON.stringify({ years: decades })
+  }
+}
@@ -0,0 +1,89 @@
+// scripts/site/template.mjs
+
+/**
+ * A small subset of Mustache for the page layout and partials.
+ *
+ * - `{{name}}` inserts a value, HTML-escaped
+ * - `{{{name}}}` inserts a value as it is
+ * - `{{#name}}…{{/name}}` keeps its contents only when the value is truthy
+ * - `{{> name}}` includes a partial, rendered with the same values; the
+ *   partial's final line break is dropped in favour of the tag's own
+ * - Names may be dotted paths into nested values, as in `{{organization.email}}`
+ *
+ * Text from data files can use the same `{{name}}` tags through `fillText`.
+ *
+ * A section tag alone on its line takes the whole line with it, so optional
+ * blocks leave no blank lines behind.
+ */
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeHTML(value) {
+  return String(value).replace(/[&<>"']/g, char => ESCAPES[char])
+}
+
+// A section whose tags sit on lines of their own, and one inside a line
+const BLOCK_SECTION = /^[ \t]*\{\{#([\w.]+)\}\}[ \t]*\n([\s\S]*?)^[ \t]*\{\{\/\1\}\}[ \t]*\n/gm
+const INLINE_SECTION = /\{\{#([\w.]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g
+const TAG = /\{\{(?:>\s*([\w-]+)\s*|\{\s*([\w.]+)\s*\}|\s*([\w.]+)\s*)\}\}/g
+
+/**
+ * @param {Object} values
+ * @param {string} name - A key, or a dotted path of keys
+ * @returns {*} The value, or undefined when any step of the path is missing
+ */
+function lookup(values, name) {
+  return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), values)
+}
+
+/**
+ * Keep or drop each section, working inwards
+ * @param {string} template
+ * @param {Object} values
+ * @returns {string}
+ */
+function resolveSections(template, values) {
+  const resolve = (section, name, contents) => lookup(values, name) ? resolveSections(contents, values) : ''
+  return template.replace(BLOCK_SECTION, resolve).replace(INLINE_SECTION, resolve)
+}
+
+/**
+ * @param {string} template
+ * @param {Object} values
+ * @param {Object<string, string>} [partials]
+ * @returns {string}
+ * @throws {Error} For an unknown partial or a value that is missing
+ */
+export function render(template, values, partials = {}) {
+  return resolveSections(template, values).replace(TAG, (tag, partial, raw, name) => {
+    if (partial) {
+      if (!(partial in partials)) throw new Error(`Unknown partial "${partial}"`)
+      return render(partials[partial].replace(/\n$/, ''), values, partials)
+    }
+
+    const key = raw || name
+    const value = lookup(values, key)
+    if (value === undefined) throw new Error(`Missing value "${key}"`)
+    return raw ? String(value) : escapeHTML(value)
+  })
+}
+
+/**
+ * Fill the `{{name}}` tags of plain text, such as an entry in a data file.
+ * Nothing is escaped: the text is escaped where it is put into HTML.
+ * @param {string} text
+ * @param {Object} values
+ * @returns {string}
+ * @throws {Error} For a value that is missing
+ */
+export function fillText(text, values) {
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (tag, key) => {
+    const value = lookup(values, key)
+    if (value === undefined) throw new Error(`Missing value "${key}"`)
+    return String(value)
+  })
+}
@@ -0,0 +1,130 @@
+// src/sw.js
+
+/**
+ * Service worker.
+ *
+ * Precaches the landing page with its styles, scripts, data and icons so the
+ * site still opens on a flaky connection, and falls back to the offline page
+ * for anything else. scripts/build.mjs writes this file to dist/sw.js with
+ * the version, precache list and live data feeds filled in.
+ *
+ * - Pages are fetched from the network first and cached as they are visited
+ * - Live data feeds, such as the exchange rates, are fetched from the
+ *   network first too, and come from the cache only when that fails
+ * - Other files come from the cache first; a new build gets a new version
+ * - Caches from earlier versions are deleted on activate
+ */
+
+const VERSION = '%VERSION%'
+const PRECACHE = ['%PRECACHE%']
+const LIVE_DATA = ['%LIVE_DATA%']
+
+const CACHE_PREFIX = 'wema-'
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`
+const OFFLINE_PAGE = '/offline'
+
+/**
+ * A copy of a response that does not record a redirect, since browsers
+ * refuse to answer a navigation with a redirected response
+ * @param {Response} response
+ * @returns {Promise<Response>}
+ */
+async function withoutRedirect(response) {
+  if (!response.redirected) return response
+
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  })
+}
+
+/**
+ * @param {Cache} cache
+ * @param {string} url
+ */
+async function precache(cache, url) {
+  const response = await fetch(url, { cache: 'reload' })
+  if (!response.ok) throw new Error(`Precaching ${url} failed with ${response.status}`)
+
+  await cache.put(url, await withoutRedirect(response))
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME)
+    await Promise.all(PRECACHE.map(url => precache(cache, url)))
+    await self.skipWaiting()
+  })())
+})
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys()
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+      .map(name => caches.delete(name)))
+    await self.clients.claim()
+  })())
+})
+
+/**
+ * Network first, then the cached copy of the page, then the offline page
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(event) {
+  const cache = await caches.open(CACHE_NAME)
+
+  try {
+    const response = await withoutRedirect(await fetch(event.request))
+    if (response.ok) event.waitUntil(cache.put(event.request, response.clone()))
+    return response
+  } catch {
+    return (await cache.match(event.request, { ignoreSearch: true })) || cache.match(OFFLINE_PAGE)
+  }
+}
+
+/**
+ * Network first, then the copy saved on the last successful fetch
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function handleLiveData(event) {
+  const cache = await caches.open(CACHE_NAME)
+
+  try {
+    const response = await fetch(event.request)
+    if (response.ok) event.waitUntil(cache.put(event.request, response.clone()))
+    return response
+  } catch (error) {
+    const cached = await cache.match(event.request, { ignoreSearch: true })
+    if (cached) return cached
+    throw error
+  }
+}
+
+/**
+ * Cache first, filling the cache from the network on a miss
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function handleAsset(event) {
+  const cache = await caches.open(CACHE_NAME)
+  const cached = await cache.match(event.request)
+  if (cached) return cached
+
+  const response = await fetch(event.request)
+  if (response.ok) event.waitUntil(cache.put(event.request, response.clone()))
+  return response
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+
+  if (request.mode === 'navigate') event.respondWith(handleNavigation(event))
+  else if (LIVE_DATA.includes(url.pathname)) event.respondWith(handleLiveData(event))
+  else event.respondWith(handleAsset(event))
+})
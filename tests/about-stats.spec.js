@@ -0,0 +1,77 @@
+// tests/about-stats.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * About Statistics Test Suite
+ *
+ * Tests the `.about__stats` figures rendered from data/stats.json by
+ * scripts/site/stats.mjs, and counted up by js/components/about-stats.js.
+ *
+ * Coverage Areas:
+ * - Figures and copy in the served page, without JavaScript
+ * - Values, suffixes and en-NG formatting
+ * - Count-up animation and reduced motion
+ * - "As of" notes and their translation key
+ */
+
+test.describe('About Statistics', () => {
+
+  const yearsInBusiness = new Date().getFullYear() - 1945
+  const decades = Math.floor(yearsInBusiness / 10) * 10
+
+  test('should serve the figures and the years of service in the page', async ({ request }) => {
+    const html = await (await request.get('/')).text()
+
+    expect(html).not.toMatch(/>75\+<|over 75 years/i)
+    expect(html).toContain(`<span class="stat__count" aria-hidden="true">${yearsInBusiness}+</span>`)
+    expect(html).toContain('<span class="visually-hidden">2M+</span>')
+    expect(html).toContain(`Your Trusted Banking Partner for Over ${decades} Years`)
+    expect(html).toContain(`a rich heritage of over ${decades} years`)
+    expect(html).toContain('data-i18n="about.stats.asOf"')
+  })
+
+  test('should count up to the data values when scrolled into view', async ({ page }) => {
+    await page.goto('/')
+
+    const counters = page.locator('.about__stats .stat__count')
+    await expect(counters).toHaveCount(3)
+    await expect(counters.first()).toHaveText('0+')
+
+    await page.locator('.about__stats').scrollIntoViewIfNeeded()
+
+    await expect(counters.nth(0)).toHaveText(`${yearsInBusiness}+`)
+    await expect(counters.nth(1)).toHaveText('150+')
+    await expect(counters.nth(2)).toHaveText('2M+')
+  })
+
+  test('should expose only the final figures to assistive technology', async ({ page }) => {
+    await page.goto('/')
+
+    const stat = page.locator('.about__stats .stat').nth(1)
+    await expect(stat.locator('.stat__count')).toHaveAttribute('aria-hidden', 'true')
+    await expect(stat.locator('.stat__number .visually-hidden')).toHaveText('150+')
+  })
+
+  test('should show the final figures at once under reduced motion', async ({ page }) => {
+    await page.emulateMedia({ reducedMotion: 'reduce' })
+    await page.goto('/')
+
+    const counters = page.locator('.about__stats .stat__count')
+    await expect(counters.nth(0)).toHaveText(`${yearsInBusiness}+`)
+    await expect(counters.nth(2)).toHaveText('2M+')
+  })
+
+  test('should show an as-of note for dated figures', async ({ page }) => {
+    await page.goto('/')
+
+    const branches = page.locator('.stat[data-stat-id="branches"]')
+    const time = branches.locator('.stat__note time')
+    await expect(time).toHaveAttribute('datetime', '2024-12-31')
+    await expect(branches.locator('.stat__note')).toHaveText('As of 31 December 2024')
+    await expect(time).toHaveAttribute('data-i18n', 'about.stats.asOf')
+
+    // The years figure is always current, so it carries no note
+    await expect(page.locator('.stat[data-stat-id="years"] .stat__note')).toHaveCount(0)
+  })
+
+})
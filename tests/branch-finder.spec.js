@@ -0,0 +1,133 @@
+// tests/branch-finder.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * Branch Finder Test Suite
+ *
+ * Tests the branch finder on the /branches page, fed by data/branches.json
+ * and data/places.json.
+ *
+ * Coverage Areas:
+ * - City deep links and history
+ * - Text, state, service and ATM filters
+ * - Distance sorting from a typed-in location
+ * - Branch details and tel: links
+ */
+
+test.describe('Branch Finder', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/branches/')
+    await expect(page.locator('.branch-finder__summary')).toContainText('Showing')
+  })
+
+  // ============================================================================
+  // 🏙️ CITY TESTS
+  // ============================================================================
+
+  test('should list every branch by default', async ({ page }) => {
+    await expect(page.locator('h1')).toHaveText('All Branches')
+    await expect(page.locator('.branch-card')).toHaveCount(16)
+    await expect(page.locator('.branch-finder__city-link[data-city="all"]')).toHaveAttribute('aria-current', 'page')
+  })
+
+  test('should select a city from a deep link', async ({ page }) => {
+    await page.goto('/branches/?city=port-harcourt')
+
+    await expect(page.locator('h1')).toHaveText('Port Harcourt Branches')
+    await expect(page).toHaveTitle('Port Harcourt Branches - Wema Bank')
+    await expect(page.locator('.branch-card')).toHaveCount(2)
+  })
+
+  test('should give each city its own URL and support Back', async ({ page }) => {
+    await page.click('.branch-finder__city-link[data-city="kano"]')
+    await expect(page).toHaveURL(/\/branches\/kano$/)
+    await expect(page.locator('h1')).toHaveText('Kano Branches')
+
+    await page.click('.branch-finder__city-link[data-city="ibadan"]')
+    await expect(page).toHaveURL(/\/branches\/ibadan$/)
+
+    await page.goBack()
+    await expect(page.locator('h1')).toHaveText('Kano Branches')
+  })
+
+  // ============================================================================
+  // 🔎 FILTER TESTS
+  // ============================================================================
+
+  test('should search by name, area or address', async ({ page }) => {
+    await page.getByLabel('Branch name, area or address').fill('allen avenue')
+
+    await expect(page.locator('.branch-card')).toHaveCount(1)
+    await expect(page.locator('.branch-card__name')).toHaveText('Ikeja Allen Avenue Branch')
+    await expect(page.locator('.branch-finder__summary')).toHaveText('Showing 1 branch')
+  })
+
+  test('should filter by state, service and ATM', async ({ page }) => {
+    await page.getByLabel('State').selectOption('FCT')
+    await expect(page.locator('.branch-card')).toHaveCount(3)
+
+    await page.getByLabel('Service').selectOption('forex')
+    await expect(page.locator('.branch-card')).toHaveCount(2)
+
+    await page.getByLabel('State').selectOption('')
+    await page.getByLabel('Only branches with an ATM').check()
+    const atmLabels = await page.locator('.branch-card__atm').allTextContents()
+    expect(atmLabels.every(label => label === 'ATM available')).toBe(true)
+  })
+
+  test('should explain when nothing matches', async ({ page }) => {
+    await page.getByLabel('Branch name, area or address').fill('zzzz')
+
+    await expect(page.locator('.branch-card')).toHaveCount(0)
+    await expect(page.locator('.branch-finder__summary')).toContainText('No branches match')
+  })
+
+  // ============================================================================
+  // 📍 DISTANCE TESTS
+  // ============================================================================
+
+  test('should sort branches by distance from a place name', async ({ page }) => {
+    await page.getByLabel('Sort by distance from').fill('Bodija')
+    await page.getByRole('button', { name: 'Sort by distance' }).click()
+
+    await expect(page.locator('.branch-card').first()).toHaveAttribute('data-branch-id', 'ibadan-bodija')
+    await expect(page.locator('.branch-card__distance').first()).toHaveText('0 km away')
+    await expect(page.locator('.branch-finder__summary')).toContainText('nearest to Bodija first')
+  })
+
+  test('should accept coordinates', async ({ page }) => {
+    await page.getByLabel('Sort by distance from').fill('12.0, 8.59')
+    await page.getByRole('button', { name: 'Sort by distance' }).click()
+
+    await expect(page.locator('.branch-card').first()).toHaveAttribute('data-branch-id', 'kano-bompai')
+  })
+
+  test('should report a place it cannot find', async ({ page }) => {
+    const input = page.getByLabel('Sort by distance from')
+
+    await input.fill('Atlantis')
+    await page.getByRole('button', { name: 'Sort by distance' }).click()
+
+    await expect(input).toHaveAttribute('aria-invalid', 'true')
+    await expect(input).toBeFocused()
+    await expect(page.locator('#branch-near-error')).toContainText('could not find that place')
+  })
+
+  // ============================================================================
+  // 🏦 BRANCH DETAIL TESTS
+  // ============================================================================
+
+  test('should show contact details and hours for each branch', async ({ page }) => {
+    const marina = page.locator('.branch-card[data-branch-id="marina"]')
+
+    await expect(marina.locator('.branch-card__address')).toContainText('54 Marina')
+    await expect(marina.locator('a[href="tel:+2348039003700"]')).toHaveText('0803 900 3700')
+    await expect(marina.locator('.branch-card__hours')).toContainText('Monday - Friday')
+    await expect(marina.locator('.branch-card__hours')).toContainText('8:00 AM - 4:00 PM')
+
+    const phoneLinks = await page.locator('.branch-card a[href^="tel:+234"]').count()
+    expect(phoneLinks).toBe(16)
+  })
+
+})
@@ -0,0 +1,151 @@
+// tests/business-hours.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * Business Hours Test Suite
+ *
+ * Tests the open/closed badge for the Business Hours contact item and the
+ * branch cards, driven by data/business-hours.json.
+ *
+ * Coverage Areas:
+ * - Hours rendered from structured data
+ * - Open and closed states on Lagos time
+ * - Independence from the visitor's timezone
+ * - Public holidays and the build warning before the calendar runs out
+ * - Badges translated through the language catalogues, with the weekday
+ *   and holiday names
+ */
+
+// Run with a visitor clock far from Lagos to prove the checks use Africa/Lagos
+test.use({ timezoneId: 'America/Los_Angeles' })
+
+test.describe('Business Hours', () => {
+
+  /**
+   * Load a page with the clock frozen at a Lagos time
+   * @param {import('@playwright/test').Page} page
+   * @param {string} lagosTime - ISO time with the +01:00 offset
+   * @param {string} [path]
+   */
+  async function openAt(page, lagosTime, path = '/') {
+    await page.clock.setFixedTime(new Date(lagosTime))
+    await page.goto(path)
+  }
+
+  const badge = page => page.locator('.contact-item .hours-status')
+
+  test('should render the hours from structured data', async ({ page }) => {
+    await openAt(page, '2026-10-19T10:00:00+01:00')
+
+    const details = page.locator('.contact-item').last().locator('.contact-item__detail')
+    await expect(details).toHaveText([
+      'Monday - Friday: 8:00 AM - 4:00 PM',
+      'Saturday: 9:00 AM - 1:00 PM'
+    ])
+  })
+
+  test('should show open with the closing time during opening hours', async ({ page }) => {
+    await openAt(page, '2026-10-19T10:00:00+01:00')
+
+    await expect(badge(page)).toHaveText('Open now — closes at 4:00 PM')
+    await expect(badge(page)).toHaveClass(/hours-status--open/)
+  })
+
+  test('should show the Saturday closing time', async ({ page }) => {
+    await openAt(page, '2026-10-17T12:30:00+01:00')
+
+    await expect(badge(page)).toHaveText('Open now — closes at 1:00 PM')
+  })
+
+  test('should show closed with the next opening after the weekend', async ({ page }) => {
+    await openAt(page, '2026-10-17T14:00:00+01:00')
+
+    await expect(badge(page)).toHaveText('Closed — opens Monday 8:00 AM')
+    await expect(badge(page)).toHaveClass(/hours-status--closed/)
+  })
+
+  test('should use Lagos time rather than the visitor clock', async ({ page }) => {
+    // 7:30 AM in Los Angeles on Monday is 3:30 PM in Lagos
+    await openAt(page, '2026-10-19T07:30:00-07:00')
+
+    await expect(badge(page)).toHaveText('Open now — closes at 4:00 PM')
+  })
+
+  test('should stay closed on a public holiday', async ({ page }) => {
+    await openAt(page, '2026-10-01T10:00:00+01:00')
+
+    await expect(badge(page)).toHaveText('Closed for Independence Day — opens tomorrow 8:00 AM')
+  })
+
+  test('should stay closed on a public holiday that falls on a Saturday', async ({ page }) => {
+    await openAt(page, '2026-12-26T10:00:00+01:00')
+
+    // Boxing Day is moved to Monday as well, so the next opening is Tuesday
+    await expect(badge(page)).toHaveText('Closed for Boxing Day — opens Tuesday 8:00 AM')
+  })
+
+  test('should translate the badge with the chosen language', async ({ page }) => {
+    await page.clock.setFixedTime(new Date('2026-10-01T10:00:00+01:00'))
+    await page.goto('/?lang=yo')
+
+    await expect(badge(page)).toHaveText('A ti tì fún Ọjọ́ Òmìnira — a ó ṣí lọ́la ní 8:00 AM')
+  })
+
+  test('should translate the day of the next opening', async ({ page }) => {
+    await page.clock.setFixedTime(new Date('2026-10-17T14:00:00+01:00'))
+    await page.goto('/?lang=yo')
+
+    await expect(badge(page)).toHaveText('A ti tì — a ó ṣí ní Ọjọ́ Ajé 8:00 AM')
+  })
+
+  test('should reuse the schedule for each branch', async ({ page }) => {
+    await openAt(page, '2026-10-17T10:00:00+01:00', '/branches/')
+
+    // Marina opens on Saturdays, Victoria Island does not
+    await expect(page.locator('.branch-card[data-branch-id="marina"] .hours-status'))
+      .toHaveText('Open now — closes at 1:00 PM')
+    await expect(page.locator('.branch-card[data-branch-id="victoria-island"] .hours-status'))
+      .toHaveText('Closed — opens Monday 8:00 AM')
+  })
+
+  test('should list public holidays for at least the next year', async () => {
+    const { holidays } = require('../data/business-hours.json')
+    const { holidayWarnings } = await import('../scripts/site/organization.mjs')
+
+    expect(holidays.some(holiday => holiday.date.startsWith('2027-'))).toBe(true)
+    expect(holidayWarnings(holidays, new Date('2026-10-18T12:00:00Z'))).toEqual([])
+  })
+
+  test('should close on public holidays that fall on a Saturday', async () => {
+    const schedule = require('../data/business-hours.json')
+    const { getOpenStatus } = await import('../js/lib/hours.js')
+
+    for (const date of ['2026-12-26', '2027-05-01', '2027-06-12', '2027-12-25']) {
+      const status = getOpenStatus(schedule, new Date(`${date}T10:00:00+01:00`))
+      expect(status.open, date).toBe(false)
+      expect(status.holiday, date).toMatchObject({ date })
+    }
+  })
+
+  test('should name every weekday and holiday in each language', async () => {
+    const { holidays } = require('../data/business-hours.json')
+    const { DAY_KEYS } = await import('../js/lib/hours.js')
+    const keys = [...DAY_KEYS.map(day => `hours.days.${day}`), ...holidays.map(holiday => `holidays.${holiday.id}`)]
+
+    for (const locale of ['en', 'yo', 'ha', 'ig', 'pcm']) {
+      const messages = require(`../data/i18n/${locale}.json`)
+      expect(keys.filter(key => typeof messages[key] !== 'string'), locale).toEqual([])
+    }
+  })
+
+  test('should warn when the holiday calendar ends within a year', async () => {
+    const { holidayWarnings } = await import('../scripts/site/organization.mjs')
+    const holidays = [{ date: '2026-12-28', name: 'Boxing Day holiday' }]
+
+    expect(holidayWarnings(holidays, new Date('2026-10-18T12:00:00Z'))).toEqual([
+      'data/business-hours.json: public holidays are listed only up to 2026-12-28; add them up to 2027-10-18'
+    ])
+    expect(holidayWarnings([], new Date('2026-10-18T12:00:00Z'))).toHaveLength(1)
+  })
+
+})
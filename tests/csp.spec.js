@@ -0,0 +1,197 @@
+// tests/csp.spec.js
+const { test, expect } = require('@playwright/test')
+const fs = require('node:fs/promises')
+const os = require('node:os')
+const path = require('node:path')
+
+/**
+ * Content Security Policy Test Suite
+ *
+ * Tests the policy scripts/serve.mjs sends with every response, built by
+ * scripts/server/csp.mjs.
+ *
+ * Coverage Areas:
+ * - A fresh nonce per response, stamped on the page's own inline elements
+ * - Injected inline scripts are blocked and reported
+ * - Violation reports are collected into a log
+ * - Report-only mode
+ */
+
+const INJECTED = '<script>window.injected = true</script>'
+
+/**
+ * Serve a page with a script added to it after it left the server, the way
+ * a compromised proxy or browser extension would
+ * @param {import('@playwright/test').Page} page
+ */
+async function injectInlineScript(page) {
+  await page.route(url => url.pathname === '/', async route => {
+    const response = await route.fetch()
+    const html = (await response.text()).replace('</body>', `${INJECTED}</body>`)
+    return route.fulfill({ response, body: html })
+  })
+}
+
+/**
+ * Record CSP violations seen by the page
+ * @param {import('@playwright/test').Page} page
+ */
+async function recordViolations(page) {
+  await page.addInitScript(() => {
+    window.violations = []
+    document.addEventListener('securitypolicyviolation', event => {
+      window.violations.push({ directive: event.effectiveDirective, disposition: event.disposition })
+    })
+  })
+}
+
+/**
+ * Start a second server on a free port
+ * @param {Object} options - Passed to createSiteServer
+ * @returns {Promise<{origin: string, close: () => Promise<void>}>}
+ */
+async function startServer(options) {
+  const { createSiteServer } = await import('../scripts/serve.mjs')
+  const server = createSiteServer(options)
+  await new Promise(resolve => server.listen(0, resolve))
+
+  return {
+    origin: `http://localhost:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  }
+}
+
+test.describe('Content Security Policy', () => {
+
+  // ============================================================================
+  // 🔑 NONCE TESTS
+  // ============================================================================
+
+  test('should send a fresh nonce with every response', async ({ request }) => {
+    const nonceOf = async () => {
+      const policy = (await request.get('/')).headers()['content-security-policy']
+      const [, nonce] = policy.match(/script-src 'self' 'nonce-([\w+/=]+)'/)
+      expect(policy).toContain(`style-src 'self' 'nonce-${nonce}'`)
+      return nonce
+    }
+
+    const first = await nonceOf()
+    const second = await nonceOf()
+
+    expect(first).toHaveLength(24)
+    expect(first).not.toBe(second)
+  })
+
+  test('should stamp the nonce on inline scripts and styles only', async () => {
+    const { applyNonce } = await import('../scripts/server/csp.mjs')
+
+    const { html, count } = applyNonce(
+      '<script src="/js/main.js"></script><script>go()</script><style>p{}</style>',
+      'abc'
+    )
+
+    expect(count).toBe(2)
+    expect(html).toBe('<script src="/js/main.js"></script><script nonce="abc">go()</script><style nonce="abc">p{}</style>')
+  })
+
+  test('should leave JSON-LD data blocks unstamped', async () => {
+    const { applyNonce } = await import('../scripts/server/csp.mjs')
+
+    const page = '<script type="application/ld+json">{"@type":"FAQPage"}</script>'
+    expect(applyNonce(page, 'abc')).toEqual({ html: page, count: 0 })
+  })
+
+  // ============================================================================
+  // 🚫 BLOCKING TESTS
+  // ============================================================================
+
+  test('should block an injected inline script', async ({ page }) => {
+    await recordViolations(page)
+    await injectInlineScript(page)
+    await page.goto('/')
+
+    // The site's own scripts still run
+    await expect(page.locator('.service-card')).toHaveCount(4)
+
+    expect(await page.evaluate(() => window.injected)).toBeUndefined()
+    await expect.poll(() => page.evaluate(() => window.violations)).toContainEqual({
+      directive: 'script-src-elem',
+      disposition: 'enforce'
+    })
+  })
+
+  // ============================================================================
+  // 📝 REPORTING TESTS
+  // ============================================================================
+
+  test('should point violation reports at the collector', async ({ request }) => {
+    const headers = (await request.get('/')).headers()
+
+    expect(headers['content-security-policy']).toContain('report-uri /csp-reports; report-to csp-endpoint')
+    expect(headers['reporting-endpoints']).toBe('csp-endpoint="/csp-reports"')
+  })
+
+  test('should append violation reports to the log', async ({ request }) => {
+    const log = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'csp-')), 'reports.log')
+    const server = await startServer({ reportLog: log })
+
+    try {
+      const legacy = await request.post(`${server.origin}/csp-reports`, {
+        headers: { 'Content-Type': 'application/csp-report' },
+        data: JSON.stringify({ 'csp-report': { 'document-uri': 'http://localhost/', 'violated-directive': 'script-src-elem' } })
+      })
+      expect(legacy.status()).toBe(204)
+
+      const reporting = await request.post(`${server.origin}/csp-reports`, {
+        headers: { 'Content-Type': 'application/reports+json' },
+        data: JSON.stringify([
+          { type: 'csp-violation', body: { documentURL: 'http://localhost/', effectiveDirective: 'script-src-elem' } },
+          { type: 'deprecation', body: { id: 'unrelated' } }
+        ])
+      })
+      expect(reporting.status()).toBe(204)
+
+      const lines = (await fs.readFile(log, 'utf8')).trim().split('\n').map(line => JSON.parse(line))
+      expect(lines).toEqual([
+        expect.objectContaining({ receivedAt: expect.any(String), 'violated-directive': 'script-src-elem' }),
+        expect.objectContaining({ receivedAt: expect.any(String), effectiveDirective: 'script-src-elem' })
+      ])
+
+      const bad = await request.post(`${server.origin}/csp-reports`, {
+        headers: { 'Content-Type': 'application/csp-report' },
+        data: 'not json'
+      })
+      expect(bad.status()).toBe(400)
+    } finally {
+      await server.close()
+    }
+  })
+
+  // ============================================================================
+  // 👀 REPORT-ONLY TESTS
+  // ============================================================================
+
+  test('should report without blocking in report-only mode', async ({ page, request }) => {
+    const log = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'csp-')), 'reports.log')
+    const server = await startServer({ reportOnly: true, reportLog: log })
+
+    try {
+      const headers = (await request.get(`${server.origin}/`)).headers()
+      expect(headers['content-security-policy']).toBeUndefined()
+      expect(headers['content-security-policy-report-only']).toContain("script-src 'self' 'nonce-")
+
+      await recordViolations(page)
+      await injectInlineScript(page)
+      await page.goto(`${server.origin}/`)
+
+      expect(await page.evaluate(() => window.injected)).toBe(true)
+      await expect.poll(() => page.evaluate(() => window.violations)).toContainEqual({
+        directive: 'script-src-elem',
+        disposition: 'report'
+      })
+    } finally {
+      await server.close()
+    }
+  })
+
+})
@@ -0,0 +1,230 @@
+// tests/enquiry-form.spec.js
+const { test, expect } = require('@playwright/test')
+const { useMockEndpoints } = require('./helpers/mock-endpoints')
+
+/**
+ * Enquiry Form Test Suite
+ *
+ * Tests the `.enquiry-form` in the contact section against the local mock
+ * endpoint, and against a routed endpoint through the fetch transport it
+ * uses in production.
+ *
+ * Coverage Areas:
+ * - Form structure and labels
+ * - Validation with an error summary
+ * - Masking of card numbers and BVNs
+ * - Honeypot and time-trap spam protection
+ * - Ticket reference on success, and failure states
+ */
+
+const form = page => page.locator('#contact form.enquiry-form')
+
+/**
+ * Fill in a valid enquiry and let enough time pass to beat the time-trap
+ * @param {import('@playwright/test').Page} page
+ * @param {Object} [overrides]
+ */
+async function fillValidForm(page, { email = 'ada@example.com', message = 'My card was declined at a POS yesterday.' } = {}) {
+  await form(page).getByLabel('Full name').fill('Ada Okafor')
+  await form(page).getByLabel('Email address').fill(email)
+  await form(page).getByRole('radio', { name: 'Yes' }).check()
+  await form(page).getByLabel('What is it about?').selectOption('card-issue')
+  await form(page).getByLabel('Message').fill(message)
+  await page.clock.fastForward(5000)
+}
+
+test.describe('Enquiry Form', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await useMockEndpoints(page)
+    // The form refuses submissions made faster than a person could type
+    await page.clock.install()
+    await page.goto('/')
+  })
+
+  // ============================================================================
+  // 🏗️ STRUCTURE TESTS
+  // ============================================================================
+
+  test('should render the form beside the contact details', async ({ page }) => {
+    await expect(page.locator('#contact .enquiry h3')).toHaveText('Send Us an Enquiry')
+    await expect(form(page)).toHaveAttribute('action', '/api/enquiries')
+
+    await expect(form(page).getByLabel('Full name')).toBeVisible()
+    await expect(form(page).getByLabel('Phone number')).toHaveAttribute('type', 'tel')
+    await expect(form(page).getByRole('group', { name: 'Do you have a Wema Bank account?' })).toBeVisible()
+    await expect(form(page).getByLabel('What is it about?').locator('option'))
+      .toHaveText(['Choose a category', 'Card issue', 'Loan enquiry', 'Complaint', 'Fraud report'])
+  })
+
+  test('should keep the honeypot away from people and assistive technology', async ({ page }) => {
+    const trap = form(page).locator('input[name="website"]')
+
+    await expect(trap).toHaveAttribute('tabindex', '-1')
+    await expect(form(page).locator('.enquiry-form__trap')).toHaveAttribute('aria-hidden', 'true')
+    await expect(trap).not.toBeInViewport()
+  })
+
+  // ============================================================================
+  // ✅ VALIDATION TESTS
+  // ============================================================================
+
+  test('should list every error in a focused summary', async ({ page }) => {
+    await form(page).getByRole('button', { name: 'Send enquiry' }).click()
+
+    const summary = form(page).locator('.error-summary')
+    await expect(summary).toBeFocused()
+    await expect(summary.getByRole('link')).toHaveText([
+      'Enter your name',
+      'Enter an email address or a phone number',
+      'Tell us whether you bank with Wema Bank',
+      'Choose what your enquiry is about',
+      'Enter your message'
+    ])
+    await expect(form(page).getByLabel('Full name')).toHaveAttribute('aria-invalid', 'true')
+    await expect(page.locator('#enquiry-name-error')).toHaveText('Enter your name')
+  })
+
+  test('should move focus to the field when a summary link is followed', async ({ page }) => {
+    await form(page).getByRole('button', { name: 'Send enquiry' }).click()
+    await form(page).locator('.error-summary').getByRole('link', { name: 'Choose what your enquiry is about' }).click()
+
+    await expect(form(page).getByLabel('What is it about?')).toBeFocused()
+  })
+
+  test('should accept a phone number instead of an email address', async ({ page }) => {
+    await form(page).getByLabel('Phone number').fill('0803 900')
+    await form(page).getByRole('button', { name: 'Send enquiry' }).click()
+    await expect(page.locator('#enquiry-phone-error')).toContainText('Enter a Nigerian phone number')
+    await expect(page.locator('#enquiry-email-error')).toBeHidden()
+
+    await form(page).getByLabel('Phone number').fill('0803 900 3700')
+    await form(page).getByRole('button', { name: 'Send enquiry' }).click()
+    await expect(page.locator('#enquiry-phone-error')).toBeHidden()
+  })
+
+  // ============================================================================
+  // 🔒 MASKING TESTS
+  // ============================================================================
+
+  test('should mask card numbers and BVNs typed into the message', async ({ page }) => {
+    const message = form(page).getByLabel('Message')
+
+    await message.fill('Card 5399 8300 1234 5678 and BVN 22123456789. Call me on 08039003700.')
+    await message.blur()
+
+    await expect(message).toHaveValue('Card **** **** **** 5678 and BVN *******6789. Call me on 08039003700.')
+    await expect(form(page).locator('.enquiry-form__mask-notice')).toBeVisible()
+  })
+
+  // ============================================================================
+  // 🤖 SPAM PROTECTION TESTS
+  // ============================================================================
+
+  test('should ask for a second look when the form is sent too quickly', async ({ page }) => {
+    await form(page).getByLabel('Full name').fill('Ada Okafor')
+    await form(page).getByLabel('Email address').fill('ada@example.com')
+    await form(page).getByRole('radio', { name: 'No' }).check()
+    await form(page).getByLabel('What is it about?').selectOption('complaint')
+    await form(page).getByLabel('Message').fill('Quick question')
+    await form(page).getByRole('button', { name: 'Send enquiry' }).click()
+
+    await expect(form(page).locator('.enquiry-form__status')).toHaveText('Please check your details, then send your enquiry again.')
+    await expect(page.locator('.enquiry__success')).toBeHidden()
+  })
+
+  test('should quietly drop submissions that fill in the honeypot', async ({ page }) => {
+    await fillValidForm(page)
+    await form(page).locator('input[name="website"]').fill('https://spam.example', { force: true })
+    await form(page).getByRole('button', { name: 'Send enquiry' }).click()
+
+    await expect(form(page).getByLabel('Full name')).toHaveValue('')
+    await expect(page.locator('.enquiry__success')).toBeHidden()
+  })
+
+  // ============================================================================
+  // 📨 SUBMISSION TESTS
+  // ============================================================================
+
+  test('should show a ticket reference on success', async ({ page }) => {
+    await fillValidForm(page)
+    await form(page).getByRole('button', { name: 'Send enquiry' }).click()
+    await page.clock.runFor(1000)
+
+    const success = page.locator('.enquiry__success')
+    await expect(success).toBeFocused()
+    await expect(success.getByRole('heading')).toHaveText('Thank you, we have your enquiry')
+    await expect(page.locator('.enquiry__reference')).toHaveText(/^WB-\d{6}-[A-Z2-9]{6}$/)
+    await expect(form(page)).toBeHidden()
+  })
+
+  test('should offer a fresh form after success', async ({ page }) => {
+    await fillValidForm(page)
+    await form(page).getByRole('button', { name: 'Send enquiry' }).click()
+    await page.clock.runFor(1000)
+    await page.getByRole('button', { name: 'Send another enquiry' }).click()
+
+    await expect(form(page)).toBeVisible()
+    await expect(form(page).getByLabel('Full name')).toBeFocused()
+    await expect(form(page).getByLabel('Full name')).toHaveValue('')
+  })
+
+  test('should report a server failure and keep the answers', async ({ page }) => {
+    await fillValidForm(page, { email: 'ada@example.invalid' })
+    await form(page).getByRole('button', { name: 'Send enquiry' }).click()
+    await page.clock.runFor(1000)
+
+    await expect(form(page).locator('.enquiry-form__status')).toHaveText('Something went wrong on our side. Please try again later.')
+    await expect(form(page).getByLabel('Full name')).toHaveValue('Ada Okafor')
+  })
+
+})
+
+test.describe('Enquiry Form over fetch', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.clock.install()
+    await page.goto('/')
+  })
+
+  test('should post enquiries to the live endpoint', async ({ page }) => {
+    let request = null
+    await page.route('**/api/enquiries', route => {
+      request = route.request()
+      return route.fulfill({ json: { reference: 'WB-261018-ABCDEF' } })
+    })
+
+    await expect(form(page)).not.toHaveAttribute('data-adapter', 'mock')
+    await fillValidForm(page)
+    await form(page).getByRole('button', { name: 'Send enquiry' }).click()
+
+    await expect(page.locator('.enquiry__reference')).toHaveText('WB-261018-ABCDEF')
+    expect(request.method()).toBe('POST')
+    expect(request.postDataJSON()).toMatchObject({ name: 'Ada Okafor', email: 'ada@example.com', category: 'card-issue' })
+  })
+
+  test('should never send an unmasked number', async ({ page }) => {
+    let sent = null
+    await page.route('**/api/enquiries', route => {
+      sent = route.request().postDataJSON()
+      return route.fulfill({ json: { reference: 'WB-261018-ABCDEF' } })
+    })
+    await fillValidForm(page, { message: 'Debited twice on 4111-1111-1111-1111' })
+    // Submit while the message still has focus, so it is never blurred
+    await form(page).evaluate(element => element.requestSubmit())
+
+    await expect(page.locator('.enquiry__reference')).toHaveText('WB-261018-ABCDEF')
+    expect(sent.message).toBe('Debited twice on ****-****-****-1111')
+  })
+
+  test('should report a failed request instead of showing a reference', async ({ page }) => {
+    await page.route('**/api/enquiries', route => route.fulfill({ status: 503, json: { message: 'Unavailable' } }))
+
+    await fillValidForm(page)
+    await form(page).getByRole('button', { name: 'Send enquiry' }).click()
+
+    await expect(form(page).locator('.enquiry-form__status')).toHaveText('Something went wrong on our side. Please try again later.')
+    await expect(page.locator('.enquiry__success')).toBeHidden()
+  })
+
+})
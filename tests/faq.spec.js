@@ -0,0 +1,167 @@
+// tests/faq.spec.js
+const { test, expect } = require('@playwright/test')
+const faqs = require('../data/faqs.json')
+const organization = require('../data/organization.json')
+
+/**
+ * FAQ Test Suite
+ *
+ * Tests the `#faq` section the build renders from data/faqs.json, and the
+ * FAQPage structured data that goes with it.
+ *
+ * Coverage Areas:
+ * - Placement between About and Contact
+ * - Disclosure widgets
+ * - Deep links through the URL hash
+ * - Expand all and collapse all
+ * - FAQPage JSON-LD
+ */
+
+// Answers may quote site data, which the build fills in
+const fill = text => text.replaceAll('{{organization.phone.display}}', organization.phone.display)
+const questions = faqs.categories.flatMap(category => category.questions)
+  .map(question => ({ ...question, answer: fill(question.answer) }))
+
+const section = page => page.locator('#faq')
+const items = page => page.locator('#faq details.faq__item')
+const item = (page, id) => page.locator(`details#faq-${id}`)
+
+test.describe('FAQ', () => {
+
+  // ============================================================================
+  // 🏗️ STRUCTURE TESTS
+  // ============================================================================
+
+  test('should sit between the about and contact sections', async ({ page }) => {
+    await page.goto('/')
+
+    const ids = await page.locator('main > section').evaluateAll(sections => sections.map(section => section.id))
+    expect(ids.indexOf('faq')).toBe(ids.indexOf('about') + 1)
+    expect(ids.indexOf('contact')).toBe(ids.indexOf('faq') + 1)
+  })
+
+  test('should list every question under its category, closed', async ({ page }) => {
+    await page.goto('/')
+
+    await expect(section(page).getByRole('heading', { level: 2 })).toHaveText('Frequently Asked Questions')
+    await expect(section(page).getByRole('heading', { level: 3 })).toHaveText(faqs.categories.map(category => category.title))
+    await expect(items(page)).toHaveCount(questions.length)
+    await expect(page.locator('#faq details[open]')).toHaveCount(0)
+  })
+
+  // ============================================================================
+  // 🔽 DISCLOSURE TESTS
+  // ============================================================================
+
+  test('should open and close a question from its summary', async ({ page }) => {
+    await page.goto('/')
+    const answer = item(page, 'reset-pin').locator('.faq__answer')
+
+    await expect(answer).toBeHidden()
+    await item(page, 'reset-pin').locator('summary').click()
+    await expect(answer).toBeVisible()
+
+    await item(page, 'reset-pin').locator('summary').press('Enter')
+    await expect(answer).toBeHidden()
+  })
+
+  // ============================================================================
+  // 🔗 DEEP LINK TESTS
+  // ============================================================================
+
+  test('should open and focus the question named in the URL hash', async ({ page }) => {
+    await page.goto('/#faq-block-card')
+
+    await expect(item(page, 'block-card')).toHaveAttribute('open', '')
+    await expect(item(page, 'block-card').locator('summary')).toBeFocused()
+    await expect(item(page, 'block-card')).toBeInViewport()
+    await expect(page.locator('#faq details[open]')).toHaveCount(1)
+  })
+
+  test('should follow the hash as it changes', async ({ page }) => {
+    await page.goto('/')
+
+    await page.evaluate(() => { window.location.hash = 'faq-transfer-limits' })
+    await expect(item(page, 'transfer-limits')).toHaveAttribute('open', '')
+
+    // The permalink of an open question leads back to it
+    await expect(item(page, 'transfer-limits').getByRole('link', { name: 'Link to this question' }))
+      .toHaveAttribute('href', '#faq-transfer-limits')
+  })
+
+  // ============================================================================
+  // ↕️ EXPAND AND COLLAPSE TESTS
+  // ============================================================================
+
+  test('should expand and collapse every question at once', async ({ page }) => {
+    await page.goto('/')
+    const expand = section(page).getByRole('button', { name: 'Expand all' })
+    const collapse = section(page).getByRole('button', { name: 'Collapse all' })
+
+    await expect(collapse).toBeDisabled()
+
+    await expand.click()
+    await expect(page.locator('#faq details[open]')).toHaveCount(questions.length)
+    await expect(expand).toBeDisabled()
+    await expect(collapse).toBeEnabled()
+
+    await collapse.click()
+    await expect(page.locator('#faq details[open]')).toHaveCount(0)
+    await expect(collapse).toBeDisabled()
+  })
+
+  test('should enable both controls once some questions are open', async ({ page }) => {
+    await page.goto('/')
+
+    await item(page, 'transfer-without-internet').locator('summary').click()
+
+    await expect(section(page).getByRole('button', { name: 'Expand all' })).toBeEnabled()
+    await expect(section(page).getByRole('button', { name: 'Collapse all' })).toBeEnabled()
+  })
+
+})
+
+test.describe('FAQ Structured Data', () => {
+
+  /**
+   * @param {import('@playwright/test').APIRequestContext} request
+   * @returns {Promise<Object[]>} Every JSON-LD block on the home page
+   */
+  async function structuredData(request) {
+    const html = await (await request.get('/')).text()
+    return Array.from(html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g), ([, json]) => JSON.parse(json))
+  }
+
+  test('should describe every question as FAQPage JSON-LD', async ({ request }) => {
+    const faqPage = (await structuredData(request)).find(schema => schema['@type'] === 'FAQPage')
+
+    expect(faqPage['@context']).toBe('https://schema.org')
+    expect(faqPage.mainEntity).toEqual(questions.map(({ question, answer }) => ({
+      '@type': 'Question',
+      name: question,
+      acceptedAnswer: { '@type': 'Answer', text: answer }
+    })))
+  })
+
+  test('should quote the organization phone number rather than a copy of it', async ({ request }) => {
+    const faqPage = (await structuredData(request)).find(schema => schema['@type'] === 'FAQPage')
+    const answers = faqPage.mainEntity.map(question => question.acceptedAnswer.text)
+
+    expect(answers.some(answer => answer.includes(organization.phone.display))).toBe(true)
+    expect(answers.join('\n')).not.toContain('{{')
+  })
+
+  test('should only add FAQPage data to the home page', async ({ request }) => {
+    const html = await (await request.get('/security')).text()
+
+    expect(html).not.toContain('"FAQPage"')
+  })
+
+  test('should make every question findable in site search', async ({ request }) => {
+    const { documents } = await (await request.get('/data/search-index.json')).json()
+    const urls = documents.filter(document => document.type === 'faq').map(document => document.url)
+
+    expect(urls).toEqual(questions.map(({ id }) => `/#faq-${id}`))
+  })
+
+})
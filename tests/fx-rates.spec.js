@@ -0,0 +1,180 @@
+// tests/fx-rates.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * Exchange Rate Board Test Suite
+ *
+ * Tests the #fx-rates board and converter, served a routed rate sheet at a
+ * fixed time.
+ *
+ * Coverage Areas:
+ * - Buy and sell rates per currency
+ * - "Last updated" in Lagos time
+ * - Stale rates
+ * - Falling back to saved rates when the feed fails
+ * - Conversion to and from naira
+ */
+
+// Run with a visitor clock far from Lagos to prove the time is shown in Africa/Lagos
+test.use({ timezoneId: 'America/Los_Angeles' })
+
+const RATES = {
+  updated: '2026-10-18T09:00:00+01:00',
+  currencies: [
+    { code: 'USD', name: 'US dollar', buy: 1520, sell: 1545 },
+    { code: 'GBP', name: 'British pound', buy: 2010, sell: 2050 },
+    { code: 'EUR', name: 'Euro', buy: 1755, sell: 1790 }
+  ]
+}
+
+// An hour after the rates were set
+const SAME_MORNING = new Date('2026-10-18T10:00:00+01:00')
+
+/**
+ * Serve a rate sheet, or fail the feed, and stop the clock
+ * @param {import('@playwright/test').Page} page
+ * @param {Object} [options]
+ * @param {Object|null} [options.rates] - Null makes the feed fail
+ * @param {Date} [options.time]
+ */
+async function setUp(page, { rates = RATES, time = SAME_MORNING } = {}) {
+  await page.clock.setFixedTime(time)
+  await page.route('**/data/fx-rates.json', route => (rates ? route.fulfill({ json: rates }) : route.abort()))
+}
+
+const board = page => page.locator('#fx-rates .fx-rates__board')
+const notice = page => page.locator('#fx-rates .fx-rates__notice')
+const result = page => page.locator('#fx-rates .fx-converter__result')
+const field = (page, label) => page.locator('#fx-rates').getByLabel(label, { exact: true })
+
+test.describe('Exchange Rate Board', () => {
+
+  // ============================================================================
+  // 💱 RATE TESTS
+  // ============================================================================
+
+  test('should show buy and sell rates for each currency', async ({ page }) => {
+    await setUp(page)
+    await page.goto('/')
+
+    await expect(board(page)).toBeVisible()
+    await expect(page.locator('#fx-rates .fx-rates__fallback')).toBeHidden()
+    await expect(page.locator('#fx-rates tbody tr')).toHaveText([
+      /USD US dollar\s*₦1,520\.00\s*₦1,545\.00/,
+      /GBP British pound\s*₦2,010\.00\s*₦2,050\.00/,
+      /EUR Euro\s*₦1,755\.00\s*₦1,790\.00/
+    ])
+    await expect(page.locator('#fx-rates tbody th').first()).toHaveAttribute('scope', 'row')
+  })
+
+  test('should show the last update in Lagos time', async ({ page }) => {
+    await setUp(page)
+    await page.goto('/')
+
+    const updated = page.locator('#fx-rates .fx-rates__updated time')
+    await expect(updated).toHaveText(/^18 October 2026 at 9:00\s?am WAT$/i)
+    await expect(updated).toHaveAttribute('datetime', '2026-10-18T08:00:00.000Z')
+  })
+
+  // ============================================================================
+  // ⏰ STALE DATA TESTS
+  // ============================================================================
+
+  test('should not flag rates within the allowed age', async ({ page }) => {
+    await setUp(page)
+    await page.goto('/')
+
+    await expect(board(page)).toBeVisible()
+    await expect(notice(page)).toBeHidden()
+    await expect(page.locator('#fx-rates')).not.toHaveClass(/fx-rates--stale/)
+  })
+
+  test('should flag rates older than the allowed age', async ({ page }) => {
+    // The board allows 720 minutes; these are a day old
+    await setUp(page, { time: new Date('2026-10-19T09:30:00+01:00') })
+    await page.goto('/')
+
+    await expect(notice(page)).toHaveText('These rates may be out of date. Please confirm them at a branch before you exchange money.')
+    await expect(notice(page)).toHaveAttribute('role', 'status')
+    await expect(page.locator('#fx-rates')).toHaveClass(/fx-rates--stale/)
+  })
+
+  // ============================================================================
+  // 💾 FALLBACK TESTS
+  // ============================================================================
+
+  test('should save the rates it shows', async ({ page }) => {
+    await setUp(page)
+    await page.goto('/')
+    await expect(board(page)).toBeVisible()
+
+    expect(await page.evaluate(() => JSON.parse(localStorage.getItem('wema:fx-rates')))).toEqual(RATES)
+  })
+
+  test('should fall back to the last saved rates when the feed fails', async ({ page }) => {
+    await page.addInitScript(rates => localStorage.setItem('wema:fx-rates', JSON.stringify(rates)), RATES)
+    await setUp(page, { rates: null })
+    await page.goto('/')
+
+    await expect(notice(page)).toHaveText('We could not reach the rate feed, so these are the last rates we saved.')
+    await expect(page.locator('#fx-rates tbody tr')).toHaveCount(3)
+  })
+
+  test('should keep the branch advice when there are no rates to show', async ({ page }) => {
+    await setUp(page, { rates: null })
+    await page.goto('/')
+
+    await expect(page.locator('#fx-rates .fx-rates__fallback')).toHaveText("Ask at any branch for today's exchange rates.")
+    await expect(board(page)).toBeHidden()
+  })
+
+  test('should not show a sheet with unusable rates', async ({ page }) => {
+    await setUp(page, { rates: { ...RATES, currencies: [{ code: 'USD', name: 'US dollar', buy: 1600, sell: 1545 }] } })
+    await page.goto('/')
+
+    await expect(page.locator('#fx-rates .fx-rates__fallback')).toBeVisible()
+    await expect(board(page)).toBeHidden()
+  })
+
+  // ============================================================================
+  // 🔄 CONVERTER TESTS
+  // ============================================================================
+
+  test('should convert a currency to naira at the buying rate', async ({ page }) => {
+    await setUp(page)
+    await page.goto('/')
+
+    await field(page, 'Amount').fill('100')
+
+    await expect(result(page)).toHaveText('US$100.00 = ₦152,000.00. At our buying rate of ₦1,520.00 per USD.')
+    await expect(page.locator('#fx-amount-hint')).toHaveText('Enter the amount in USD')
+  })
+
+  test('should convert naira to a currency at the selling rate', async ({ page }) => {
+    await setUp(page)
+    await page.goto('/')
+
+    await field(page, 'Currency').selectOption('GBP')
+    await field(page, 'From naira').check()
+    await field(page, 'Amount').fill('205,000')
+
+    await expect(result(page)).toHaveText('₦205,000.00 = £100.00. At our selling rate of ₦2,050.00 per GBP.')
+    await expect(page.locator('#fx-amount-hint')).toHaveText('Enter the amount in naira')
+  })
+
+  test('should explain an amount it cannot convert', async ({ page }) => {
+    await setUp(page)
+    await page.goto('/')
+
+    const amount = field(page, 'Amount')
+    await amount.fill('ten dollars')
+
+    await expect(amount).toHaveAttribute('aria-invalid', 'true')
+    await expect(page.locator('#fx-amount-error')).toHaveText('Enter an amount, such as 250 or 1,500.50')
+    await expect(result(page)).toHaveText('')
+
+    await amount.fill('10')
+    await expect(amount).not.toHaveAttribute('aria-invalid', 'true')
+  })
+
+})
@@ -0,0 +1,206 @@
+// tests/help-assistant.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * Help Assistant Test Suite
+ *
+ * Tests the offline help assistant in the Customer Service contact item.
+ *
+ * Coverage Areas:
+ * - Opening and closing from the keyboard
+ * - Common question buttons and deep links
+ * - Typed questions, including typos and ambiguous ones
+ * - Branch hours and the phone number from the site data
+ * - Escalation to phone, email and the enquiry form
+ * - Refusing PINs, OTPs and card numbers
+ * - Screen reader semantics
+ */
+
+// A Monday morning in Lagos
+const MONDAY_MORNING = new Date('2026-10-19T10:00:00+01:00')
+
+const toggle = page => page.getByRole('button', { name: 'Ask our help assistant' })
+const assistant = page => page.locator('#help-assistant')
+const log = page => assistant(page).getByRole('log')
+const question = page => assistant(page).getByLabel('Your question', { exact: true })
+const lastReply = page => log(page).locator('.help-assistant__message--assistant').last()
+
+/**
+ * Ask the open assistant a question
+ * @param {import('@playwright/test').Page} page
+ * @param {string} text
+ */
+async function ask(page, text) {
+  await question(page).fill(text)
+  await question(page).press('Enter')
+}
+
+test.describe('Help Assistant', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.clock.setFixedTime(MONDAY_MORNING)
+    await page.goto('/')
+    await toggle(page).click()
+  })
+
+  // ============================================================================
+  // ⌨️ OPEN AND CLOSE TESTS
+  // ============================================================================
+
+  test('should open with a greeting and focus the question box', async ({ page }) => {
+    await expect(assistant(page)).toBeVisible()
+    await expect(toggle(page)).toHaveAttribute('aria-expanded', 'true')
+    await expect(question(page)).toBeFocused()
+    await expect(log(page)).toContainText('Hello! I can answer common questions')
+  })
+
+  test('should close with Escape and return focus to its button', async ({ page }) => {
+    await page.keyboard.press('Escape')
+
+    await expect(assistant(page)).toBeHidden()
+    await expect(toggle(page)).toHaveAttribute('aria-expanded', 'false')
+    await expect(toggle(page)).toBeFocused()
+
+    await page.keyboard.press('Enter')
+    await expect(assistant(page)).toBeVisible()
+    await expect(log(page).locator('.help-assistant__message')).toHaveCount(1)
+  })
+
+  // ============================================================================
+  // 💬 ANSWER TESTS
+  // ============================================================================
+
+  test('should answer a common question with deep links', async ({ page }) => {
+    await assistant(page).getByRole('button', { name: 'Reset my card PIN' }).click()
+
+    await expect(log(page).locator('.help-assistant__message--user').last()).toHaveText('You: Reset my card PIN')
+    await expect(lastReply(page)).toContainText('select Change PIN')
+    await expect(lastReply(page).getByRole('link', { name: 'Card PIN questions' })).toHaveAttribute('href', '/#faq-reset-pin')
+    await expect(question(page)).toBeFocused()
+  })
+
+  const QUESTIONS = [
+    { text: 'How do I reset my PIN?', answer: 'select Change PIN', link: '/#faq-reset-pin' },
+    { text: 'My card was stolen', answer: 'Dial *945*911#', link: '/#faq-block-card' },
+    { text: 'how to sign up for alat', answer: 'Download the ALAT app', link: '/#faq-open-alat-account' },
+    { text: 'how do I regster', answer: 'Download the ALAT app', link: '/#faq-open-alat-account' }
+  ]
+
+  for (const { text, answer, link } of QUESTIONS) {
+    test(`should answer "${text}"`, async ({ page }) => {
+      await ask(page, text)
+
+      await expect(lastReply(page)).toContainText(answer)
+      await expect(lastReply(page).locator(`a[href="${link}"]`)).toHaveCount(1)
+      await expect(question(page)).toHaveValue('')
+    })
+  }
+
+  test('should quote the phone number from the organization data', async ({ page }) => {
+    await ask(page, 'My card was stolen')
+
+    await expect(lastReply(page)).toContainText('or call 0803 900 3700 at any time of day')
+    await expect(lastReply(page)).not.toContainText('{phone}')
+  })
+
+  test('should give branch hours from the business hours data', async ({ page }) => {
+    await ask(page, 'What time do branches close?')
+
+    await expect(lastReply(page)).toContainText(
+      'Our branches are open Monday - Friday, 8:00 AM - 4:00 PM and Saturday, 9:00 AM - 1:00 PM. Open now — closes at 4:00 PM.'
+    )
+  })
+
+  test('should offer a choice when a question fits more than one answer', async ({ page }) => {
+    await ask(page, 'I lost my pin')
+
+    await expect(lastReply(page)).toContainText('Which of these do you mean?')
+    const choices = lastReply(page).locator('.help-assistant__choices button')
+    await expect(choices).toHaveText(['Reset my card PIN', 'Block a lost or stolen card'])
+
+    await choices.nth(1).click()
+    await expect(lastReply(page)).toContainText('Dial *945*911#')
+  })
+
+  // ============================================================================
+  // 📞 ESCALATION TESTS
+  // ============================================================================
+
+  test('should pass questions it cannot answer to customer care', async ({ page }) => {
+    await ask(page, 'What are the transfer limits?')
+
+    const reply = lastReply(page)
+    await expect(reply).toContainText("Sorry, I can't answer that here.")
+    await expect(reply.locator('a[href="tel:+2348039003700"]')).toHaveText('Call 0803 900 3700')
+    await expect(reply.locator('a[href="mailto:customercare@wemabank.com"]')).toHaveCount(1)
+    await expect(reply.getByRole('link', { name: 'Send us an enquiry' })).toHaveAttribute('href', '#enquiry-title')
+  })
+
+  test('should pass on a request to talk to someone', async ({ page }) => {
+    await ask(page, 'Can I speak to a person?')
+
+    await expect(lastReply(page).locator('a[href="tel:+2348039003700"]')).toHaveCount(1)
+  })
+
+  // ============================================================================
+  // 🔒 SAFETY TESTS
+  // ============================================================================
+
+  const SECRETS = ['my pin is 1234', '482913', 'OTP: 482 913', '4111 1111 1111 1111', 'cvv 123']
+
+  for (const secret of SECRETS) {
+    test(`should refuse "${secret}" without showing it`, async ({ page }) => {
+      await ask(page, secret)
+
+      await expect(lastReply(page)).toHaveClass(/help-assistant__message--warning/)
+      await expect(lastReply(page)).toContainText("I can't accept PINs, OTPs or card numbers")
+      await expect(log(page).locator('.help-assistant__message--user')).toHaveCount(0)
+      await expect(question(page)).toHaveValue('')
+
+      const digits = secret.replace(/\D/g, '')
+      const shown = (await assistant(page).textContent()).replace(/\D/g, '')
+      expect(shown).not.toContain(digits)
+    })
+  }
+
+  test('should still answer a question about USSD codes', async ({ page }) => {
+    await ask(page, 'Is *945*911# the code to block my card?')
+
+    await expect(lastReply(page)).not.toHaveClass(/help-assistant__message--warning/)
+    await expect(lastReply(page)).toContainText('Dial *945*911#')
+  })
+
+  test('should warn about an empty question', async ({ page }) => {
+    await question(page).press('Enter')
+
+    await expect(question(page)).toHaveAttribute('aria-invalid', 'true')
+    await expect(page.locator('#help-assistant-question-error')).toHaveText('Type a question, or choose one of the common questions')
+
+    await question(page).fill('hours')
+    await expect(question(page)).not.toHaveAttribute('aria-invalid', 'true')
+  })
+
+  // ============================================================================
+  // ♿ ACCESSIBILITY TESTS
+  // ============================================================================
+
+  test('should announce replies through a log, not a new live region', async ({ page }) => {
+    await expect(log(page)).toHaveAttribute('aria-labelledby', 'help-assistant-title')
+    await expect(page.locator('#help-assistant [aria-live]')).toHaveCount(0)
+    await expect(question(page)).toHaveAttribute('aria-describedby', /help-assistant-warning/)
+  })
+
+  test('should be usable from the keyboard alone', async ({ page }) => {
+    await page.keyboard.press('Shift+Tab')
+    await expect(assistant(page).getByRole('button', { name: 'Branch opening hours' })).toBeFocused()
+
+    await page.keyboard.press('Enter')
+    await expect(lastReply(page)).toContainText('Open now — closes at 4:00 PM')
+    await expect(question(page)).toBeFocused()
+
+    await page.keyboard.type('block my card')
+    await page.keyboard.press('Enter')
+    await expect(lastReply(page)).toContainText('Dial *945*911#')
+  })
+
+})
@@ -0,0 +1,49 @@
+// tests/helpers/mock-endpoints.js
+
+/**
+ * Mock Endpoints
+ *
+ * The page forms post to their live endpoints. For tests, this switches every
+ * form posting to `/api/…` over to the `mock` adapter and loads the local
+ * stand-ins from js/mocks/, so the forms can be exercised without a backend.
+ * The stand-ins are not part of the built site, so they are served from the
+ * repository.
+ *
+ * The switch happens once the markup is parsed, before js/main.js starts the
+ * forms. Call it before `page.goto`.
+ */
+
+const path = require('node:path')
+
+const MOCKS_DIR = path.join(__dirname, '../../js/mocks')
+const MOCKS = ['/js/mocks/enquiry.js', '/js/mocks/newsletter.js']
+
+/**
+ * @param {import('@playwright/test').Page} page
+ */
+async function useMockEndpoints(page) {
+  // On the context, so requests the service worker makes are answered too
+  await page.context().route('**/js/mocks/*.js', route => route.fulfill({
+    path: path.join(MOCKS_DIR, path.basename(new URL(route.request().url()).pathname)),
+    contentType: 'text/javascript; charset=utf-8'
+  }))
+
+  await page.addInitScript(mocks => {
+    document.addEventListener('readystatechange', () => {
+      if (document.readyState !== 'interactive') return
+
+      for (const form of document.querySelectorAll('form[action^="/api/"]')) {
+        form.dataset.adapter = 'mock'
+      }
+
+      for (const src of mocks) {
+        const script = document.createElement('script')
+        script.type = 'module'
+        script.src = src
+        document.head.append(script)
+      }
+    })
+  }, MOCKS)
+}
+
+module.exports = { useMockEndpoints }
@@ -0,0 +1,131 @@
+// tests/hero-carousel.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * Hero Carousel Test Suite
+ *
+ * Tests the carousel built on `.hero__slider` from data/hero-slides.json.
+ *
+ * Coverage Areas:
+ * - Slides loaded from data
+ * - Previous/next, dot and keyboard controls
+ * - Autoplay pausing and reduced motion
+ * - Live region behaviour
+ */
+
+test.describe('Hero Carousel', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/')
+    await expect(page.locator('.hero__slider .slider__controls')).toBeVisible()
+  })
+
+  // ============================================================================
+  // 🎠 STRUCTURE TESTS
+  // ============================================================================
+
+  test('should render the static slide followed by the data slides', async ({ page }) => {
+    const slider = page.locator('.hero__slider')
+    const slides = slider.locator('.slider__content')
+
+    await expect(slider).toHaveAttribute('aria-roledescription', 'carousel')
+    await expect(slides).toHaveCount(4)
+
+    // The page heading sits outside the slides
+    await expect(slider.locator('h1')).toHaveCount(0)
+    await expect(slides.first().locator('.hero__description')).toBeVisible()
+    await expect(slides.first()).toHaveAttribute('aria-roledescription', 'slide')
+    await expect(slides.first()).toHaveAttribute('aria-label', '1 of 4')
+
+    // Data slides use h2 so the page keeps a single h1
+    await expect(slides.nth(1).locator('h2')).toHaveText('Bank Anywhere with ALAT')
+    await expect(slides.nth(1)).toBeHidden()
+
+    await expect(slider.locator('.slider__dot')).toHaveCount(4)
+    await expect(slider.locator('.slider__dot').first()).toHaveAttribute('aria-current', 'true')
+  })
+
+  test('should only link slide calls to action to same-site or https URLs', async ({ page }) => {
+    const ctaLinks = await page.locator('.slider__cta').all()
+
+    for (const link of ctaLinks) {
+      const href = await link.getAttribute('href')
+      expect(href.startsWith('/') || href.startsWith('https://')).toBeTruthy()
+    }
+  })
+
+  // ============================================================================
+  // 🕹️ CONTROL TESTS
+  // ============================================================================
+
+  test('should move between slides with previous and next buttons', async ({ page }) => {
+    const slides = page.locator('.hero__slider .slider__content')
+
+    await page.click('.slider__button--next')
+    await expect(slides.nth(1)).toBeVisible()
+    await expect(slides.first()).toBeHidden()
+    await expect(page.locator('h1#hero-title')).toBeVisible()
+
+    await page.click('.slider__button--previous')
+    await page.click('.slider__button--previous')
+    await expect(slides.last()).toBeVisible()
+  })
+
+  test('should jump to a slide from its dot', async ({ page }) => {
+    const dots = page.locator('.hero__slider .slider__dot')
+
+    await dots.nth(2).click()
+
+    await expect(page.locator('.hero__slider .slider__content').nth(2)).toBeVisible()
+    await expect(dots.nth(2)).toHaveAttribute('aria-current', 'true')
+    await expect(dots.first()).not.toHaveAttribute('aria-current', 'true')
+  })
+
+  test('should support arrow keys on the controls', async ({ page }) => {
+    const slides = page.locator('.hero__slider .slider__content')
+
+    await page.focus('.slider__button--next')
+    await page.keyboard.press('ArrowRight')
+    await expect(slides.nth(1)).toBeVisible()
+
+    await page.keyboard.press('End')
+    await expect(slides.last()).toBeVisible()
+
+    await page.keyboard.press('ArrowRight')
+    await expect(slides.first()).toBeVisible()
+  })
+
+  // ============================================================================
+  // ⏯️ AUTOPLAY AND LIVE REGION TESTS
+  // ============================================================================
+
+  test('should silence the region while rotating', async ({ page }) => {
+    await page.mouse.move(0, 0)
+
+    await expect(page.locator('.hero__slider')).toHaveAttribute('aria-live', 'off')
+    await expect(page.locator('.hero__slider [aria-live]')).toHaveCount(0)
+    await expect(page.locator('.slider__button--rotation')).toHaveAttribute('aria-label', 'Stop automatic slide show')
+  })
+
+  test('should stop rotating and announce slides after a manual change', async ({ page }) => {
+    await page.click('.slider__button--next')
+
+    await expect(page.locator('.hero__slider')).toHaveAttribute('aria-live', 'polite')
+    await expect(page.locator('.slider__button--rotation')).toHaveAttribute('aria-label', 'Start automatic slide show')
+  })
+
+  test('should pause while the carousel has focus', async ({ page }) => {
+    await page.focus('.slider__button--rotation')
+
+    await expect(page.locator('.hero__slider')).toHaveAttribute('aria-live', 'polite')
+  })
+
+  test('should not autoplay under reduced motion', async ({ page }) => {
+    await page.emulateMedia({ reducedMotion: 'reduce' })
+    await page.reload()
+
+    await expect(page.locator('.slider__button--rotation')).toBeDisabled()
+    await expect(page.locator('.hero__slider')).toHaveAttribute('aria-live', 'polite')
+  })
+
+})
@@ -0,0 +1,197 @@
+// tests/images.spec.js
+const { test, expect } = require('@playwright/test')
+const fs = require('node:fs/promises')
+const os = require('node:os')
+const path = require('node:path')
+
+/**
+ * Image Pipeline Test Suite
+ *
+ * Tests the images the build serves and the pipeline in
+ * scripts/site/images.mjs that makes and checks them.
+ *
+ * Coverage Areas:
+ * - Per-page 1200×630 share cards
+ * - Minified SVGs and favicon.ico
+ * - AVIF and WebP sources for raster images
+ * - Missing images and mismatched width and height attributes
+ */
+
+const SITE_URL = 'https://wemabank.com'
+
+// Temporary directories made by the current test, removed after it
+const tempDirs = []
+
+/**
+ * @returns {Promise<string>} A new temporary directory
+ */
+async function tempDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'images-'))
+  tempDirs.push(dir)
+  return dir
+}
+
+/**
+ * Size of a served image
+ * @param {import('@playwright/test').APIResponse} response
+ * @param {string} name - File name to save it under
+ * @returns {Promise<{width: number, height: number}>}
+ */
+async function servedSize(response, name) {
+  const { imageSize } = await import('../scripts/site/images.mjs')
+  const file = path.join(await tempDir(), name)
+  await fs.writeFile(file, await response.body())
+  return imageSize(file)
+}
+
+/**
+ * A built site with one share card in it
+ * @returns {Promise<string>} The output directory
+ */
+async function siteWithCard() {
+  const { writeCard } = await import('../scripts/site/images.mjs')
+  const outDir = await tempDir()
+  await writeCard(outDir, { path: '/', title: 'Your Trusted Banking Partner' })
+  await fs.writeFile(path.join(outDir, 'logo.svg'), '<svg xmlns="http://www.w3.org/2000/svg" width="150" height="50" viewBox="0 0 150 50"/>')
+  return outDir
+}
+
+test.describe('Images', () => {
+
+  test.afterEach(async () => {
+    await Promise.all(tempDirs.splice(0).map(dir => fs.rm(dir, { recursive: true, force: true })))
+  })
+
+  // ============================================================================
+  // 🖼️ SHARE CARD TESTS
+  // ============================================================================
+
+  test('should give each page its own share card', async ({ request }) => {
+    for (const [route, card] of [['/', 'home'], ['/loans', 'loans'], ['/branches/kano', 'branches-kano']]) {
+      const html = await (await request.get(route)).text()
+      const url = `${SITE_URL}/images/cards/${card}.jpg`
+
+      expect(html, route).toContain(`<meta property="og:image" content="${url}">`)
+      expect(html, route).toContain(`<meta name="twitter:image" content="${url}">`)
+      expect(html, route).toContain('<meta property="og:image:width" content="1200">')
+      expect(html, route).toContain('<meta property="og:image:height" content="630">')
+    }
+  })
+
+  test('should serve share cards as 1200×630 JPEGs', async ({ request }) => {
+    const response = await request.get('/images/cards/loans.jpg')
+
+    expect(response.status()).toBe(200)
+    expect(response.headers()['content-type']).toBe('image/jpeg')
+    expect(await servedSize(response, 'loans.jpg')).toEqual({ width: 1200, height: 630 })
+  })
+
+  test('should serve raster images in pages with AVIF and WebP sources', async ({ request }) => {
+    const html = await (await request.get('/digital-banking')).text()
+
+    expect(html).toContain('<source type="image/avif" srcset="/images/icons/icon-192-96w.avif 1x, /images/icons/icon-192-192w.avif 2x">')
+    expect(html).toContain('<source type="image/webp" srcset="/images/icons/icon-192-96w.webp 1x, /images/icons/icon-192-192w.webp 2x">')
+
+    for (const [variant, type] of [['icon-192-96w.avif', 'image/avif'], ['icon-192-192w.webp', 'image/webp']]) {
+      const response = await request.get(`/images/icons/${variant}`)
+      expect(response.status(), variant).toBe(200)
+      expect(response.headers()['content-type'], variant).toBe(type)
+    }
+    expect(await servedSize(await request.get('/images/icons/icon-192-96w.webp'), 'icon.webp')).toEqual({ width: 96, height: 96 })
+  })
+
+  // ============================================================================
+  // ✂️ SVG AND FAVICON TESTS
+  // ============================================================================
+
+  test('should serve minified SVGs that keep their size', async ({ request }) => {
+    const response = await request.get('/images/wema-bank-logo.svg')
+    const svg = await response.text()
+
+    expect(response.headers()['content-type']).toContain('image/svg+xml')
+    expect(svg).toContain('width="150" height="50" viewBox="0 0 150 50"')
+    expect(svg).not.toContain('\n  ')
+  })
+
+  test('should serve favicon.ico rendered from the app icon', async ({ request }) => {
+    const response = await request.get('/favicon.ico')
+    const ico = await response.body()
+
+    expect(response.headers()['content-type']).toBe('image/x-icon')
+    // An icon directory holding the 16, 32 and 48 pixel images
+    expect(ico.readUInt16LE(2)).toBe(1)
+    expect(ico.readUInt16LE(4)).toBe(3)
+    expect([ico[6], ico[22], ico[38]]).toEqual([16, 32, 48])
+  })
+
+  // ============================================================================
+  // 🧩 PIPELINE TESTS
+  // ============================================================================
+
+  test('should name cards after page paths and wrap long titles', async () => {
+    const { cardPath, cardSvg, wrapText } = await import('../scripts/site/images.mjs')
+
+    expect(cardPath('/')).toBe('/images/cards/home.jpg')
+    expect(cardPath('/branches/')).toBe('/images/cards/branches.jpg')
+    expect(cardPath('/branches/port-harcourt')).toBe('/images/cards/branches-port-harcourt.jpg')
+
+    expect(wrapText('Your Trusted Banking Partner', 24)).toEqual(['Your Trusted Banking', 'Partner'])
+    expect(cardSvg({ title: 'Loans & <Cards>' })).toContain('Loans &amp; &lt;Cards&gt;')
+  })
+
+  test('should accept raster images shown at a fraction of their size, but not SVGs', async () => {
+    const { sizesMatch } = await import('../scripts/site/images.mjs')
+
+    expect(sizesMatch({ width: 1200, height: 630 }, { width: 600, height: 315 }, false)).toBe(true)
+    expect(sizesMatch({ width: 1200, height: 630 }, { width: 500, height: 315 }, false)).toBe(false)
+    expect(sizesMatch({ width: 150, height: 50 }, { width: 150, height: 50 }, true)).toBe(true)
+    expect(sizesMatch({ width: 150, height: 50 }, { width: 75, height: 25 }, true)).toBe(false)
+  })
+
+  test('should add AVIF and WebP sources to raster images', async () => {
+    const { addPictureSources } = await import('../scripts/site/images.mjs')
+    const outDir = await siteWithCard()
+    const img = '<img src="/images/cards/home.jpg" alt="" width="600" height="315">'
+
+    const html = await addPictureSources(`<p>${img}<img src="/logo.svg" alt="" width="150" height="50"></p>`, outDir)
+
+    expect(html).toBe([
+      '<p><picture>',
+      '<source type="image/avif" srcset="/images/cards/home-600w.avif 1x, /images/cards/home-1200w.avif 2x">',
+      '<source type="image/webp" srcset="/images/cards/home-600w.webp 1x, /images/cards/home-1200w.webp 2x">',
+      `${img}</picture><img src="/logo.svg" alt="" width="150" height="50"></p>`
+    ].join(''))
+    for (const variant of ['home-600w.avif', 'home-1200w.avif', 'home-600w.webp', 'home-1200w.webp']) {
+      await expect(fs.stat(path.join(outDir, 'images/cards', variant))).resolves.toBeTruthy()
+    }
+  })
+
+  test('should report missing images, wrong sizes and missing dimensions', async () => {
+    const { checkImages } = await import('../scripts/site/images.mjs')
+    const outDir = await siteWithCard()
+
+    const pages = new Map([
+      ['/', [
+        `<head><meta property="og:image" content="${SITE_URL}/images/cards/home.jpg"></head>`,
+        '<img src="/logo.svg" alt="Wema Bank" width="150" height="50">',
+        '<img src="/images/cards/home.jpg" alt="" width="600" height="315">'
+      ].join('')],
+      ['/loans', [
+        `<head><meta property="og:image" content="${SITE_URL}/images/cards/loans.jpg"><link rel="icon" href="/favicon.ico"></head>`,
+        '<img src="/logo.svg" alt="Wema Bank" width="160" height="50">',
+        '<img src="/images/cards/home.jpg" alt="">',
+        '<img src="/images/hero.png" alt="" width="600" height="400">'
+      ].join('')]
+    ])
+
+    expect(await checkImages(pages, { outDir, siteUrl: SITE_URL, extraImages: [{ source: 'data/services.json', src: '/icons/loans.svg' }] })).toEqual([
+      { source: '/loans', src: '/logo.svg', problem: 'is 150×50, but shown at 160×50' },
+      { source: '/loans', src: '/images/cards/home.jpg', problem: 'needs width and height attributes' },
+      { source: '/loans', src: '/images/hero.png', problem: 'does not exist' },
+      { source: '/loans', src: '/favicon.ico', problem: 'does not exist' },
+      { source: '/loans', src: '/images/cards/loans.jpg', problem: 'does not exist' },
+      { source: 'data/services.json', src: '/icons/loans.svg', problem: 'does not exist' }
+    ])
+  })
+
+})
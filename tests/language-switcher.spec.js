@@ -0,0 +1,138 @@
+// tests/language-switcher.spec.js
+const { test, expect } = require('@playwright/test')
+const yoruba = require('../data/i18n/yo.json')
+
+/**
+ * Language Switcher Test Suite
+ *
+ * Tests the header language switcher and the message files in data/i18n.
+ *
+ * Coverage Areas:
+ * - Locale from the browser, the URL and the remembered choice
+ * - html[lang] and translated content
+ * - Localised document title; no alternates for URLs that serve English
+ * - English fallback for missing keys
+ * - No switcher on pages that are not translated
+ */
+
+test.describe('Language Switcher', () => {
+
+  const switcher = page => page.locator('header .language-switcher select')
+
+  // ============================================================================
+  // 🏗️ STRUCTURE TESTS
+  // ============================================================================
+
+  test('should offer every supported language after the main navigation', async ({ page }) => {
+    await page.goto('/')
+
+    await expect(switcher(page)).toBeVisible()
+    await expect(page.getByLabel('Language')).toHaveValue('en')
+    await expect(switcher(page).locator('option')).toHaveText(['English', 'Yorùbá', 'Hausa', 'Igbo', 'Naijá (Pidgin)'])
+
+    const afterNav = await page.evaluate(() => {
+      const nav = document.querySelector('header nav')
+      const select = document.querySelector('.language-switcher select')
+      return Boolean(nav.compareDocumentPosition(select) & Node.DOCUMENT_POSITION_FOLLOWING)
+    })
+    expect(afterNav).toBe(true)
+  })
+
+  test('should not list hreflang alternates, as every language is served the English page', async ({ request }) => {
+    const html = await (await request.get('/?lang=yo')).text()
+
+    expect(html).not.toContain('hreflang')
+    expect(html).not.toContain('og:locale:alternate')
+    expect(html).toContain('<meta property="og:locale" content="en_NG">')
+  })
+
+  // ============================================================================
+  // 🌍 SWITCHING TESTS
+  // ============================================================================
+
+  test('should translate the page and update html[lang]', async ({ page }) => {
+    await page.goto('/')
+    await switcher(page).selectOption('yo')
+
+    await expect(page.locator('html')).toHaveAttribute('lang', 'yo')
+    await expect(page.locator('html')).toHaveAttribute('dir', 'ltr')
+    await expect(page.locator('h1')).toHaveText(yoruba['hero.title'])
+    await expect(page.locator('header nav a').first()).toHaveText(yoruba['nav.home'])
+    await expect(page.locator('#services-title')).toHaveText(yoruba['services.title'])
+    await expect(page.locator('.footer__regulatory-text').first()).toHaveText(yoruba['footer.licensed'])
+  })
+
+  test('should translate content rendered from data files', async ({ page }) => {
+    await page.goto('/?lang=ig')
+
+    await expect(page.locator('#service-personal-banking .service-card__title'))
+      .toHaveText('Ụlọ Akụ Nke Onwe')
+    await expect(page.locator('.stat__label').first()).toHaveText('Afọ Nke Ọma')
+  })
+
+  test('should localise the document title', async ({ page }) => {
+    await page.goto('/')
+    await switcher(page).selectOption('ha')
+
+    await expect(page).toHaveTitle(/Abokin Hulɗar Banki/)
+  })
+
+  test('should remember the choice on the next visit', async ({ page }) => {
+    await page.goto('/')
+    await switcher(page).selectOption('pcm')
+    await page.reload()
+
+    await expect(page.locator('html')).toHaveAttribute('lang', 'pcm')
+    await expect(switcher(page)).toHaveValue('pcm')
+  })
+
+  test('should prefer the language in the URL', async ({ page }) => {
+    await page.goto('/')
+    await switcher(page).selectOption('yo')
+    await page.goto('/?lang=ha')
+
+    await expect(page.locator('html')).toHaveAttribute('lang', 'ha')
+  })
+
+  // ============================================================================
+  // ↩️ FALLBACK TESTS
+  // ============================================================================
+
+  test('should fall back to English for missing keys', async ({ page }) => {
+    await page.route('**/data/i18n/yo.json', route => {
+      const { ['contact.title']: _missing, ...messages } = yoruba
+      return route.fulfill({ json: messages })
+    })
+    await page.goto('/?lang=yo')
+
+    await expect(page.locator('#services-title')).toHaveText(yoruba['services.title'])
+    await expect(page.locator('#contact-title')).toHaveText('Get In Touch')
+  })
+
+})
+
+test.describe('Language Switcher default', () => {
+
+  test.use({ locale: 'yo-NG' })
+
+  test('should pick the default from navigator.languages', async ({ page }) => {
+    await page.goto('/')
+
+    await expect(page.locator('html')).toHaveAttribute('lang', 'yo')
+    await expect(page.locator('h1')).toHaveText(yoruba['hero.title'])
+  })
+
+})
+
+test.describe('Language Switcher on untranslated pages', () => {
+
+  test('should leave the switcher out of pages that are only in English', async ({ request }) => {
+    for (const url of ['/security', '/loans', '/branches/']) {
+      const html = await (await request.get(url)).text()
+
+      expect(html, url).toContain('<html lang="en"')
+      expect(html, url).not.toContain('language-switcher')
+    }
+  })
+
+})
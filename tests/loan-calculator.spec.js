@@ -0,0 +1,145 @@
+// tests/loan-calculator.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * Loan Calculator Test Suite
+ *
+ * Tests the loan repayment calculator opened from the Personal and Business
+ * Banking service cards, driven by data/loan-products.json.
+ *
+ * Coverage Areas:
+ * - Card triggers and panel disclosure
+ * - Product limits and validation
+ * - Reducing balance and flat rate results
+ * - Amortisation schedule and CSV download
+ */
+
+test.describe('Loan Calculator', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/')
+  })
+
+  const panel = page => page.locator('#loan-calculator')
+
+  /**
+   * Open the calculator from a service card and enter a loan
+   * @param {import('@playwright/test').Page} page
+   * @param {{card?: string, amount: string, tenor: string, rate: string}} loan
+   */
+  async function enterLoan(page, { card = 'Personal Banking', amount, tenor, rate }) {
+    await page.locator('.service-card', { hasText: card })
+      .getByRole('button', { name: 'Estimate loan repayments' }).click()
+
+    const calculator = panel(page)
+    await calculator.getByLabel('Loan amount').fill(amount)
+    await calculator.getByLabel('Tenor').fill(tenor)
+    await calculator.getByLabel('Interest rate').fill(rate)
+  }
+
+  // ============================================================================
+  // 🏗️ DISCLOSURE TESTS
+  // ============================================================================
+
+  test('should reveal a trigger on the personal and business cards', async ({ page }) => {
+    const triggers = page.locator('.service-card__tool[aria-controls="loan-calculator"]')
+
+    await expect(triggers).toHaveCount(2)
+    await expect(triggers.first()).toBeVisible()
+    await expect(triggers.first()).toHaveAttribute('aria-expanded', 'false')
+    await expect(panel(page)).toBeHidden()
+  })
+
+  test('should open the panel with the card product selected', async ({ page }) => {
+    const trigger = page.locator('.service-card', { hasText: 'Business Banking' })
+      .getByRole('button', { name: 'Estimate loan repayments' })
+
+    await trigger.click()
+
+    await expect(panel(page)).toBeVisible()
+    await expect(trigger).toHaveAttribute('aria-expanded', 'true')
+    await expect(panel(page).locator('#loan-calculator-title')).toBeFocused()
+    await expect(panel(page).getByLabel('Loan type')).toHaveValue('business')
+    await expect(panel(page).locator('#loan-tenor-hint')).toHaveText('Between 6 and 60 months')
+
+    await trigger.click()
+    await expect(panel(page)).toBeHidden()
+    await expect(trigger).toHaveAttribute('aria-expanded', 'false')
+  })
+
+  // ============================================================================
+  // ✅ VALIDATION TESTS
+  // ============================================================================
+
+  test('should reject values outside the product limits', async ({ page }) => {
+    await enterLoan(page, { amount: '20000', tenor: '12.5', rate: '' })
+    await panel(page).getByRole('button', { name: 'Calculate' }).click()
+
+    const amount = panel(page).getByLabel('Loan amount')
+    await expect(amount).toBeFocused()
+    await expect(amount).toHaveAttribute('aria-invalid', 'true')
+    await expect(panel(page).locator('#loan-amount-error')).toHaveText('Enter an amount between ₦50,000 and ₦10,000,000')
+    await expect(panel(page).locator('#loan-tenor-error')).toHaveText('Enter a whole number of months between 3 and 48')
+    await expect(panel(page).locator('#loan-rate-error')).toHaveText('Enter an interest rate')
+    await expect(panel(page).locator('.loan-calculator__results')).toBeHidden()
+  })
+
+  // ============================================================================
+  // 🧮 CALCULATION TESTS
+  // ============================================================================
+
+  test('should calculate a reducing balance loan', async ({ page }) => {
+    await enterLoan(page, { amount: '1,000,000', tenor: '12', rate: '24' })
+    await panel(page).getByRole('button', { name: 'Calculate' }).click()
+
+    await expect(panel(page).locator('[data-result="instalment"]')).toHaveText('₦94,559.60')
+    await expect(panel(page).locator('[data-result="interest"]')).toHaveText('₦134,715.17')
+    await expect(panel(page).locator('[data-result="total"]')).toHaveText('₦1,134,715.17')
+    await expect(panel(page).locator('.loan-calculator__announcement'))
+      .toHaveText('Monthly instalment ₦94,559.60 for 12 months, total interest ₦134,715.17.')
+  })
+
+  test('should recalculate with the flat rate method', async ({ page }) => {
+    await enterLoan(page, { amount: '1000000', tenor: '12', rate: '24' })
+    await panel(page).getByRole('button', { name: 'Calculate' }).click()
+    await panel(page).getByLabel('Flat rate').check()
+
+    await expect(panel(page).locator('[data-result="instalment"]')).toHaveText('₦103,333.33')
+    await expect(panel(page).locator('[data-result="interest"]')).toHaveText('₦240,000.00')
+  })
+
+  test('should list one schedule row per month ending at zero', async ({ page }) => {
+    await enterLoan(page, { amount: '1000000', tenor: '18', rate: '24' })
+    await panel(page).getByRole('button', { name: 'Calculate' }).click()
+
+    const rows = panel(page).locator('.loan-calculator__schedule tbody tr')
+    await expect(rows).toHaveCount(18)
+    await expect(rows.last().locator('td').last()).toHaveText('₦0.00')
+  })
+
+  // ============================================================================
+  // 📄 DOWNLOAD TESTS
+  // ============================================================================
+
+  test('should download the schedule as CSV', async ({ page }) => {
+    await enterLoan(page, { amount: '1000000', tenor: '12', rate: '24' })
+    await panel(page).getByRole('button', { name: 'Calculate' }).click()
+
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      panel(page).getByRole('button', { name: 'Download schedule (CSV)' }).click()
+    ])
+
+    expect(download.suggestedFilename()).toBe('wema-personal-loan-schedule.csv')
+
+    const stream = await download.createReadStream()
+    let csv = ''
+    for await (const chunk of stream) csv += chunk
+
+    const lines = csv.trim().split('\r\n')
+    expect(lines[0]).toBe('Month,Payment (NGN),Principal (NGN),Interest (NGN),Balance (NGN)')
+    expect(lines[1]).toBe('1,94559.60,74559.60,20000.00,925440.40')
+    expect(lines).toHaveLength(13)
+  })
+
+})
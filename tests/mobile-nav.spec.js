@@ -0,0 +1,108 @@
+// tests/mobile-nav.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * Mobile Navigation Test Suite
+ *
+ * Tests the collapsed `.header__nav` menu at the mobile and tablet
+ * viewports used by the HTML structure suite.
+ *
+ * Coverage Areas:
+ * - Toggle state and ARIA attributes
+ * - Focus management and focus trap
+ * - Closing on Escape, outside click and link selection
+ * - Inline navigation on desktop
+ */
+
+const viewports = [
+  { name: 'mobile', width: 375, height: 667 },
+  { name: 'tablet', width: 768, height: 1024 }
+]
+
+for (const viewport of viewports) {
+  test.describe(`Mobile Navigation (${viewport.name})`, () => {
+
+    test.beforeEach(async ({ page }) => {
+      await page.setViewportSize({ width: viewport.width, height: viewport.height })
+      await page.goto('/')
+    })
+
+    test('should collapse the navigation behind a toggle', async ({ page }) => {
+      const toggle = page.locator('.header__toggle')
+
+      await expect(toggle).toBeVisible()
+      await expect(toggle).toHaveAccessibleName('Menu')
+      await expect(toggle).toHaveAttribute('aria-controls', 'site-navigation')
+      await expect(toggle).toHaveAttribute('aria-expanded', 'false')
+      await expect(page.locator('#site-navigation')).toBeHidden()
+    })
+
+    test('should open the panel and focus the first link', async ({ page }) => {
+      const toggle = page.locator('.header__toggle')
+
+      await toggle.click()
+
+      await expect(toggle).toHaveAttribute('aria-expanded', 'true')
+      await expect(page.locator('#site-navigation')).toBeVisible()
+      await expect(page.locator('#site-navigation a').first()).toBeFocused()
+    })
+
+    test('should trap focus inside the open menu', async ({ page }) => {
+      const toggle = page.locator('.header__toggle')
+      const links = page.locator('#site-navigation a')
+
+      await toggle.click()
+
+      // Forward from the last link wraps to the toggle
+      await links.last().focus()
+      await page.keyboard.press('Tab')
+      await expect(toggle).toBeFocused()
+
+      // Backward from the toggle wraps to the last link
+      await page.keyboard.press('Shift+Tab')
+      await expect(links.last()).toBeFocused()
+    })
+
+    test('should close on Escape and return focus to the toggle', async ({ page }) => {
+      const toggle = page.locator('.header__toggle')
+
+      await toggle.click()
+      await page.keyboard.press('Escape')
+
+      await expect(toggle).toHaveAttribute('aria-expanded', 'false')
+      await expect(page.locator('#site-navigation')).toBeHidden()
+      await expect(toggle).toBeFocused()
+    })
+
+    test('should close on a click outside the panel', async ({ page }) => {
+      const toggle = page.locator('.header__toggle')
+
+      await toggle.click()
+      await page.mouse.click(10, viewport.height / 2)
+
+      await expect(toggle).toHaveAttribute('aria-expanded', 'false')
+      await expect(toggle).toBeFocused()
+    })
+
+    test('should close when a link is chosen and follow it', async ({ page }) => {
+      await page.click('.header__toggle')
+      await page.click('#site-navigation a[href="#contact"]')
+
+      await expect(page.locator('.header__toggle')).toHaveAttribute('aria-expanded', 'false')
+      await expect(page.locator('section#contact')).toBeInViewport()
+    })
+
+  })
+}
+
+test.describe('Mobile Navigation (desktop)', () => {
+
+  test('should show the navigation inline without a toggle', async ({ page }) => {
+    await page.setViewportSize({ width: 1280, height: 720 })
+    await page.goto('/')
+
+    await expect(page.locator('.header__toggle')).toBeHidden()
+    await expect(page.locator('#site-navigation')).toBeVisible()
+  })
+
+})
@@ -0,0 +1,164 @@
+// tests/newsletter-form.spec.js
+const { test, expect } = require('@playwright/test')
+const { useMockEndpoints } = require('./helpers/mock-endpoints')
+
+/**
+ * Newsletter Signup Test Suite
+ *
+ * Tests the `.newsletter-form` in the footer against the local mock endpoint,
+ * and against a routed endpoint through the fetch transport it uses in
+ * production.
+ *
+ * Coverage Areas:
+ * - Form structure and labels
+ * - Inline validation
+ * - Success, duplicate and failure states
+ * - Duplicate submission protection
+ */
+
+/**
+ * Fill in a valid subscription
+ * @param {import('@playwright/test').Page} page
+ * @param {string} email
+ */
+async function fillValidForm(page, email) {
+  const form = page.locator('.newsletter-form')
+  await form.getByLabel('Email address').fill(email)
+  await form.getByLabel('ALAT').check()
+  await form.getByLabel(/I agree to receive emails/).check()
+}
+
+test.describe('Newsletter Signup', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await useMockEndpoints(page)
+    await page.goto('/')
+    await page.evaluate(() => localStorage.clear())
+  })
+
+  // ============================================================================
+  // 🏗️ STRUCTURE TESTS
+  // ============================================================================
+
+  test('should render the form inside the footer newsletter block', async ({ page }) => {
+    const form = page.locator('.footer__newsletter form.newsletter-form')
+
+    await expect(form).toBeVisible()
+    await expect(form.locator('input[type="email"]')).toHaveAttribute('autocomplete', 'email')
+    await expect(form.locator('input[name="topics"]')).toHaveCount(4)
+    await expect(form.locator('legend')).toContainText('Topics')
+    await expect(form.locator('a[href="/privacy-policy"]')).toBeVisible()
+    await expect(form.locator('[role="status"]')).toBeAttached()
+  })
+
+  // ============================================================================
+  // ✅ VALIDATION TESTS
+  // ============================================================================
+
+  test('should show inline errors and focus the first invalid field', async ({ page }) => {
+    const form = page.locator('.newsletter-form')
+
+    await form.getByRole('button', { name: 'Subscribe' }).click()
+
+    const email = form.getByLabel('Email address')
+    await expect(email).toBeFocused()
+    await expect(email).toHaveAttribute('aria-invalid', 'true')
+    await expect(page.locator('#newsletter-email-error')).toHaveText('Enter your email address')
+    await expect(page.locator('#newsletter-topics-error')).toHaveText('Choose at least one topic')
+    await expect(page.locator('#newsletter-consent-error')).toContainText('Privacy Policy')
+  })
+
+  test('should reject a malformed email address', async ({ page }) => {
+    await fillValidForm(page, 'ada@example')
+    await page.locator('.newsletter-form').getByRole('button', { name: 'Subscribe' }).click()
+
+    await expect(page.locator('#newsletter-email-error')).toContainText('name@example.com')
+    await expect(page.locator('#newsletter-topics-error')).toBeHidden()
+  })
+
+  // ============================================================================
+  // 📬 SUBMISSION TESTS
+  // ============================================================================
+
+  test('should subscribe and show a success message', async ({ page }) => {
+    const form = page.locator('.newsletter-form')
+
+    await fillValidForm(page, 'ada@example.com')
+    await form.getByRole('button', { name: 'Subscribe' }).click()
+
+    await expect(form.locator('[role="status"]')).toContainText('Check your inbox')
+    await expect(form.getByLabel('Email address')).toHaveValue('')
+  })
+
+  test('should lock the button while a submission is pending', async ({ page }) => {
+    const form = page.locator('.newsletter-form')
+    const button = form.getByRole('button', { name: 'Subscribe' })
+
+    await fillValidForm(page, 'ada@example.com')
+    await button.click()
+
+    await expect(button).toBeDisabled()
+    await expect(form).toHaveAttribute('aria-busy', 'true')
+    await expect(button).toBeEnabled()
+  })
+
+  test('should report an address that is already subscribed', async ({ page }) => {
+    const form = page.locator('.newsletter-form')
+    const status = form.locator('[role="status"]')
+
+    await fillValidForm(page, 'ada@example.com')
+    await form.getByRole('button', { name: 'Subscribe' }).click()
+    await expect(status).toContainText('Check your inbox')
+
+    await fillValidForm(page, 'ADA@example.com')
+    await form.getByRole('button', { name: 'Subscribe' }).click()
+    await expect(status).toHaveText('This email address is already subscribed.')
+  })
+
+  test('should show an error state when the service fails', async ({ page }) => {
+    const form = page.locator('.newsletter-form')
+
+    await fillValidForm(page, 'ada@example.invalid')
+    await form.getByRole('button', { name: 'Subscribe' }).click()
+
+    await expect(form.locator('[role="status"]')).toContainText('Something went wrong')
+    await expect(form.locator('[role="status"]')).toHaveAttribute('data-state', 'error')
+  })
+
+})
+
+test.describe('Newsletter Signup over fetch', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/')
+  })
+
+  test('should post subscriptions to the live endpoint', async ({ page }) => {
+    const form = page.locator('.newsletter-form')
+    let sent = null
+    await page.route('**/api/newsletter', route => {
+      sent = route.request().postDataJSON()
+      return route.fulfill({ status: 202, json: { status: 'pending-confirmation' } })
+    })
+
+    await expect(form).not.toHaveAttribute('data-adapter', 'mock')
+    await fillValidForm(page, 'Ada@Example.com')
+    await form.getByRole('button', { name: 'Subscribe' }).click()
+
+    await expect(form.locator('[role="status"]')).toContainText('Check your inbox')
+    expect(sent).toEqual({ email: 'ada@example.com', topics: ['alat'], consent: true })
+  })
+
+  test('should explain a subscription the service rejects', async ({ page }) => {
+    const form = page.locator('.newsletter-form')
+    await page.route('**/api/newsletter', route => route.fulfill({ status: 422, json: { message: 'Invalid subscription' } }))
+
+    await fillValidForm(page, 'ada@example.com')
+    await form.getByRole('button', { name: 'Subscribe' }).click()
+
+    await expect(form.locator('[role="status"]'))
+      .toHaveText('We could not accept this subscription. Check your email address and topics, then try again.')
+    await expect(form.locator('[role="status"]')).toHaveAttribute('data-state', 'error')
+  })
+
+})
@@ -0,0 +1,168 @@
+// tests/offline.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * Offline Support Test Suite
+ *
+ * Tests the web app manifest and the service worker built from src/sw.js.
+ *
+ * Coverage Areas:
+ * - Manifest and icons
+ * - Precached landing page after going offline and reloading
+ * - Offline fallback page with the phone number and USSD codes
+ * - Versioned cache and clean-up of old versions
+ * - Live exchange rates, fetched from the network before the cache
+ */
+
+/**
+ * Wait until the service worker controls the page
+ * @param {import('@playwright/test').Page} page
+ */
+async function waitForServiceWorker(page) {
+  await page.evaluate(() => navigator.serviceWorker.ready)
+  await expect.poll(() => page.evaluate(() => Boolean(navigator.serviceWorker.controller))).toBe(true)
+}
+
+test.describe('Offline Support', () => {
+
+  // ============================================================================
+  // 📱 MANIFEST TESTS
+  // ============================================================================
+
+  test('should link a manifest with installable icons', async ({ page, request }) => {
+    await page.goto('/')
+
+    const href = await page.locator('link[rel="manifest"]').getAttribute('href')
+    const manifest = await (await request.get(href)).json()
+
+    expect(manifest.name).toBe('Wema Bank')
+    expect(manifest.start_url).toMatch(/^\//)
+    expect(manifest.display).toBe('standalone')
+    expect(manifest.theme_color).toBe('#8B0000')
+
+    const sizes = manifest.icons.map(icon => icon.sizes)
+    expect(sizes).toEqual(expect.arrayContaining(['192x192', '512x512']))
+
+    for (const icon of manifest.icons) {
+      const response = await request.get(icon.src)
+      expect(response.status(), icon.src).toBe(200)
+      expect(response.headers()['content-type']).toContain(icon.type)
+    }
+  })
+
+  // ============================================================================
+  // 📴 OFFLINE TESTS
+  // ============================================================================
+
+  test('should reload the landing page while offline', async ({ page, context }) => {
+    await page.goto('/')
+    await waitForServiceWorker(page)
+
+    await context.setOffline(true)
+    await page.reload()
+
+    await expect(page.locator('h1')).toHaveText('Welcome to Wema Bank')
+    await expect(page.locator('.service-card')).toHaveCount(4)
+    await expect(page.locator('body')).toHaveCSS('background-color', 'rgb(255, 255, 255)')
+
+    await context.setOffline(false)
+  })
+
+  test('should show the offline page for pages that were never visited', async ({ page, context }) => {
+    await page.goto('/')
+    await waitForServiceWorker(page)
+
+    await context.setOffline(true)
+    await page.goto('/loans')
+
+    await expect(page.locator('h1')).toHaveText('You are offline')
+    await expect(page.locator('main a[href="tel:+2348039003700"]')).toHaveText('0803 900 3700')
+    await expect(page.locator('.offline__codes')).toContainText('*945#')
+    await expect(page.locator('.offline__codes')).toContainText('*945*911#')
+
+    await context.setOffline(false)
+  })
+
+  test('should serve pages visited online when offline', async ({ page, context }) => {
+    await page.goto('/')
+    await waitForServiceWorker(page)
+    await page.goto('/security')
+
+    await context.setOffline(true)
+    await page.reload()
+
+    await expect(page.locator('h1')).toHaveText('Security')
+
+    await context.setOffline(false)
+  })
+
+  test('should keep the offline page out of search results', async ({ page }) => {
+    await page.goto('/offline')
+
+    await expect(page.locator('meta[name="robots"]')).toHaveAttribute('content', 'noindex')
+  })
+
+  // ============================================================================
+  // 🗂️ CACHE VERSION TESTS
+  // ============================================================================
+
+  test('should keep a single versioned cache and delete older versions', async ({ page }) => {
+    // A cache left behind by an earlier release
+    await page.addInitScript(() => caches.open('wema-0ld-version'))
+    await page.goto('/')
+    await waitForServiceWorker(page)
+
+    await expect.poll(() => page.evaluate(() => caches.keys())).toEqual([expect.stringMatching(/^wema-[0-9a-f]{12}$/)])
+
+    const cached = await page.evaluate(async () => {
+      const [name] = await caches.keys()
+      const requests = await (await caches.open(name)).keys()
+      return requests.map(request => new URL(request.url).pathname)
+    })
+    expect(cached).toEqual(expect.arrayContaining(['/', '/offline', '/css/main.css', '/images/icons/icon-192.png']))
+  })
+
+  test('should leave the test-only mock endpoints out of the site and the precache', async ({ request }) => {
+    const worker = await (await request.get('/sw.js')).text()
+
+    expect(worker).not.toContain('/js/mocks/')
+    expect((await request.get('/js/mocks/enquiry.js')).status()).toBe(404)
+  })
+
+  // ============================================================================
+  // 💱 LIVE DATA TESTS
+  // ============================================================================
+
+  test('should leave the exchange rates out of the precache', async ({ request }) => {
+    const worker = await (await request.get('/sw.js')).text()
+    const precache = worker.match(/const PRECACHE = (\[[^\]]*\])/)[1]
+
+    expect(precache).toContain("'/data/faqs.json'")
+    expect(precache).not.toContain("'/data/fx-rates.json'")
+  })
+
+  test('should fetch the exchange rates from the network first', async ({ page, context }) => {
+    await page.goto('/')
+    await waitForServiceWorker(page)
+
+    const fetchRates = () => page.evaluate(async () => {
+      const response = await fetch('/data/fx-rates.json')
+      return (await response.json()).updated
+    })
+
+    // The service worker keeps a copy of the built rates...
+    expect(await fetchRates()).toBe('2026-10-18T09:00:00+01:00')
+
+    // ...but serves newer rates from the network
+    await context.route('**/data/fx-rates.json', route => route.fulfill({ json: { updated: 'from-network' } }))
+    expect(await fetchRates()).toBe('from-network')
+    await context.unroute('**/data/fx-rates.json')
+
+    // The copy from the last successful fetch, once the network is gone
+    await context.setOffline(true)
+    expect(await fetchRates()).toBe('from-network')
+
+    await context.setOffline(false)
+  })
+
+})
@@ -0,0 +1,132 @@
+// tests/savings-projector.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * Savings Projector Test Suite
+ *
+ * Tests the savings and fixed deposit projector opened from the Investment
+ * Services card, driven by data/savings-rates.json.
+ *
+ * Coverage Areas:
+ * - Card trigger and panel disclosure
+ * - Rates from the rates file
+ * - Compounding and withholding tax
+ * - Chart with a data table fallback
+ */
+
+test.describe('Savings Projector', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/')
+    await page.locator('.service-card', { hasText: 'Investment Services' })
+      .getByRole('button', { name: 'Project savings growth' }).click()
+  })
+
+  const panel = page => page.locator('#savings-projector')
+
+  // ============================================================================
+  // 🏗️ DISCLOSURE TESTS
+  // ============================================================================
+
+  test('should open from the Investment Services card', async ({ page }) => {
+    const trigger = page.locator('.service-card__tool[aria-controls="savings-projector"]')
+
+    await expect(trigger).toHaveAttribute('aria-expanded', 'true')
+    await expect(panel(page)).toBeVisible()
+    await expect(panel(page).locator('#savings-projector-title')).toBeFocused()
+  })
+
+  // ============================================================================
+  // 📈 RATE TESTS
+  // ============================================================================
+
+  test('should fill the rate for the tenor from the rates file', async ({ page }) => {
+    const rate = panel(page).getByLabel('Interest rate')
+
+    await expect(rate).toHaveValue('10')
+    await expect(panel(page).locator('#savings-rate-hint')).toContainText('Our rate for 12 months is 10% per year')
+
+    await panel(page).getByLabel('Tenor').fill('24')
+    await expect(rate).toHaveValue('11.5')
+  })
+
+  test('should keep a rate the visitor typed', async ({ page }) => {
+    const rate = panel(page).getByLabel('Interest rate')
+
+    await rate.fill('9')
+    await panel(page).getByLabel('Tenor').fill('24')
+
+    await expect(rate).toHaveValue('9')
+  })
+
+  test('should take a single deposit for fixed deposits', async ({ page }) => {
+    await panel(page).getByLabel('Plan').selectOption('fixed-deposit')
+
+    await expect(panel(page).getByLabel('Monthly contribution')).toBeDisabled()
+    await expect(panel(page).getByLabel('Interest paid')).toHaveValue('maturity')
+    await expect(panel(page).getByLabel('Interest rate')).toHaveValue('18')
+  })
+
+  // ============================================================================
+  // 🧮 PROJECTION TESTS
+  // ============================================================================
+
+  test('should project savings with monthly contributions after tax', async ({ page }) => {
+    await panel(page).getByRole('button', { name: 'Project growth' }).click()
+
+    await expect(panel(page).locator('[data-result="maturity"]')).toHaveText('₦734,760.00')
+    await expect(panel(page).locator('[data-result="contributions"]')).toHaveText('₦700,000.00')
+    await expect(panel(page).locator('[data-result="interest"]')).toHaveText('₦34,760.00')
+    await expect(panel(page).locator('[data-result="tax"]')).toHaveText('₦3,862.22')
+  })
+
+  test('should project a fixed deposit paid at maturity', async ({ page }) => {
+    await panel(page).getByLabel('Plan').selectOption('fixed-deposit')
+    await panel(page).getByRole('button', { name: 'Project growth' }).click()
+
+    // ₦1,000,000 at 18% for 6 months: ₦90,000 interest less 10% tax
+    await expect(panel(page).locator('[data-result="maturity"]')).toHaveText('₦1,081,000.00')
+    await expect(panel(page).locator('[data-result="tax"]')).toHaveText('₦9,000.00')
+  })
+
+  test('should reject a deposit below the plan minimum', async ({ page }) => {
+    await panel(page).getByLabel('Plan').selectOption('fixed-deposit')
+    await panel(page).getByLabel('Opening deposit').fill('50000')
+    await panel(page).getByRole('button', { name: 'Project growth' }).click()
+
+    await expect(panel(page).getByLabel('Opening deposit')).toBeFocused()
+    await expect(panel(page).locator('#savings-deposit-error'))
+      .toHaveText('Enter a deposit between ₦100,000 and ₦1,000,000,000')
+  })
+
+  // ============================================================================
+  // ♿ CHART ACCESSIBILITY TESTS
+  // ============================================================================
+
+  test('should describe the chart and keep the table available to screen readers', async ({ page }) => {
+    await panel(page).getByRole('button', { name: 'Project growth' }).click()
+
+    const chart = panel(page).getByRole('img', { name: /balance grows from ₦100,000.00 to ₦734,760.00/ })
+    await expect(chart).toBeVisible()
+
+    const table = panel(page).getByRole('table', { name: 'Projected growth' })
+    await expect(table).toBeAttached()
+    await expect(table.locator('tbody tr')).toHaveCount(13)
+    await expect(panel(page).locator('#savings-table')).toHaveClass(/visually-hidden/)
+  })
+
+  test('should show the table on request', async ({ page }) => {
+    await panel(page).getByLabel('Tenor').fill('36')
+    await panel(page).getByRole('button', { name: 'Project growth' }).click()
+
+    const toggle = panel(page).locator('.savings-projector__table-toggle')
+    await toggle.click()
+
+    await expect(toggle).toHaveAttribute('aria-expanded', 'true')
+    await expect(toggle).toHaveText('Hide table')
+    await expect(panel(page).locator('#savings-table')).not.toHaveClass(/visually-hidden/)
+    // Longer tenors are summarised by year
+    await expect(panel(page).locator('#savings-table tbody th')).toHaveText(['Opening', '12', '24', '36'])
+  })
+
+})
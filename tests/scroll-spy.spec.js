@@ -0,0 +1,99 @@
+// tests/scroll-spy.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * Scroll Spy Test Suite
+ *
+ * Tests that the main navigation follows the section in view.
+ *
+ * Coverage Areas:
+ * - aria-current and active class
+ * - URL hash updates without history entries, sparing deep links
+ * - Sticky header offset
+ * - Reduced motion
+ */
+
+test.describe('Scroll Spy', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/')
+  })
+
+  test('should mark Home as current at the top of the page', async ({ page }) => {
+    const home = page.locator('.nav__link[href="#home"]')
+
+    await expect(home).toHaveAttribute('aria-current', 'page')
+    await expect(home).toHaveClass(/nav__link--active/)
+    await expect(page.locator('.nav__link[aria-current]')).toHaveCount(1)
+  })
+
+  test('should move aria-current to the link that was chosen', async ({ page }) => {
+    await page.click('.nav__link[href="#services"]')
+
+    const services = page.locator('.nav__link[href="#services"]')
+    await expect(services).toHaveAttribute('aria-current', 'page')
+    await expect(page.locator('.nav__link[href="#home"]')).not.toHaveAttribute('aria-current', 'page')
+    await expect(page.locator('section#services')).toBeInViewport()
+  })
+
+  test('should follow sections scrolled into view', async ({ page }) => {
+    await page.locator('#about-title').scrollIntoViewIfNeeded()
+
+    await expect(page.locator('.nav__link[href="#about"]')).toHaveAttribute('aria-current', 'page')
+    await expect(page).toHaveURL(/#about$/)
+  })
+
+  test('should update the hash without adding history entries', async ({ page }) => {
+    const historyLength = await page.evaluate(() => history.length)
+
+    await page.click('.nav__link[href="#about"]')
+    await expect(page).toHaveURL(/#about$/)
+    await page.click('.nav__link[href="#contact"]')
+    await expect(page).toHaveURL(/#contact$/)
+
+    expect(await page.evaluate(() => history.length)).toBe(historyLength)
+  })
+
+  test('should leave a deep link in the hash while scrolling', async ({ page }) => {
+    await page.goto('/#faq-block-card')
+    await page.locator('#contact-title').scrollIntoViewIfNeeded()
+    await expect(page.locator('.nav__link[href="#contact"]')).toHaveAttribute('aria-current', 'page')
+    await page.locator('#about-title').scrollIntoViewIfNeeded()
+    await expect(page.locator('.nav__link[href="#about"]')).toHaveAttribute('aria-current', 'page')
+
+    await expect(page).toHaveURL(/#faq-block-card$/)
+
+    await page.click('.nav__link[href="#services"]')
+    await expect(page).toHaveURL(/#services$/)
+  })
+
+  test('should keep section titles clear of the sticky header', async ({ page }) => {
+    await page.click('.nav__link[href="#about"]')
+    await expect(page.locator('.nav__link[href="#about"]')).toHaveAttribute('aria-current', 'page')
+
+    // Wait for the smooth scroll to settle
+    await page.waitForFunction(() => {
+      const start = window.scrollY
+      return new Promise(resolve => setTimeout(() => resolve(window.scrollY === start), 200))
+    })
+
+    const headerBottom = await page.locator('header.header').evaluate(el => el.getBoundingClientRect().bottom)
+    const titleTop = await page.locator('#about-title').evaluate(el => el.getBoundingClientRect().top)
+
+    expect(titleTop).toBeGreaterThanOrEqual(headerBottom - 1)
+  })
+
+  test('should jump without smooth scrolling under reduced motion', async ({ page }) => {
+    await page.emulateMedia({ reducedMotion: 'reduce' })
+    await page.reload()
+
+    await page.click('.nav__link[href="#contact"]')
+    const inView = await page.locator('section#contact').evaluate(el => {
+      const rect = el.getBoundingClientRect()
+      return rect.top < window.innerHeight && rect.bottom > 0
+    })
+
+    expect(inView).toBe(true)
+  })
+
+})
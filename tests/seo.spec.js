@@ -0,0 +1,178 @@
+// tests/seo.spec.js
+const { test, expect } = require('@playwright/test')
+const { execFileSync } = require('node:child_process')
+
+/**
+ * SEO Test Suite
+ *
+ * Tests the sitemap.xml and robots.txt the build writes, the head of every
+ * page in the sitemap, and the audit in scripts/site/seo.mjs that fails the
+ * build.
+ *
+ * Coverage Areas:
+ * - Sitemap routes and lastmod dates
+ * - robots.txt
+ * - Canonical, description and og:image on every route
+ * - Audit of titles, descriptions, og:image and canonicals
+ */
+
+const SITE_URL = 'https://wemabank.com'
+
+/**
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @returns {Promise<{loc: string, lastmod: string}[]>}
+ */
+async function sitemap(request) {
+  const xml = await (await request.get('/sitemap.xml')).text()
+  return Array.from(xml.matchAll(/<url>\s*<loc>([^<]+)<\/loc>\s*<lastmod>([^<]+)<\/lastmod>\s*<\/url>/g),
+    ([, loc, lastmod]) => ({ loc, lastmod }))
+}
+
+/**
+ * A page head for the audit
+ * @param {Object} head
+ * @returns {string}
+ */
+function pageWith({ title = 'Loans - Wema Bank', description = 'Personal and business loans from Wema Bank.', canonical, image = `${SITE_URL}/images/og-image.jpg`, robots }) {
+  return [
+    '<html><head>',
+    `<title>${title}</title>`,
+    robots ? `<meta name="robots" content="${robots}">` : '',
+    `<meta name="description" content="${description}">`,
+    image ? `<meta property="og:image" content="${image}">` : '',
+    canonical ? `<link rel="canonical" href="${canonical}">` : '',
+    '</head><body></body></html>'
+  ].join('')
+}
+
+test.describe('SEO', () => {
+
+  // ============================================================================
+  // 🗺️ SITEMAP TESTS
+  // ============================================================================
+
+  test('should list every indexable route in the sitemap', async ({ request }) => {
+    const response = await request.get('/sitemap.xml')
+    expect(response.headers()['content-type']).toContain('application/xml')
+
+    const locs = (await sitemap(request)).map(entry => entry.loc)
+    expect(locs[0]).toBe(SITE_URL)
+    expect(locs).toEqual(expect.arrayContaining([
+      `${SITE_URL}/loans`,
+      `${SITE_URL}/cards`,
+      `${SITE_URL}/privacy-policy`,
+      `${SITE_URL}/branches/all`,
+      `${SITE_URL}/branches/kano`
+    ]))
+  })
+
+  test('should leave noindex pages and duplicates out of the sitemap', async ({ request }) => {
+    const locs = (await sitemap(request)).map(entry => entry.loc)
+
+    expect(locs).not.toContain(`${SITE_URL}/offline`)
+    // /branches/ defers to /branches/all
+    expect(locs).not.toContain(`${SITE_URL}/branches/`)
+    expect(new Set(locs).size).toBe(locs.length)
+  })
+
+  test('should date every entry', async ({ request }) => {
+    for (const { lastmod } of await sitemap(request)) {
+      expect(lastmod).toMatch(/^\d{4}-\d{2}-\d{2}$/)
+      expect(new Date(lastmod).getTime()).toBeLessThanOrEqual(Date.now())
+    }
+  })
+
+  test('should date every entry no earlier than the templates and data it renders', async ({ request }) => {
+    // Last commit date of the files, as the build reads it
+    const changed = (...files) => execFileSync('git', ['log', '-1', '--format=%cs', '--', ...files], { encoding: 'utf8' }).trim()
+    const shared = changed('src/layouts/page.html', 'src/partials', 'data/organization.json')
+    const entries = await sitemap(request)
+
+    for (const { loc, lastmod } of entries) expect(lastmod >= shared, loc).toBe(true)
+    expect(entries.find(entry => entry.loc === SITE_URL).lastmod >= changed('data/business-hours.json')).toBe(true)
+  })
+
+  test('should point crawlers at the sitemap from robots.txt', async ({ request }) => {
+    const robots = await (await request.get('/robots.txt')).text()
+
+    expect(robots).toContain('User-agent: *')
+    expect(robots).toContain(`Sitemap: ${SITE_URL}/sitemap.xml`)
+    expect(robots).toContain('Disallow: /api/')
+    expect(robots).not.toMatch(/^Disallow: \/$/m)
+  })
+
+  // ============================================================================
+  // 🏷️ PAGE HEAD TESTS
+  // ============================================================================
+
+  test('should give every route in the sitemap its own canonical, description and og:image', async ({ request }) => {
+    const titles = new Set()
+
+    for (const { loc } of await sitemap(request)) {
+      const html = await (await request.get(loc.replace(SITE_URL, '') || '/')).text()
+
+      expect(html, loc).toContain(`<link rel="canonical" href="${loc}">`)
+      expect(html, loc).toMatch(/<meta property="og:image" content="https:\/\/[^"]+">/)
+
+      const description = html.match(/<meta name="description"[^>]* content="([^"]*)">/)[1]
+      expect(description.length, loc).toBeLessThanOrEqual(155)
+
+      const title = html.match(/<title[^>]*>([^<]*)<\/title>/)[1]
+      expect(titles.has(title), `${loc} repeats "${title}"`).toBe(false)
+      titles.add(title)
+    }
+  })
+
+  // ============================================================================
+  // 🔎 AUDIT TESTS
+  // ============================================================================
+
+  test('should pass pages with complete heads', async () => {
+    const { auditPages } = await import('../scripts/site/seo.mjs')
+
+    const pages = new Map([
+      ['/loans', pageWith({ canonical: `${SITE_URL}/loans` })],
+      ['/offline', pageWith({ title: 'Offline', description: '', image: '', robots: 'noindex' })]
+    ])
+
+    expect(auditPages(pages, { siteUrl: SITE_URL })).toEqual([])
+  })
+
+  test('should report repeated titles and descriptions, and long descriptions', async () => {
+    const { auditPages } = await import('../scripts/site/seo.mjs')
+
+    const pages = new Map([
+      ['/loans', pageWith({ canonical: `${SITE_URL}/loans` })],
+      ['/cards', pageWith({ canonical: `${SITE_URL}/cards` })],
+      ['/investment', pageWith({ title: 'Investment', description: 'x'.repeat(156), canonical: `${SITE_URL}/investment` })]
+    ])
+
+    expect(auditPages(pages, { siteUrl: SITE_URL })).toEqual([
+      { source: '/investment', problem: 'has a 156 character description, over the 155 that search results show' },
+      { source: '/cards', problem: 'repeats the title of /loans' },
+      { source: '/cards', problem: 'repeats the description of /loans' }
+    ])
+  })
+
+  test('should report a missing og:image and broken canonicals', async () => {
+    const { auditPages } = await import('../scripts/site/seo.mjs')
+
+    const pages = new Map([
+      ['/loans', pageWith({ title: 'Loans', description: 'Loans.', image: '', canonical: `${SITE_URL}/loans` })],
+      ['/cards', pageWith({ title: 'Cards', description: 'Cards.', canonical: `${SITE_URL}/credit-cards` })],
+      ['/security', pageWith({ title: 'Security', description: 'Security.' })],
+      ['/offline', pageWith({ title: 'Offline', description: 'Offline.', robots: 'noindex', canonical: `${SITE_URL}/offline` })],
+      ['/help', pageWith({ title: 'Help', description: 'Help.', canonical: `${SITE_URL}/offline` })],
+      ['/about', pageWith({ title: 'About', description: 'About.', canonical: 'https://example.com/about' })]
+    ])
+
+    expect(auditPages(pages, { siteUrl: SITE_URL })).toEqual([
+      { source: '/loans', problem: 'has no og:image' },
+      { source: '/cards', problem: `has a canonical link to a page that does not exist: ${SITE_URL}/credit-cards` },
+      { source: '/security', problem: 'has 0 canonical links instead of one' },
+      { source: '/help', problem: `has a canonical link to a page kept out of search results: ${SITE_URL}/offline` },
+      { source: '/about', problem: 'has a canonical link off the site: https://example.com/about' }
+    ])
+  })
+
+})
@@ -0,0 +1,147 @@
+// tests/server.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * Static Server Test Suite
+ *
+ * Tests the headers and routing of scripts/serve.mjs, which the test run
+ * serves the built site with.
+ *
+ * Coverage Areas:
+ * - Security headers on pages, assets and errors
+ * - Brotli and gzip compression
+ * - ETags and conditional requests
+ * - Cache-Control per asset type
+ * - Client routes and the 404 page for paths without a file of their own
+ */
+
+test.describe('Static Server', () => {
+
+  // ============================================================================
+  // 🛡️ SECURITY HEADER TESTS
+  // ============================================================================
+
+  test('should send the security headers with every response', async ({ request }) => {
+    for (const url of ['/', '/css/main.css', '/missing.css']) {
+      const headers = (await request.get(url)).headers()
+
+      expect(headers['content-security-policy'], url).toContain("default-src 'self'")
+      expect(headers['content-security-policy'], url).toContain("frame-ancestors 'none'")
+      expect(headers['strict-transport-security'], url).toMatch(/max-age=\d{8,}; includeSubDomains/)
+      expect(headers['x-content-type-options'], url).toBe('nosniff')
+      expect(headers['referrer-policy'], url).toBe('strict-origin-when-cross-origin')
+      expect(headers['permissions-policy'], url).toContain('camera=()')
+    }
+  })
+
+  test('should load the home page without breaking the policy', async ({ page }) => {
+    const violations = []
+    page.on('console', message => {
+      if (message.type() === 'error') violations.push(message.text())
+    })
+
+    await page.goto('/')
+    await expect(page.locator('.service-card')).toHaveCount(4)
+
+    expect(violations).toEqual([])
+  })
+
+  // ============================================================================
+  // 🗜️ COMPRESSION TESTS
+  // ============================================================================
+
+  test('should compress text with the encoding the browser prefers', async ({ request }) => {
+    const brotli = await request.get('/', { headers: { 'Accept-Encoding': 'gzip, br' } })
+    expect(brotli.headers()['content-encoding']).toBe('br')
+    expect(brotli.headers()['vary']).toBe('Accept-Encoding')
+    expect(await brotli.text()).toContain('<h1')
+
+    const gzip = await request.get('/', { headers: { 'Accept-Encoding': 'gzip, br;q=0' } })
+    expect(gzip.headers()['content-encoding']).toBe('gzip')
+
+    const identity = await request.get('/', { headers: { 'Accept-Encoding': 'identity' } })
+    expect(identity.headers()['content-encoding']).toBeUndefined()
+  })
+
+  test('should not compress images that are compressed already', async ({ request }) => {
+    const response = await request.get('/images/icons/icon-192.png', { headers: { 'Accept-Encoding': 'br, gzip' } })
+
+    expect(response.headers()['content-type']).toBe('image/png')
+    expect(response.headers()['content-encoding']).toBeUndefined()
+  })
+
+  // ============================================================================
+  // 🏷️ ETAG TESTS
+  // ============================================================================
+
+  test('should answer a matching ETag with 304 Not Modified', async ({ request }) => {
+    const headers = { 'Accept-Encoding': 'gzip' }
+    const first = await request.get('/css/main.css', { headers })
+    const etag = first.headers()['etag']
+    expect(etag).toMatch(/^"[\w-]+"$/)
+
+    const second = await request.get('/css/main.css', { headers: { ...headers, 'If-None-Match': etag } })
+    expect(second.status()).toBe(304)
+
+    // Each encoding is a different representation
+    const other = await request.get('/css/main.css', { headers: { 'Accept-Encoding': 'br', 'If-None-Match': etag } })
+    expect(other.status()).toBe(200)
+  })
+
+  // ============================================================================
+  // 🗄️ CACHE-CONTROL TESTS
+  // ============================================================================
+
+  test('should set Cache-Control by asset type', async ({ request }) => {
+    const cacheControl = async url => (await request.get(url)).headers()['cache-control']
+
+    expect(await cacheControl('/')).toBe('no-cache')
+    expect(await cacheControl('/loans')).toBe('no-cache')
+    expect(await cacheControl('/sw.js')).toBe('no-cache')
+    expect(await cacheControl('/css/main.css')).toMatch(/max-age=\d+, must-revalidate/)
+    expect(await cacheControl('/js/main.js')).toMatch(/max-age=\d+, must-revalidate/)
+    expect(await cacheControl('/data/services.json')).toMatch(/max-age=\d+, must-revalidate/)
+    expect(await cacheControl('/images/icons/icon.svg')).toMatch(/max-age=\d{7,}/)
+  })
+
+  test('should serve the manifest with its own content type', async ({ request }) => {
+    const response = await request.get('/manifest.webmanifest')
+
+    expect(response.headers()['content-type']).toContain('application/manifest+json')
+  })
+
+  // ============================================================================
+  // 🧭 ROUTING TESTS
+  // ============================================================================
+
+  test('should serve pages with and without a trailing slash', async ({ request }) => {
+    for (const url of ['/security', '/security/']) {
+      const response = await request.get(url, { maxRedirects: 0 })
+      expect(response.status(), url).toBe(200)
+      expect(await response.text(), url).toContain('<title>Security - Wema Bank</title>')
+    }
+  })
+
+  test('should serve the branch finder for unknown cities', async ({ page }) => {
+    const response = await page.goto('/branches/atlantis')
+
+    expect(response.status()).toBe(200)
+    await expect(page.locator('h1')).toHaveText('Find a Branch')
+  })
+
+  test('should answer other unknown paths with the 404 page', async ({ request }) => {
+    for (const url of ['/no-such-page', '/loans/atlantis', '/js/missing.js']) {
+      const response = await request.get(url)
+
+      expect(response.status(), url).toBe(404)
+      expect(response.headers()['cache-control'], url).toBe('no-cache')
+      expect(response.headers().etag, url).toBeUndefined()
+      expect(await response.text(), url).toContain('<title>Page Not Found - Wema Bank</title>')
+    }
+  })
+
+  test('should refuse methods other than GET and HEAD', async ({ request }) => {
+    expect((await request.post('/')).status()).toBe(405)
+  })
+
+})
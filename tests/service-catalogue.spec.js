@@ -0,0 +1,128 @@
+// tests/service-catalogue.spec.js
+const { test, expect } = require('@playwright/test')
+const catalogue = require('../data/services.json')
+
+/**
+ * Service Catalogue Test Suite
+ *
+ * Tests that the `.services__grid` cards are built from data/services.json
+ * by scripts/site/services.mjs.
+ *
+ * Coverage Areas:
+ * - Cards in the served page, without JavaScript
+ * - Cards rendered from catalogue entries
+ * - Published and new flags
+ * - Tool buttons on cards
+ */
+
+const published = catalogue.services.filter(service => service.flags.published)
+
+const cards = {
+  slug: 'cards',
+  title: 'Cards',
+  description: 'Debit, credit and prepaid cards for everyday spending.',
+  icon: '/images/icons/cards.svg',
+  category: 'personal',
+  cta: { label: 'Explore cards', href: '/cards' },
+  flags: { published: true, new: true },
+  tools: []
+}
+
+/**
+ * Show the cards the build renders for a catalogue
+ * @param {import('@playwright/test').Page} page
+ * @param {Object[]} services
+ * @param {string} [body] - The rest of the page, for its tool panels
+ */
+async function showCatalogue(page, services, body = '') {
+  const { renderServiceCards } = await import('../scripts/site/services.mjs')
+  await page.setContent(`<div class="services__grid">${renderServiceCards({ services }, body)}</div>${body}`)
+}
+
+test.describe('Service Catalogue', () => {
+
+  // ============================================================================
+  // 🌐 SERVED PAGE TESTS
+  // ============================================================================
+
+  test.describe('without JavaScript', () => {
+    test.use({ javaScriptEnabled: false })
+
+    test('should serve every published card in the page', async ({ page }) => {
+      await page.goto('/')
+
+      await expect(page.locator('.services__grid .service-card')).toHaveCount(published.length)
+      await expect(page.locator('.service-card__title')).toHaveText(published.map(service => service.title))
+      await expect(page.locator('.service-card__tool')).toHaveCount(3)
+      await expect(page.locator('.service-card__tool')).toBeHidden()
+    })
+  })
+
+  test('should show the tool buttons once their tools start', async ({ page }) => {
+    await page.goto('/')
+
+    await expect(page.locator('#service-personal-banking .service-card__tool'))
+      .toHaveAttribute('aria-controls', 'loan-calculator')
+    await expect(page.locator('#service-personal-banking .service-card__tool')).toBeVisible()
+    await expect(page.locator('#service-investment .service-card__tool'))
+      .toHaveAttribute('aria-controls', 'savings-projector')
+    await expect(page.locator('#service-digital-banking .service-card__tool')).toHaveCount(0)
+  })
+
+  // ============================================================================
+  // 🏗️ RENDERING TESTS
+  // ============================================================================
+
+  test('should add a card for a new catalogue entry', async ({ page }) => {
+    await showCatalogue(page, [...catalogue.services, cards])
+
+    const card = page.locator('#service-cards')
+    await expect(page.locator('.service-card')).toHaveCount(published.length + 1)
+    await expect(card.locator('h3.service-card__title')).toHaveText('Cards')
+    await expect(card.locator('.service-card__badge')).toHaveText('New')
+    await expect(card.getByRole('link', { name: 'Explore cards' })).toHaveAttribute('href', '/cards')
+    await expect(card.locator('.service-card__icon')).toHaveAttribute('aria-hidden', 'true')
+    await expect(card).toHaveAttribute('data-category', 'personal')
+  })
+
+  test('should leave out unpublished entries', async ({ page }) => {
+    await showCatalogue(page, [...catalogue.services, { ...cards, flags: { published: false } }])
+
+    await expect(page.locator('.service-card')).toHaveCount(published.length)
+    await expect(page.locator('#service-cards')).toHaveCount(0)
+  })
+
+  test('should skip links that are not same-site or https', async ({ page }) => {
+    await showCatalogue(page, [{ ...cards, cta: { label: 'Explore cards', href: 'javascript:alert(1)' } }])
+
+    await expect(page.locator('#service-cards')).toBeVisible()
+    await expect(page.locator('#service-cards a')).toHaveCount(0)
+  })
+
+  test('should escape catalogue text', async ({ page }) => {
+    await showCatalogue(page, [{ ...cards, title: 'Cards <script>alert(1)</script>' }])
+
+    await expect(page.locator('#service-cards h3')).toHaveText('Cards <script>alert(1)</script>')
+    await expect(page.locator('#service-cards script')).toHaveCount(0)
+  })
+
+  // ============================================================================
+  // 🧮 TOOL TESTS
+  // ============================================================================
+
+  test('should only add tool buttons for panels on the page', async ({ page }) => {
+    const tools = [
+      { panel: 'loan-calculator', product: 'personal', label: 'Estimate loan repayments' },
+      { panel: 'savings-projector', product: 'target-savings', label: 'Project savings growth' }
+    ]
+    await showCatalogue(page, [{ ...cards, tools }], '<section id="loan-calculator" hidden></section>')
+
+    const trigger = page.locator('#service-cards .service-card__tool')
+    await expect(trigger).toHaveCount(1)
+    await expect(trigger).toHaveAttribute('aria-controls', 'loan-calculator')
+    await expect(trigger).toHaveAttribute('data-product', 'personal')
+    await expect(trigger).toHaveAttribute('aria-expanded', 'false')
+    await expect(trigger).toBeHidden()
+  })
+
+})
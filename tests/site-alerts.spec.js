@@ -0,0 +1,223 @@
+// tests/site-alerts.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * Site Alerts Test Suite
+ *
+ * Tests the `.site-alerts` banners above the header, served from a routed
+ * copy of data/alerts.json at a fixed time.
+ *
+ * Coverage Areas:
+ * - Placement between the skip link and the header
+ * - Roles by severity
+ * - Start and end times in Lagos time
+ * - Target pages
+ * - Dismissals remembered per alert
+ */
+
+const ALERTS = [
+  {
+    id: 'never-share-pin',
+    severity: 'warning',
+    message: 'Wema Bank will never ask for your PIN.',
+    link: { label: 'How to stay safe', href: '/security' },
+    starts: '2026-01-01T00:00',
+    pages: ['*'],
+    dismissible: true
+  },
+  {
+    id: 'alat-maintenance',
+    severity: 'info',
+    message: 'ALAT maintenance Sunday 2:00 AM to 4:00 AM.',
+    starts: '2026-10-18T00:00',
+    ends: '2026-10-25T04:00',
+    pages: ['/', '/digital-banking'],
+    dismissible: true
+  },
+  {
+    id: 'transfers-down',
+    severity: 'critical',
+    message: 'Transfers to other banks are delayed.',
+    starts: '2026-10-20T08:00',
+    ends: '2026-10-20T12:00',
+    pages: ['/'],
+    dismissible: false
+  },
+  {
+    id: 'branch-closures',
+    severity: 'info',
+    message: 'Some branches close early on Friday.',
+    starts: '2026-10-19T00:00',
+    ends: '2026-10-24T00:00',
+    pages: ['/branches/*'],
+    dismissible: true
+  },
+  {
+    id: 'last-year',
+    severity: 'warning',
+    message: 'An old notice.',
+    starts: '2025-01-01T00:00',
+    ends: '2025-02-01T00:00',
+    pages: ['*'],
+    dismissible: true
+  }
+]
+
+// 9:00 AM in Lagos, which is an hour ahead of UTC all year
+const TUESDAY_MORNING = new Date('2026-10-20T08:00:00Z')
+
+/**
+ * Serve the test alerts and stop the clock
+ * @param {import('@playwright/test').Page} page
+ * @param {Date} [time]
+ */
+async function setUp(page, time = TUESDAY_MORNING) {
+  await page.clock.setFixedTime(time)
+  await page.route('**/data/alerts.json', route => route.fulfill({ json: { alerts: ALERTS } }))
+}
+
+const banners = page => page.locator('.site-alerts .alert-banner')
+const banner = (page, id) => page.locator(`.alert-banner[data-alert-id="${id}"]`)
+
+/**
+ * IDs of the banners shown, in page order
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<string[]>}
+ */
+const shownIds = page => banners(page).evaluateAll(elements => elements.map(element => element.dataset.alertId))
+
+test.describe('Site Alerts', () => {
+
+  // ============================================================================
+  // 🏗️ PLACEMENT TESTS
+  // ============================================================================
+
+  test('should show the current alerts above the header', async ({ page }) => {
+    await setUp(page)
+    await page.goto('/')
+
+    await expect(banners(page)).toHaveCount(3)
+
+    const order = await page.evaluate(() => {
+      const alerts = document.querySelector('.site-alerts')
+      const follows = (a, b) => Boolean(a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING)
+      return {
+        afterSkipLink: follows(document.querySelector('.skip-link'), alerts),
+        beforeHeader: follows(alerts, document.querySelector('header.header'))
+      }
+    })
+    expect(order).toEqual({ afterSkipLink: true, beforeHeader: true })
+  })
+
+  test('should keep the skip link first in the tab order', async ({ page }) => {
+    await setUp(page)
+    await page.goto('/')
+    await expect(banners(page)).toHaveCount(3)
+
+    await page.keyboard.press('Tab')
+    await expect(page.locator('a.skip-link')).toBeFocused()
+
+    await page.keyboard.press('Enter')
+    await expect(page).toHaveURL(/#main$/)
+  })
+
+  test('should hide the container when nothing is current', async ({ page }) => {
+    await setUp(page, new Date('2024-06-01T12:00:00Z'))
+    await page.goto('/')
+
+    await expect(page.locator('.site-alerts')).toBeHidden()
+    await expect(banners(page)).toHaveCount(0)
+  })
+
+  // ============================================================================
+  // 📢 SEVERITY TESTS
+  // ============================================================================
+
+  test('should announce critical alerts at once and the rest politely', async ({ page }) => {
+    await setUp(page)
+    await page.goto('/')
+
+    // Most severe first
+    await expect.poll(() => shownIds(page)).toEqual(['transfers-down', 'never-share-pin', 'alat-maintenance'])
+    await expect(banner(page, 'transfers-down')).toHaveAttribute('role', 'alert')
+    await expect(banner(page, 'never-share-pin')).toHaveAttribute('role', 'status')
+    await expect(banner(page, 'alat-maintenance')).toHaveAttribute('role', 'status')
+    await expect(banner(page, 'never-share-pin').getByRole('link', { name: 'How to stay safe' })).toHaveAttribute('href', '/security')
+  })
+
+  // ============================================================================
+  // 🕒 SCHEDULE TESTS
+  // ============================================================================
+
+  test('should start and end alerts on Lagos time', async ({ page }) => {
+    // 3:59 AM on Sunday in Lagos, a minute before the maintenance notice ends
+    await setUp(page, new Date('2026-10-25T02:59:00Z'))
+    await page.goto('/')
+    await expect(banner(page, 'alat-maintenance')).toBeVisible()
+
+    await page.clock.setFixedTime(new Date('2026-10-25T03:00:00Z'))
+    await page.reload()
+    await expect(banner(page, 'never-share-pin')).toBeVisible()
+    await expect(banner(page, 'alat-maintenance')).toHaveCount(0)
+
+    // 6:59 AM UTC is 7:59 AM in Lagos, a minute before the critical alert starts
+    await page.clock.setFixedTime(new Date('2026-10-20T06:59:00Z'))
+    await page.reload()
+    await expect(banner(page, 'never-share-pin')).toBeVisible()
+    await expect(banner(page, 'transfers-down')).toHaveCount(0)
+  })
+
+  // ============================================================================
+  // 🎯 TARGETING TESTS
+  // ============================================================================
+
+  test('should show alerts only on the pages they target', async ({ page }) => {
+    await setUp(page)
+
+    await page.goto('/security')
+    await expect.poll(() => shownIds(page)).toEqual(['never-share-pin'])
+
+    await page.goto('/digital-banking/')
+    await expect.poll(() => shownIds(page)).toEqual(['never-share-pin', 'alat-maintenance'])
+
+    await page.goto('/branches/kano')
+    await expect.poll(() => shownIds(page)).toEqual(['never-share-pin', 'branch-closures'])
+  })
+
+  // ============================================================================
+  // ✖️ DISMISSAL TESTS
+  // ============================================================================
+
+  test('should remember dismissed alerts by ID', async ({ page }) => {
+    await setUp(page)
+    await page.goto('/')
+
+    await banner(page, 'never-share-pin').getByRole('button', { name: 'Dismiss alert' }).click()
+    await expect(banner(page, 'never-share-pin')).toHaveCount(0)
+    await expect(banner(page, 'alat-maintenance').getByRole('button')).toBeFocused()
+
+    await page.reload()
+    await expect.poll(() => shownIds(page)).toEqual(['transfers-down', 'alat-maintenance'])
+
+    const stored = await page.evaluate(() => JSON.parse(localStorage.getItem('wema:dismissed-alerts')))
+    expect(stored).toEqual(['never-share-pin'])
+  })
+
+  test('should not offer to dismiss alerts that must stay', async ({ page }) => {
+    await setUp(page)
+    await page.goto('/')
+
+    await expect(banner(page, 'transfers-down').getByRole('button')).toHaveCount(0)
+  })
+
+  test('should return focus to the header after the last alert is dismissed', async ({ page }) => {
+    await setUp(page)
+    await page.goto('/security')
+
+    await banner(page, 'never-share-pin').getByRole('button', { name: 'Dismiss alert' }).click()
+
+    await expect(page.locator('.site-alerts')).toBeHidden()
+    await expect(page.locator('header.header a').first()).toBeFocused()
+  })
+
+})
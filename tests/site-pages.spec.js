@@ -0,0 +1,154 @@
+// tests/site-pages.spec.js
+const { test, expect } = require('@playwright/test')
+const { products } = require('../data/loan-products.json')
+const { phone } = require('../data/organization.json')
+
+/**
+ * Site Pages Test Suite
+ *
+ * Tests the pages generated by scripts/build.mjs from src/pages, and the
+ * build's internal link check.
+ *
+ * Coverage Areas:
+ * - Every footer route is served
+ * - Per-page title, description, canonical and Open Graph tags
+ * - Shared skip link, header and footer
+ * - Loan limits quoted from the calculator's product data
+ * - Customer care number quoted from the organization data
+ * - Broken internal links fail the build
+ */
+
+const FOOTER_ROUTES = [
+  '/personal-banking',
+  '/business-banking',
+  '/digital-banking',
+  '/loans',
+  '/cards',
+  '/investment',
+  '/privacy-policy',
+  '/terms-of-use',
+  '/security',
+  '/accessibility'
+]
+
+test.describe('Site Pages', () => {
+
+  // ============================================================================
+  // 🗺️ ROUTE TESTS
+  // ============================================================================
+
+  test('should link only to routes that are served', async ({ page, request }) => {
+    await page.goto('/')
+
+    const hrefs = await page.locator('footer a[href^="/"]').evaluateAll(links => links.map(link => link.getAttribute('href')))
+    expect(hrefs).toEqual(expect.arrayContaining(FOOTER_ROUTES))
+
+    for (const href of new Set(hrefs)) {
+      const response = await request.get(href)
+      expect(response.status(), href).toBe(200)
+    }
+  })
+
+  for (const route of FOOTER_ROUTES) {
+    test(`should render ${route} with its own meta tags`, async ({ page }) => {
+      const response = await page.goto(route)
+      expect(response.status()).toBe(200)
+
+      const title = await page.title()
+      expect(title).toMatch(/ - Wema Bank$/)
+      await expect(page.locator('h1')).toHaveCount(1)
+
+      const description = await page.locator('meta[name="description"]').getAttribute('content')
+      expect(description.length).toBeGreaterThan(50)
+      expect(description.length).toBeLessThan(160)
+
+      await expect(page.locator('link[rel="canonical"]')).toHaveAttribute('href', `https://wemabank.com${route}`)
+      await expect(page.locator('meta[property="og:url"]')).toHaveAttribute('content', `https://wemabank.com${route}`)
+      await expect(page.locator('meta[property="og:title"]')).toHaveAttribute('content', title)
+      await expect(page.locator('meta[property="og:description"]')).toHaveAttribute('content', description)
+    })
+  }
+
+  test('should give every page a different title', async ({ page }) => {
+    const titles = new Set()
+
+    for (const route of ['/', '/branches/', ...FOOTER_ROUTES]) {
+      await page.goto(route)
+      titles.add(await page.title())
+    }
+
+    expect(titles.size).toBe(FOOTER_ROUTES.length + 2)
+  })
+
+  test('should quote the loan limits the calculator uses', async ({ request }) => {
+    const personal = products.find(product => product.id === 'personal')
+    const millions = `₦${personal.maxAmount / 1000000} million`
+
+    const loans = await (await request.get('/loans')).text()
+    expect(loans).toContain(`up to ${millions}, repaid over ${personal.minTenor} to ${personal.maxTenor} months`)
+
+    const personalBanking = await (await request.get('/personal-banking')).text()
+    expect(personalBanking).toContain(`over up to ${personal.maxTenor} months`)
+  })
+
+  test('should quote the customer care number from the organization data', async ({ request }) => {
+    const link = `<a href="tel:${phone.number}" class="page__link">${phone.display}</a>`
+
+    for (const url of ['/security', '/cards', '/offline']) {
+      expect(await (await request.get(url)).text(), url).toContain(link)
+    }
+  })
+
+  // ============================================================================
+  // 🧩 SHARED PARTIAL TESTS
+  // ============================================================================
+
+  test('should share the skip link, header and footer', async ({ page }) => {
+    await page.goto('/security')
+
+    await expect(page.locator('a.skip-link')).toHaveAttribute('href', '#main')
+    await expect(page.locator('main#main')).toBeAttached()
+    await expect(page.locator('header nav a')).toHaveCount(4)
+    await expect(page.locator('header nav a').first()).toHaveAttribute('href', '/#home')
+    await expect(page.locator('header nav a[aria-current]')).toHaveCount(0)
+    await expect(page.locator('footer .footer__column')).toHaveCount(4)
+    await expect(page.locator('footer form.newsletter-form')).toBeAttached()
+  })
+
+  test('should keep in-page header links on the home page', async ({ page }) => {
+    await page.goto('/')
+
+    await expect(page.locator('header nav a').first()).toHaveAttribute('href', '#home')
+    await expect(page.locator('header nav a').first()).toHaveAttribute('aria-current', 'page')
+  })
+
+  test('should serve a page for each branch city', async ({ page }) => {
+    await page.goto('/branches/kano')
+
+    await expect(page).toHaveTitle('Kano Branches - Wema Bank')
+    await expect(page.locator('link[rel="canonical"]')).toHaveAttribute('href', 'https://wemabank.com/branches/kano')
+  })
+
+  // ============================================================================
+  // 🔗 LINK CHECK TESTS
+  // ============================================================================
+
+  test('should report links to missing pages and missing sections', async () => {
+    const { findBrokenLinks } = await import('../scripts/site/links.mjs')
+
+    const pages = new Map([
+      ['/', '<main id="main"><a href="/loans">Loans</a> <a href="/cards">Cards</a></main>'],
+      ['/loans', '<a href="/#contact">Contact</a> <a href="https://example.com/">Elsewhere</a> <a href="tel:+2348039003700">Call</a>']
+    ])
+    const broken = findBrokenLinks(pages, {
+      siteUrl: 'https://wemabank.com',
+      extraLinks: [{ source: 'data/services.json', href: '/loans/' }]
+    })
+
+    expect(broken).toEqual([
+      { source: '/', href: '/cards', reason: 'no page at this path' },
+      { source: '/loans', href: '/#contact', reason: 'no element with id "contact"' }
+    ])
+  })
+
+})
@@ -0,0 +1,146 @@
+// tests/site-search.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * Site Search Test Suite
+ *
+ * Tests the header `.site-search` combobox and the index the build writes
+ * to data/search-index.json.
+ *
+ * Coverage Areas:
+ * - Combobox markup
+ * - Prefix and typo-tolerant matching
+ * - Highlighted snippets
+ * - Keyboard navigation and the "/" shortcut
+ * - The prebuilt index
+ */
+
+test.describe('Site Search', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/')
+  })
+
+  const input = page => page.getByRole('combobox', { name: 'Search the site' })
+  const options = page => page.locator('#site-search-results [role="option"]')
+
+  // ============================================================================
+  // 🏗️ STRUCTURE TESTS
+  // ============================================================================
+
+  test('should render a combobox in a search landmark', async ({ page }) => {
+    await expect(page.locator('header [role="search"] .site-search__input')).toBeVisible()
+    await expect(input(page)).toHaveAttribute('aria-controls', 'site-search-results')
+    await expect(input(page)).toHaveAttribute('aria-autocomplete', 'list')
+    await expect(input(page)).toHaveAttribute('aria-expanded', 'false')
+    await expect(input(page)).toHaveAttribute('aria-keyshortcuts', '/')
+    await expect(page.locator('#site-search-results')).toHaveAttribute('role', 'listbox')
+  })
+
+  // ============================================================================
+  // 🔍 MATCHING TESTS
+  // ============================================================================
+
+  test('should find an account mentioned on a footer page', async ({ page }) => {
+    await input(page).fill('domiciliary account')
+
+    await expect(input(page)).toHaveAttribute('aria-expanded', 'true')
+    await expect(options(page).first().locator('.site-search__title')).toHaveText('Personal Banking')
+    await expect(options(page).first().locator('.site-search__snippet mark').first()).toHaveText('Domiciliary')
+  })
+
+  test('should forgive typos and unfinished words', async ({ page }) => {
+    await input(page).fill('kano brnch')
+    await expect(options(page).first().locator('.site-search__title')).toHaveText('Kano branches')
+
+    await input(page).fill('accessibilty')
+    await expect(options(page).first().locator('.site-search__title')).toHaveText('Accessibility')
+
+    await input(page).fill('invest')
+    await expect(options(page).first().locator('.site-search__title mark')).toHaveText('Investment')
+  })
+
+  test('should say when nothing matches', async ({ page }) => {
+    await input(page).fill('xyzzy')
+
+    await expect(options(page)).toHaveCount(0)
+    await expect(input(page)).toHaveAttribute('aria-expanded', 'false')
+    await expect(page.locator('.site-search__status')).toHaveText('No results for “xyzzy”')
+  })
+
+  // ============================================================================
+  // ⌨️ KEYBOARD TESTS
+  // ============================================================================
+
+  test('should move through results with the arrow keys and open one with Enter', async ({ page }) => {
+    await input(page).fill('kano branch')
+    await expect(options(page).first()).toBeVisible()
+
+    await input(page).press('ArrowDown')
+    await expect(input(page)).toHaveAttribute('aria-activedescendant', 'site-search-option-0')
+    await expect(options(page).first()).toHaveAttribute('aria-selected', 'true')
+
+    await input(page).press('ArrowDown')
+    await input(page).press('ArrowUp')
+    await expect(input(page)).toHaveAttribute('aria-activedescendant', 'site-search-option-0')
+    await expect(input(page)).toBeFocused()
+
+    await input(page).press('Enter')
+    await expect(page).toHaveURL(/\/branches\/kano$/)
+  })
+
+  test('should close the list and then clear the input with Escape', async ({ page }) => {
+    await input(page).fill('loans')
+    await expect(options(page).first()).toBeVisible()
+
+    await input(page).press('Escape')
+    await expect(page.locator('#site-search-results')).toBeHidden()
+    await expect(input(page)).toHaveValue('loans')
+
+    await input(page).press('Escape')
+    await expect(input(page)).toHaveValue('')
+  })
+
+  test('should open a result when it is clicked', async ({ page }) => {
+    await input(page).fill('security')
+    await options(page).filter({ has: page.locator('.site-search__title', { hasText: /^Security$/ }) }).click()
+
+    await expect(page).toHaveURL(/\/security$/)
+  })
+
+  test('should jump to the search box with "/"', async ({ page }) => {
+    await page.locator('body').press('/')
+    await expect(input(page)).toBeFocused()
+    await expect(input(page)).toHaveValue('')
+
+    // Typing a slash in another field is left alone
+    const message = page.locator('#contact form.enquiry-form').getByLabel('Message')
+    await message.fill('a/b')
+    await expect(message).toBeFocused()
+    await message.press('/')
+    await expect(message).toHaveValue('a/b/')
+  })
+
+})
+
+test.describe('Site Search Index', () => {
+
+  test('should serve an index built from services, pages and branches', async ({ request }) => {
+    const index = await (await request.get('/data/search-index.json')).json()
+
+    const types = new Set(index.documents.map(document => document.type))
+    expect([...types]).toEqual(expect.arrayContaining(['service', 'page', 'branch']))
+    expect(index.documents.map(document => document.url)).toEqual(expect.arrayContaining(['/loans', '/branches/kano']))
+    expect(index.terms.domiciliary).toBeDefined()
+  })
+
+  test('should weight title words above body words', async ({ request }) => {
+    const { documents, terms } = await (await request.get('/data/search-index.json')).json()
+    const weightIn = (term, url) => terms[term].find(([doc]) => documents[doc].url === url)[1]
+
+    // "Cards" is the title of /cards, and only mentioned on /personal-banking
+    expect(weightIn('cards', '/cards')).toBeGreaterThan(weightIn('cards', '/personal-banking'))
+    expect(terms.the).toBeUndefined()
+  })
+
+})
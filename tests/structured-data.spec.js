@@ -0,0 +1,156 @@
+// tests/structured-data.spec.js
+const { test, expect } = require('@playwright/test')
+const branchData = require('../data/branches.json')
+
+/**
+ * Structured Data Test Suite
+ *
+ * Tests the schema.org JSON-LD in the page head against the contact details
+ * visitors see: the bank's BankOrCreditUnion entry on every page, and a
+ * LocalBusiness entry per branch on the branch finder pages.
+ *
+ * Coverage Areas:
+ * - Phone, email and head office address in the contact section and footer
+ * - Opening hours
+ * - Social profiles
+ * - Branch entries per city
+ */
+
+/**
+ * Every JSON-LD block on the current page
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<Object[]>}
+ */
+const structuredData = page => page.locator('script[type="application/ld+json"]')
+  .evaluateAll(scripts => scripts.map(script => JSON.parse(script.textContent)))
+
+/**
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<Object>} The bank's own entry
+ */
+async function bank(page) {
+  return (await structuredData(page)).find(schema => schema['@type'] === 'BankOrCreditUnion')
+}
+
+/**
+ * Collapse the white space in rendered text
+ * @param {string} text
+ * @returns {string}
+ */
+const squash = text => text.replace(/\s+/g, ' ').trim()
+
+test.describe('Structured Data', () => {
+
+  // ============================================================================
+  // 🏦 ORGANIZATION TESTS
+  // ============================================================================
+
+  test('should describe the bank on every page', async ({ page }) => {
+    for (const route of ['/', '/security', '/branches/kano']) {
+      await page.goto(route)
+      const schema = await bank(page)
+
+      expect(schema['@context']).toBe('https://schema.org')
+      expect(schema.name).toBe('Wema Bank')
+      expect(schema.url).toBe('https://wemabank.com')
+      expect(schema.logo).toBe('https://wemabank.com/images/wema-bank-logo.svg')
+    }
+  })
+
+  test('should match the phone number and email in the contact section', async ({ page }) => {
+    await page.goto('/')
+    const schema = await bank(page)
+    const contact = page.locator('#contact .contact-item').first()
+
+    expect(schema.telephone).toBe('+2348039003700')
+    await expect(contact.locator('a[href^="tel:"]')).toHaveAttribute('href', `tel:${schema.telephone}`)
+    await expect(contact.locator('a[href^="mailto:"]')).toHaveAttribute('href', `mailto:${schema.email}`)
+    expect(schema.contactPoint).toMatchObject({ telephone: schema.telephone, email: schema.email })
+  })
+
+  test('should match the head office address in the contact section and footer', async ({ page }) => {
+    await page.goto('/')
+    const { address } = await bank(page)
+
+    expect(address).toEqual({
+      '@type': 'PostalAddress',
+      streetAddress: 'Wema Towers, 54 Marina',
+      addressLocality: 'Lagos Island',
+      addressRegion: 'Lagos',
+      addressCountry: 'NG'
+    })
+
+    for (const element of [page.locator('.contact-item__address'), page.locator('.footer__address')]) {
+      const text = squash(await element.innerText())
+      for (const part of ['Wema Towers', '54 Marina', address.addressLocality, address.addressRegion]) {
+        expect(text).toContain(part)
+      }
+    }
+  })
+
+  test('should match the business hours shown for the head office', async ({ page }) => {
+    await page.goto('/')
+    const { openingHoursSpecification: hours } = await bank(page)
+
+    expect(hours).toEqual([
+      { '@type': 'OpeningHoursSpecification', dayOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'], opens: '08:00', closes: '16:00' },
+      { '@type': 'OpeningHoursSpecification', dayOfWeek: ['Saturday'], opens: '09:00', closes: '13:00' }
+    ])
+    await expect(page.locator('[data-hours-src] .contact-item__detail'))
+      .toHaveText(['Monday - Friday: 8:00 AM - 4:00 PM', 'Saturday: 9:00 AM - 1:00 PM'])
+  })
+
+  test('should list the footer social links as sameAs profiles', async ({ page }) => {
+    await page.goto('/')
+    const { sameAs } = await bank(page)
+
+    const social = await page.locator('.footer__social-link').evaluateAll(links => links.map(link => link.href))
+    expect(sameAs).toEqual(social)
+    expect(sameAs).toHaveLength(4)
+  })
+
+  // ============================================================================
+  // 🏢 BRANCH TESTS
+  // ============================================================================
+
+  test('should add a LocalBusiness entry for each branch in the city', async ({ page }) => {
+    await page.goto('/branches/ibadan')
+    await expect(page.locator('.branch-card')).toHaveCount(3)
+
+    const branches = (await structuredData(page)).filter(schema => schema['@type'] === 'LocalBusiness')
+    expect(branches.map(branch => branch.name)).toEqual(
+      branchData.branches.filter(branch => branch.city === 'ibadan').map(branch => `Wema Bank ${branch.name}`))
+
+    for (const branch of branches) {
+      expect(branch.parentOrganization).toEqual({ '@id': 'https://wemabank.com/#organization' })
+      expect(branch.address.addressLocality).toBe('Ibadan')
+    }
+  })
+
+  test('should match the details on each branch card', async ({ page }) => {
+    await page.goto('/branches/kano')
+    await expect(page.locator('.branch-card')).toHaveCount(2)
+
+    const branches = (await structuredData(page)).filter(schema => schema['@type'] === 'LocalBusiness')
+
+    for (const branch of branches) {
+      const id = branch['@id'].split('#')[1]
+      const card = page.locator(`.branch-card[data-branch-id="${id}"]`)
+
+      await expect(card.locator('a[href^="tel:"]')).toHaveAttribute('href', `tel:${branch.telephone}`)
+      await expect(card.locator('.branch-card__address')).toHaveText(`${branch.address.streetAddress}, ${branch.address.addressRegion}`)
+      expect(branch.geo).toMatchObject({ '@type': 'GeoCoordinates' })
+    }
+  })
+
+  test('should list every branch on the all branches page only', async ({ page }) => {
+    await page.goto('/branches/all')
+    const all = (await structuredData(page)).filter(schema => schema['@type'] === 'LocalBusiness')
+    expect(all).toHaveLength(branchData.branches.length)
+
+    await page.goto('/')
+    const home = (await structuredData(page)).filter(schema => schema['@type'] === 'LocalBusiness')
+    expect(home).toHaveLength(0)
+  })
+
+})
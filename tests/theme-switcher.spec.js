@@ -0,0 +1,153 @@
+// tests/theme-switcher.spec.js
+const { test, expect } = require('@playwright/test')
+
+/**
+ * Theme Switcher Test Suite
+ *
+ * Tests the header light/dark/system theme picker and the design tokens in
+ * css/tokens.css.
+ *
+ * Coverage Areas:
+ * - Remembered choice applied before first paint
+ * - theme-color meta tags following the active theme
+ * - System preference when no choice is stored
+ * - WCAG AA contrast of the dark hero, service cards, stats and footer
+ */
+
+/**
+ * Contrast ratio between an element's text and the nearest opaque background
+ * @param {import('@playwright/test').Locator} locator
+ * @returns {Promise<number>}
+ */
+function contrastOf(locator) {
+  return locator.evaluate(element => {
+    const channels = color => color.match(/[\d.]+/g).map(Number)
+    const luminance = ([r, g, b]) => {
+      const linear = [r, g, b].map(value => {
+        const c = value / 255
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4
+      })
+      return 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2]
+    }
+
+    let node = element
+    let background = channels(getComputedStyle(node).backgroundColor)
+    while (node.parentElement && (background.length === 4 && background[3] === 0)) {
+      node = node.parentElement
+      background = channels(getComputedStyle(node).backgroundColor)
+    }
+
+    const [lighter, darker] = [luminance(channels(getComputedStyle(element).color)), luminance(background)]
+      .sort((a, b) => b - a)
+    return (lighter + 0.05) / (darker + 0.05)
+  })
+}
+
+test.describe('Theme Switcher', () => {
+
+  const switcher = page => page.locator('header .theme-switcher select')
+  const themeColors = page => page.locator('meta[name="theme-color"]')
+
+  // ============================================================================
+  // 🏗️ STRUCTURE TESTS
+  // ============================================================================
+
+  test('should offer system, light and dark themes', async ({ page }) => {
+    await page.goto('/')
+
+    await expect(switcher(page)).toBeVisible()
+    await expect(page.getByLabel('Theme')).toHaveValue('system')
+    await expect(switcher(page).locator('option')).toHaveText(['System theme', 'Light', 'Dark'])
+    await expect(page.locator('html')).not.toHaveAttribute('data-theme', /.+/)
+  })
+
+  // ============================================================================
+  // 🌗 SWITCHING TESTS
+  // ============================================================================
+
+  test('should switch to dark and keep theme-color in sync', async ({ page }) => {
+    await page.goto('/')
+    await switcher(page).selectOption('dark')
+
+    await expect(page.locator('html')).toHaveAttribute('data-theme', 'dark')
+    await expect(themeColors(page).nth(0)).toHaveAttribute('content', '#6B0000')
+    await expect(themeColors(page).nth(1)).toHaveAttribute('content', '#6B0000')
+
+    await switcher(page).selectOption('system')
+
+    await expect(page.locator('html')).not.toHaveAttribute('data-theme', /.+/)
+    await expect(themeColors(page).nth(0)).toHaveAttribute('content', '#8B0000')
+    await expect(themeColors(page).nth(1)).toHaveAttribute('content', '#6B0000')
+  })
+
+  test('should apply the remembered theme before first paint', async ({ page }) => {
+    await page.goto('/')
+    await switcher(page).selectOption('dark')
+
+    // Record the theme at the first paint of the next visit, before modules run
+    await page.addInitScript(() => {
+      new PerformanceObserver((list, observer) => {
+        window.__themeAtFirstPaint = document.documentElement.dataset.theme || 'none'
+        window.__bodyAtFirstPaint = getComputedStyle(document.body).backgroundColor
+        observer.disconnect()
+      }).observe({ type: 'paint', buffered: true })
+    })
+    await page.reload()
+
+    await expect(switcher(page)).toHaveValue('dark')
+    await expect.poll(() => page.evaluate(() => window.__themeAtFirstPaint)).toBe('dark')
+    expect(await page.evaluate(() => window.__bodyAtFirstPaint)).toBe('rgb(18, 18, 18)')
+  })
+
+  test('should set data-theme from the classic head script', async ({ page }) => {
+    await page.addInitScript(() => localStorage.setItem('wema:theme', 'light'))
+    // Block the module entry point: only js/theme-init.js can set the theme
+    await page.route('**/js/main.js', route => route.fulfill({ contentType: 'text/javascript', body: '' }))
+    await page.goto('/')
+
+    await expect(page.locator('html')).toHaveAttribute('data-theme', 'light')
+    await expect(themeColors(page).nth(1)).toHaveAttribute('content', '#8B0000')
+  })
+
+  // ============================================================================
+  // 🖥️ SYSTEM PREFERENCE TESTS
+  // ============================================================================
+
+  test('should follow the system preference when no theme is chosen', async ({ page }) => {
+    await page.emulateMedia({ colorScheme: 'dark' })
+    await page.goto('/')
+
+    await expect(page.locator('body')).toHaveCSS('background-color', 'rgb(18, 18, 18)')
+
+    await switcher(page).selectOption('light')
+    await expect(page.locator('body')).toHaveCSS('background-color', 'rgb(255, 255, 255)')
+  })
+
+  // ============================================================================
+  // ♿ CONTRAST TESTS
+  // ============================================================================
+
+  for (const theme of ['light', 'dark']) {
+    test(`should meet WCAG AA contrast in the ${theme} theme`, async ({ page }) => {
+      await page.addInitScript(value => localStorage.setItem('wema:theme', value), theme)
+      await page.goto('/')
+      await expect(page.locator('.service-card').first()).toBeVisible()
+
+      const samples = [
+        page.locator('.hero__title'),
+        page.locator('.service-card__title').first(),
+        page.locator('.service-card__description').first(),
+        page.locator('.service-card__link').first(),
+        page.locator('.stat__number').first(),
+        page.locator('.stat__label').first(),
+        page.locator('.footer__text').first(),
+        page.locator('.footer__link').first()
+      ]
+
+      for (const sample of samples) {
+        expect(await contrastOf(sample)).toBeGreaterThanOrEqual(4.5)
+      }
+    })
+  }
+
+})